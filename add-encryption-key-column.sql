@@ -0,0 +1,4 @@
+-- Record which encryption key each stored blob is encrypted with (NULL for plaintext).
+-- Matches the encryption-key-id metadata of the stored object, which reads go by;
+-- reencrypt-dumps.js selects blobs to rewrite by this column.
+ALTER TABLE upload_blobs ADD COLUMN IF NOT EXISTS encryption_key_id VARCHAR(255);
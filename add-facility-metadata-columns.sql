@@ -0,0 +1,3 @@
+-- Store what each uploaded dump contains (schemas, row counts, extensions, ...)
+ALTER TABLE facilities ADD COLUMN IF NOT EXISTS dump_metadata JSONB;
+ALTER TABLE facilities ADD COLUMN IF NOT EXISTS metadata_updated_at TIMESTAMP;
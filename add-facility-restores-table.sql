@@ -0,0 +1,18 @@
+-- Record sandbox restores of facility dumps into throwaway databases
+CREATE TABLE IF NOT EXISTS facility_restores (
+    id SERIAL PRIMARY KEY,
+    facility_id INT REFERENCES facilities(id) ON DELETE SET NULL,
+    facility_code VARCHAR(50) NOT NULL,
+    database_name VARCHAR(63) NOT NULL UNIQUE,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed', 'dropped')),
+    command VARCHAR(20),
+    error TEXT,
+    output TEXT,
+    duration_ms INT,
+    requested_by INT REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    dropped_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_facility_restores_facility ON facility_restores(facility_id, started_at DESC);
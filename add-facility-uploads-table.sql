@@ -0,0 +1,17 @@
+-- Keep every upload of a facility, so submissions can be compared after a re-upload replaces the record
+CREATE TABLE IF NOT EXISTS facility_uploads (
+    id SERIAL PRIMARY KEY,
+    facility_id INT REFERENCES facilities(id) ON DELETE SET NULL,
+    facility_code VARCHAR(50) NOT NULL,
+    file_hash VARCHAR(64),
+    dump_metadata JSONB,
+    uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_facility_uploads_code ON facility_uploads(facility_code, uploaded_at DESC);
+
+-- Start the history with the current uploads
+INSERT INTO facility_uploads (facility_id, facility_code, file_hash, dump_metadata, uploaded_at)
+SELECT id, facility_code, file_hash, dump_metadata, uploaded_at FROM facilities
+WHERE file_path IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM facility_uploads WHERE facility_uploads.facility_id = facilities.id);
@@ -0,0 +1,5 @@
+-- Record the outcome of each upload's validation pipeline
+ALTER TABLE facilities ADD COLUMN IF NOT EXISTS validation_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (validation_status IN ('pending', 'valid', 'invalid', 'warning'));
+ALTER TABLE facilities ADD COLUMN IF NOT EXISTS validation_report JSONB;
+ALTER TABLE facilities ADD COLUMN IF NOT EXISTS validated_at TIMESTAMP;
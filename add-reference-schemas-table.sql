@@ -0,0 +1,10 @@
+-- Reference schemas that facility dumps are checked against (the newest one is in use)
+CREATE TABLE IF NOT EXISTS reference_schemas (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('dump', 'manifest')),
+    source_facility_id INT REFERENCES facilities(id) ON DELETE SET NULL,
+    tables JSONB NOT NULL,
+    created_by INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,14 @@
+-- Add content-addressed upload storage to existing database
+CREATE TABLE IF NOT EXISTS upload_blobs (
+    hash VARCHAR(64) PRIMARY KEY,
+    file_path VARCHAR(500) NOT NULL,
+    file_size BIGINT NOT NULL,
+    ref_count INT NOT NULL DEFAULT 0 CHECK (ref_count >= 0),
+    encryption_key_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Link facilities to the blob holding their dump (NULL for uploads stored before deduplication)
+ALTER TABLE facilities ADD COLUMN IF NOT EXISTS file_hash VARCHAR(64) REFERENCES upload_blobs(hash);
+
+CREATE INDEX IF NOT EXISTS idx_facilities_file_hash ON facilities(file_hash);
@@ -0,0 +1,4 @@
+-- Record browser-compressed resumable uploads on existing upload sessions
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS content_encoding VARCHAR(20);
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS original_file_size BIGINT;
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS original_file_hash VARCHAR(64);
@@ -0,0 +1,42 @@
+-- Add resumable upload session tables to existing database
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id VARCHAR(64) PRIMARY KEY,
+    protocol VARCHAR(20) NOT NULL DEFAULT 'chunked' CHECK (protocol IN ('chunked', 'tus')),
+    user_id INT REFERENCES users(id) ON DELETE SET NULL,
+    facility_name VARCHAR(255),
+    facility_code VARCHAR(50),
+    description TEXT,
+    facility_id INT REFERENCES facilities(id) ON DELETE SET NULL,
+    file_name VARCHAR(255),
+    file_size BIGINT NOT NULL,
+    file_hash VARCHAR(64),
+    content_encoding VARCHAR(20),
+    original_file_size BIGINT,
+    original_file_hash VARCHAR(64),
+    chunk_size INT,
+    total_chunks INT,
+    bytes_received BIGINT NOT NULL DEFAULT 0,
+    raw_upload_metadata TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress'
+        CHECK (status IN ('in_progress', 'completed', 'cancelled', 'expired', 'failed')),
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- Create upload_chunks table (one row per chunk of a chunked upload)
+CREATE TABLE IF NOT EXISTS upload_chunks (
+    upload_id VARCHAR(64) NOT NULL REFERENCES upload_sessions(id) ON DELETE CASCADE,
+    chunk_number INT NOT NULL,
+    byte_offset BIGINT NOT NULL,
+    byte_size INT NOT NULL,
+    chunk_hash VARCHAR(64),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('received', 'failed')),
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (upload_id, chunk_number)
+);
+
+-- Create indexes on upload sessions
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_status ON upload_sessions(status, updated_at);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user ON upload_sessions(user_id);
@@ -1,3 +1,4 @@
+const fs = require('fs');
 require('dotenv').config();
 
 const config = {
@@ -28,6 +29,46 @@ const config = {
     maxFacilities: parseInt(process.env.MAX_FACILITIES || '11'),
     uploadFolder: process.env.UPLOAD_FOLDER || './uploads',
     logLevel: process.env.LOG_LEVEL || 'info'
+  },
+
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local', // 'local' (UPLOAD_FOLDER) or 's3'
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT, // e.g. http://minio:9000 for MinIO
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_PREFIX || ''
+    }
+  },
+
+  encryption: {
+    // JSON key file ({ currentKeyId, keys }); stored dumps stay plaintext when unset
+    keyFile: process.env.ENCRYPTION_KEY_FILE || null
+  },
+
+  restore: {
+    // Dedicated role that creates and restores into sandbox databases; needs
+    // CREATEDB and must not be a superuser or the application's role.
+    // Restores are refused until it is set.
+    user: process.env.RESTORE_DB_USER || null,
+    password: process.env.RESTORE_DB_PASSWORD || null
+  },
+
+  jobs: {
+    // Background worker for dump validation, restores and reports
+    enabled: process.env.JOB_WORKER_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000'),
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '3'),
+    staleAfterMinutes: parseInt(process.env.JOB_STALE_AFTER_MINUTES || '5')
+  },
+
+  uploadCleanup: {
+    enabled: process.env.UPLOAD_CLEANUP_ENABLED !== 'false',
+    schedule: process.env.UPLOAD_CLEANUP_SCHEDULE || '0 * * * *', // hourly
+    maxAgeHours: parseFloat(process.env.UPLOAD_CLEANUP_MAX_AGE_HOURS || '24')
   }
 };
 
@@ -47,6 +88,18 @@ const validateConfig = () => {
     errors.push('JWT_SECRET must be changed in production');
   }
 
+  if (!['local', 's3'].includes(config.storage.driver)) {
+    errors.push('STORAGE_DRIVER must be local or s3');
+  }
+
+  if (config.storage.driver === 's3' && !config.storage.s3.bucket) {
+    errors.push('S3_BUCKET is required when STORAGE_DRIVER is s3');
+  }
+
+  if (config.encryption.keyFile && !fs.existsSync(config.encryption.keyFile)) {
+    errors.push('ENCRYPTION_KEY_FILE does not exist');
+  }
+
   if (errors.length > 0) {
     console.error('Configuration errors:', errors);
     if (config.nodeEnv === 'production') {
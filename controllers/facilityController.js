@@ -4,12 +4,33 @@ const path = require('path');
 const pgdumpUtils = require('../utils/pgdumpUtils');
 const { sanitizeInput, validateFacilityCode } = require('../middleware/validationMiddleware');
 const ResumableUploadManager = require('../utils/resumableUpload');
+const {
+  attachUploadToFacility,
+  releaseFacilityFile,
+  recordUploadHistory,
+  listUploadHistory,
+  getUploadFromHistory,
+  queueUploadValidation
+} = require('../utils/facilityUploads');
+const { finishUpload } = require('../utils/uploadCompletion');
+const blobStore = require('../utils/blobStore');
+const { checkRestoreRole, listFacilityRestores, dropFacilityRestore } = require('../utils/facilityRestore');
+const { enqueueJob } = require('../utils/jobQueue');
+const { registerReferenceSchema, getReferenceSchema } = require('../utils/referenceSchema');
+const { diffDumpMetadata } = require('../utils/dumpDiff');
+const { buildUploadReport } = require('../utils/uploadReport');
+const { isAllowedDumpName, detectCompression, createDecompressedStream } = require('../utils/compression');
+const { pipeline } = require('stream');
+const { storageFor, getStagingDir } = require('../utils/storage');
+const { getLastCleanupRun } = require('../utils/uploadCleanup');
+const config = require('../config/config');
 const MAX_FACILITIES = parseInt(process.env.MAX_FACILITIES) || 11;
 
 // Initialize resumable upload session
 exports.initializeResumableUpload = async (req, res) => {
   try {
-    const { fileName, fileSize, fileHash } = req.body;
+    const { fileName, fileSize, fileHash, facilityName, facilityCode, description } = req.body;
+    const { contentEncoding, originalSize, originalHash } = req.body;
 
     // Validate inputs
     if (!fileName || !fileSize || !fileHash) {
@@ -19,23 +40,67 @@ exports.initializeResumableUpload = async (req, res) => {
       });
     }
 
-    // Generate upload ID and initialize session
+    // Same file types as the traditional upload, plain or gzip/zstd-compressed
+    if (!isAllowedDumpName(fileName)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid file type. Only PostgreSQL dump files allowed (DUMP, SQL, BAK, BACKUP, TAR), optionally compressed'
+      });
+    }
+
+    // Payload compressed by the browser: record the original file alongside the compressed one
+    if (contentEncoding && contentEncoding !== 'gzip') {
+      return res.status(400).json({
+        success: false,
+        message: 'contentEncoding must be gzip'
+      });
+    }
+
+    // Facility details are optional here and can still be sent on complete
+    if (facilityCode) {
+      const codeValidation = validateFacilityCode(sanitizeInput(facilityCode));
+      if (!codeValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: codeValidation.error
+        });
+      }
+    }
+
     const uploadManager = new ResumableUploadManager();
-    const uploadId = uploadManager.generateUploadId(fileName, fileSize, fileHash);
     
     try {
-      uploadManager.initializeUpload(uploadId, {
-        fileName: sanitizeInput(fileName),
+      // Resume the caller's own unfinished upload of the same file, else start a new one
+      const existing = await uploadManager.findResumableSession(
+        req.user.id, sanitizeInput(fileName), parseInt(fileSize), fileHash
+      );
+      const uploadId = existing ? existing.uploadId : uploadManager.generateUploadId();
+
+      await uploadManager.initializeUpload(uploadId, {
+        filename: sanitizeInput(fileName),
         fileSize: parseInt(fileSize),
         fileHash,
         userId: req.user.id,
-        uploadedAt: new Date().toISOString()
+        facilityName: facilityName ? sanitizeInput(facilityName) : null,
+        facilityCode: facilityCode ? sanitizeInput(facilityCode) : null,
+        description: description ? sanitizeInput(description) : null,
+        contentEncoding: contentEncoding || null,
+        originalFileSize: contentEncoding && originalSize ? parseInt(originalSize) : null,
+        originalFileHash: contentEncoding && originalHash ? String(originalHash) : null
+      });
+
+      // The caller already uploaded an identical file: it may skip the chunks and complete right away.
+      // Blobs of other users and facilities are not disclosed.
+      const existingBlob = await blobStore.findOwnedBlob(fileHash, {
+        userId: req.user.id,
+        facilityCode: facilityCode ? sanitizeInput(facilityCode) : null
       });
 
       res.status(200).json({
         success: true,
         uploadId,
-        chunkSize: 5 * 1024 * 1024 // 5MB chunks
+        chunkSize: 5 * 1024 * 1024, // 5MB chunks
+        alreadyOnServer: Boolean(existingBlob && existingBlob.fileSize === parseInt(fileSize))
       });
     } catch (error) {
       res.status(400).json({
@@ -52,20 +117,47 @@ exports.initializeResumableUpload = async (req, res) => {
   }
 };
 
+// List in-flight upload sessions of all users (admin)
+exports.listActiveUploads = async (req, res) => {
+  try {
+    const uploadManager = new ResumableUploadManager();
+    const uploads = await uploadManager.listActiveUploads();
+
+    res.status(200).json({
+      success: true,
+      data: uploads.map(upload => ({
+        uploadId: upload.uploadId,
+        protocol: upload.protocol,
+        facilityName: upload.facilityName,
+        facilityCode: upload.facilityCode,
+        userId: upload.userId,
+        username: upload.username,
+        filename: upload.filename,
+        fileSize: upload.fileSize,
+        uploadedSize: upload.uploadedSize,
+        progress: upload.progress,
+        createdAt: upload.createdAt,
+        lastActivity: upload.updatedAt,
+        idleSeconds: upload.idleSeconds,
+        bytesPerSecond: upload.bytesPerSecond,
+        etaSeconds: upload.etaSeconds
+      }))
+    });
+  } catch (error) {
+    console.error('List active uploads error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // Get upload progress
 exports.getResumableUploadProgress = async (req, res) => {
   try {
     const { uploadId } = req.params;
-
-    if (!uploadId) {
-      return res.status(400).json({
-        success: false,
-        message: 'uploadId is required'
-      });
-    }
-
     const uploadManager = new ResumableUploadManager();
-    const progress = uploadManager.getUploadProgress(uploadId);
+    const progress = await uploadManager.getUploadProgress(uploadId);
 
     res.status(200).json({
       success: true,
@@ -80,45 +172,62 @@ exports.getResumableUploadProgress = async (req, res) => {
   }
 };
 
-// Upload a chunk
+// Upload a chunk: the raw request body is streamed into the upload's partial file
 exports.uploadChunk = async (req, res) => {
   try {
-    const { uploadId, chunkNumber, totalChunks } = req.body;
-    const chunk = req.file;
+    const { uploadId } = req.params;
+    const chunkNumber = req.get('X-Chunk-Number');
+    const chunkOffset = req.get('X-Chunk-Offset');
+    const chunkHash = req.get('X-Chunk-Hash');
 
     // Validate inputs
-    if (!uploadId || chunkNumber === undefined || !chunk) {
-      if (chunk) fs.unlinkSync(chunk.path);
+    if (!/^\d+$/.test(chunkNumber || '') || !/^\d+$/.test(chunkOffset || '') || !chunkHash) {
       return res.status(400).json({
         success: false,
-        message: 'uploadId, chunkNumber, and chunk file are required'
+        message: 'X-Chunk-Number, X-Chunk-Offset, and X-Chunk-Hash headers are required'
+      });
+    }
+
+    if (req.get('Content-Type') !== 'application/octet-stream') {
+      return res.status(415).json({
+        success: false,
+        message: 'Content-Type must be application/octet-stream'
       });
     }
 
     const uploadManager = new ResumableUploadManager();
     
     try {
-      // Read chunk data from uploaded file
-      const chunkData = fs.readFileSync(chunk.path);
-      
-      // Save chunk
-      uploadManager.saveChunk(uploadId, parseInt(chunkNumber), chunkData);
-      
-      // Clean up temporary file
-      fs.unlinkSync(chunk.path);
+      // Save chunk (verifies offset, size and chunkHash)
+      await uploadManager.saveChunk(uploadId, parseInt(chunkNumber, 10), req, chunkHash, parseInt(chunkOffset, 10));
 
       // Get current progress
-      const progress = uploadManager.getUploadProgress(uploadId);
+      const progress = await uploadManager.getUploadProgress(uploadId);
 
       res.status(200).json({
         success: true,
-        chunkNumber: parseInt(chunkNumber),
+        chunkNumber: parseInt(chunkNumber, 10),
         uploadedChunks: progress.uploadedChunks,
+        failedChunks: progress.failedChunks,
         totalChunks: progress.totalChunks
       });
     } catch (error) {
-      if (chunk && fs.existsSync(chunk.path)) {
-        fs.unlinkSync(chunk.path);
+      if (error.code === 'CHUNK_OFFSET_MISMATCH') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          chunkNumber: error.chunkNumber,
+          expectedOffset: error.expectedOffset
+        });
+      }
+      if (error.code === 'CHUNK_CHECKSUM_MISMATCH') {
+        return res.status(422).json({
+          success: false,
+          message: error.message,
+          chunkNumber: error.chunkNumber,
+          expectedHash: error.expectedHash,
+          actualHash: error.actualHash
+        });
       }
       res.status(400).json({
         success: false,
@@ -137,97 +246,135 @@ exports.uploadChunk = async (req, res) => {
 // Complete resumable upload and assemble chunks
 exports.completeResumableUpload = async (req, res) => {
   try {
-    const { uploadId, facilityName, facilityCode, description } = req.body;
-
-    // Validate inputs
-    if (!uploadId || !facilityName || !facilityCode) {
-      return res.status(400).json({
-        success: false,
-        message: 'uploadId, facilityName, and facilityCode are required'
-      });
-    }
-
-    // Sanitize inputs
-    const sanitizedName = sanitizeInput(facilityName);
-    const sanitizedCode = sanitizeInput(facilityCode);
-    const sanitizedDesc = description ? sanitizeInput(description) : null;
-
-    // Validate facility code
-    const codeValidation = validateFacilityCode(sanitizedCode);
-    if (!codeValidation.valid) {
-      return res.status(400).json({
-        success: false,
-        message: codeValidation.error
-      });
-    }
-
+    const { uploadId } = req.params;
+    const { facilityName, facilityCode, description, contentEncoding } = req.body;
     const uploadManager = new ResumableUploadManager();
     
     try {
       // Get upload progress to verify all chunks are uploaded
-      const progress = uploadManager.getUploadProgress(uploadId);
+      const progress = await uploadManager.getUploadProgress(uploadId);
       
-      if (!progress) {
+      if (!progress || progress.status !== 'in_progress') {
         return res.status(404).json({
           success: false,
           message: 'Upload session not found'
         });
       }
 
-      // Check if all chunks are uploaded (uploadedChunks is an array)
-      if (progress.uploadedChunks.length !== progress.totalChunks) {
+      // Facility details sent now take precedence over those sent at init
+      const sanitizedName = sanitizeInput(facilityName || progress.facilityName || '');
+      const sanitizedCode = sanitizeInput(facilityCode || progress.facilityCode || '');
+      const sanitizedDesc = description ? sanitizeInput(description) : progress.description;
+
+      if (!sanitizedName || !sanitizedCode) {
         return res.status(400).json({
           success: false,
-          message: `Upload incomplete. ${progress.uploadedChunks.length}/${progress.totalChunks} chunks uploaded`
+          message: 'facilityName and facilityCode are required'
         });
       }
 
-      // Assemble chunks into final file
-      const finalFileName = sanitizedCode + '_' + Date.now() + '.sql';
-      const uploadsDir = path.join(__dirname, '..', 'uploads');
-      const finalFilePath = path.join(uploadsDir, finalFileName);
-      
-      await uploadManager.assembleChunks(uploadId, finalFilePath);
+      // Validate facility code
+      const codeValidation = validateFacilityCode(sanitizedCode);
+      if (!codeValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: codeValidation.error
+        });
+      }
 
-      // Verify file was created
-      if (!fs.existsSync(finalFilePath)) {
-        return res.status(500).json({
+      // The client says whether the payload is compressed, falling back to what it said at init
+      const payloadEncoding = contentEncoding || progress.contentEncoding;
+      if (payloadEncoding && payloadEncoding !== 'gzip') {
+        return res.status(400).json({
           success: false,
-          message: 'Failed to assemble uploaded file'
+          message: 'contentEncoding must be gzip'
         });
       }
 
-      // Store facility record in database
-      const result = await pool.query(
-        `INSERT INTO facilities (facility_name, facility_code, description, file_path, uploaded_at)
-         VALUES ($1, $2, $3, $4, NOW())
-         RETURNING id, facility_name, facility_code, uploaded_at`,
-        [sanitizedName, sanitizedCode, sanitizedDesc, finalFilePath]
-      );
+      // Check if all chunks are uploaded (uploadedChunks is an array)
+      if (progress.uploadedChunks.length !== progress.totalChunks) {
+        // Nothing left to upload when the user or facility already uploaded an identical file
+        const existingBlob = await blobStore.findOwnedBlob(progress.fileHash, {
+          userId: req.user.id,
+          facilityCode: sanitizedCode
+        });
+        if (existingBlob && existingBlob.fileSize === progress.fileSize) {
+          const facility = await attachUploadToFacility({
+            facilityName: sanitizedName,
+            facilityCode: sanitizedCode,
+            description: sanitizedDesc,
+            fileHash: existingBlob.hash
+          });
+          await uploadManager.completeUpload(uploadId, facility.id);
 
-      // Check facility count limit
-      const countResult = await pool.query('SELECT COUNT(*) as count FROM facilities');
-      if (countResult.rows[0].count > MAX_FACILITIES) {
-        // Delete oldest facility if over limit
-        const oldestResult = await pool.query(
-          'SELECT id, file_path FROM facilities ORDER BY uploaded_at ASC LIMIT 1'
-        );
-        if (oldestResult.rows[0]) {
-          const oldFacility = oldestResult.rows[0];
-          if (fs.existsSync(oldFacility.file_path)) {
-            fs.unlinkSync(oldFacility.file_path);
-          }
-          await pool.query('DELETE FROM facilities WHERE id = $1', [oldFacility.id]);
+          return res.status(200).json({
+            success: true,
+            message: 'File already on server; upload completed without transfer',
+            deduplicated: true,
+            facility
+          });
         }
+
+
+        return res.status(400).json({
+          success: false,
+          message: `Upload incomplete. ${progress.uploadedChunks.length}/${progress.totalChunks} chunks uploaded`,
+          missingChunks: progress.missingChunks,
+          failedChunks: progress.failedChunks
+        });
       }
 
-      // Clean up upload session
-      uploadManager.cleanupChunks(uploadId);
+      // Verify the file, save it for the facility and complete the session.
+      // On corrupted chunks the partial file is kept so the client can re-send and complete again.
+      let facility;
+      try {
+        facility = await finishUpload(uploadManager, progress, {
+          facilityName: sanitizedName,
+          facilityCode: sanitizedCode,
+          description: sanitizedDesc,
+          contentEncoding: payloadEncoding
+        });
+      } catch (error) {
+        switch (error.code) {
+          case 'CORRUPTED_CHUNKS':
+            return res.status(422).json({
+              success: false,
+              message: `${error.message}. Uploaded chunks were kept; re-send the corrupted chunks and complete again.`,
+              expectedHash: error.expectedHash,
+              actualHash: error.actualHash,
+              failedChunks: error.failedChunks
+            });
+          case 'FILE_HASH_MISMATCH':
+            return res.status(422).json({
+              success: false,
+              message: `${error.message}, although every chunk passed its checksum. The file may have changed during the upload; the upload was discarded, please upload the file again.`,
+              expectedHash: error.expectedHash,
+              actualHash: error.actualHash
+            });
+          case 'CONTENT_MISMATCH':
+            return res.status(422).json({
+              success: false,
+              message: `${error.message}. The upload was discarded.`,
+              expectedHash: error.expectedHash,
+              actualHash: error.actualHash,
+              expectedSize: error.expectedSize,
+              actualSize: error.actualSize
+            });
+          case 'SAVE_FAILED':
+            console.error('Error saving completed upload:', error.cause);
+            return res.status(500).json({
+              success: false,
+              message: `${error.message}. The upload was discarded.`
+            });
+          default:
+            throw error;
+        }
+      }
 
       res.status(200).json({
         success: true,
         message: 'Upload completed successfully',
-        facility: result.rows[0]
+        facility
       });
     } catch (error) {
       console.error('Error in resumable upload completion:', error);
@@ -249,18 +396,10 @@ exports.completeResumableUpload = async (req, res) => {
 exports.cancelResumableUpload = async (req, res) => {
   try {
     const { uploadId } = req.params;
-
-    if (!uploadId) {
-      return res.status(400).json({
-        success: false,
-        message: 'uploadId is required'
-      });
-    }
-
     const uploadManager = new ResumableUploadManager();
     
     try {
-      uploadManager.cancelUpload(uploadId);
+      await uploadManager.cancelUpload(uploadId);
       
       res.status(200).json({
         success: true,
@@ -281,6 +420,29 @@ exports.cancelResumableUpload = async (req, res) => {
   }
 };
 
+// Get summary of the last abandoned-upload cleanup run (admin)
+exports.getUploadCleanupStatus = async (req, res) => {
+  try {
+    const { enabled, schedule, maxAgeHours } = config.uploadCleanup;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled,
+        schedule,
+        maxAgeHours,
+        lastRun: getLastCleanupRun()
+      }
+    });
+  } catch (error) {
+    console.error('Get upload cleanup status error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // Get facility list for dropdown
 exports.getFacilityList = async (req, res) => {
   try {
@@ -335,13 +497,11 @@ exports.uploadDatabase = async (req, res) => {
     );
 
     if (existingResult.rows.length > 0) {
-      const existingFacility = existingResult.rows[0];
-      // Delete the old file
-      if (existingFacility.file_path && fs.existsSync(existingFacility.file_path)) {
-        fs.unlinkSync(existingFacility.file_path);
-      }
-      // Delete the old record
+      // Delete the old record, then release its file
       await pool.query('DELETE FROM facilities WHERE facility_code = $1', [facility_code]);
+      for (const existingFacility of existingResult.rows) {
+        await releaseFacilityFile(existingFacility);
+      }
     }
 
     // Check if we've reached the max facilities limit (only check if new facility)
@@ -358,21 +518,39 @@ exports.uploadDatabase = async (req, res) => {
       }
     }
 
+    // Store the file by content hash; an identical dump already on the server is reused
+    let blob = null;
+    if (file) {
+      const fileHash = await new ResumableUploadManager().calculateFileHash(file.path);
+      blob = await blobStore.acquireBlob(fileHash, { sourcePath: file.path, fileSize: file.size });
+    }
+
     // Insert facility into database
-    const result = await pool.query(
-      `INSERT INTO facilities (facility_name, facility_code, description, file_path, uploaded_at)
-       VALUES ($1, $2, $3, $4, NOW())
-       RETURNING *`,
-      [facility_name, facility_code, description || null, file ? file.path : null]
-    );
+    let result;
+    try {
+      result = await pool.query(
+        `INSERT INTO facilities (facility_name, facility_code, description, file_path, file_hash, uploaded_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         RETURNING *`,
+        [facility_name, facility_code, description || null, blob ? blob.key : null, blob ? blob.hash : null]
+      );
+    } catch (error) {
+      if (blob) await blobStore.releaseBlob(blob.hash);
+      throw error;
+    }
+
+    // Validate the dump and record what it contains in the background
+    const facility = result.rows[0];
+    if (blob) await recordUploadHistory(facility);
+    facility.validation_job_id = blob ? await queueUploadValidation(facility) : null;
 
     res.status(201).json({
       success: true,
       message: existingResult.rows.length > 0 ? 'Facility updated successfully' : 'Facility uploaded successfully',
-      data: result.rows[0]
+      data: facility
     });
   } catch (error) {
-    if (req.file) fs.unlinkSync(req.file.path);
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
     console.error('Upload error:', error);
     res.status(500).json({
       success: false,
@@ -494,14 +672,9 @@ exports.deleteFacility = async (req, res) => {
       });
     }
 
-    // Delete file if it exists
-    const filePath = facilityResult.rows[0].file_path;
-    if (filePath && fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
-
-    // Delete from database
+    // Delete from database, then release the file (kept while other facilities share it)
     await pool.query('DELETE FROM facilities WHERE id = $1', [id]);
+    await releaseFacilityFile(facilityResult.rows[0]);
 
     res.status(200).json({
       success: true,
@@ -516,7 +689,9 @@ exports.deleteFacility = async (req, res) => {
   }
 };
 
-// Restore PostgreSQL dump file
+// Check a PostgreSQL dump file, or restore it into a sandbox database with
+// { mode: 'restore' }. Runs as a background job (see utils/jobHandlers.js);
+// the client polls GET /api/jobs/:id for the result.
 exports.restoreDump = async (req, res) => {
   try {
     const { id } = req.params;
@@ -535,39 +710,293 @@ exports.restoreDump = async (req, res) => {
     const filePath = facility.file_path;
 
     // Check if file exists
-    if (!filePath || !fs.existsSync(filePath)) {
+    const storage = filePath ? storageFor(filePath) : null;
+    if (!storage || !await storage.exists(filePath)) {
       return res.status(400).json({
         success: false,
         message: 'Database file not found'
       });
     }
 
-    // Validate it's a pgdump file
-    const isValid = await pgdumpUtils.validatePgDumpFile(filePath);
-    if (!isValid) {
+    const mode = req.body && req.body.mode === 'restore' ? 'restore' : 'validate';
+    if (mode === 'restore') {
+      await checkRestoreRole();
+    }
+    const job = await enqueueJob('restore-dump', { facilityId: facility.id, mode }, { createdBy: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      message: mode === 'restore' ? 'Database dump restore queued' : 'Database dump check queued',
+      jobId: job.id,
+      data: job
+    });
+  } catch (error) {
+    if (error.code === 'RESTORE_UNAVAILABLE') {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Restore dump error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Re-run the validation pipeline on a facility's dump; { restore: true } adds a test restore
+exports.validateFacility = async (req, res) => {
+  try {
+    const facilityResult = await pool.query('SELECT id FROM facilities WHERE id = $1', [req.params.id]);
+
+    if (facilityResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    const restore = Boolean(req.body && req.body.restore === true);
+    if (restore) {
+      await checkRestoreRole();
+    }
+
+    await pool.query(`UPDATE facilities SET validation_status = 'pending' WHERE id = $1`, [req.params.id]);
+    const job = await enqueueJob('validate-upload', { facilityId: facilityResult.rows[0].id, restore }, { createdBy: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      message: 'Validation queued',
+      jobId: job.id,
+      data: job
+    });
+  } catch (error) {
+    if (error.code === 'RESTORE_UNAVAILABLE') {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Validate facility error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Register the reference schema uploads are checked against, from a
+// facility's dump (facilityId) or a JSON manifest
+exports.registerReferenceSchema = async (req, res) => {
+  try {
+    const { name, facilityId, manifest } = req.body;
+
+    if (!name || (!facilityId && !manifest)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a name, and a facilityId or a manifest'
+      });
+    }
+
+    const referenceSchema = await registerReferenceSchema({
+      name: sanitizeInput(name),
+      facilityId: facilityId ? parseInt(facilityId) : null,
+      manifest,
+      createdBy: req.user.id
+    });
+
+    if (!referenceSchema) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Reference schema registered',
+      data: referenceSchema
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_MANIFEST' || error.code === 'NO_COLUMN_METADATA') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Register reference schema error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get the reference schema in use
+exports.getReferenceSchema = async (req, res) => {
+  try {
+    const referenceSchema = await getReferenceSchema();
+
+    if (!referenceSchema) {
+      return res.status(404).json({
+        success: false,
+        message: 'No reference schema is registered'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: referenceSchema
+    });
+  } catch (error) {
+    console.error('Get reference schema error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// List the uploads of a facility code, newest first
+exports.listUploadHistory = async (req, res) => {
+  try {
+    const uploads = await listUploadHistory(req.params.code);
+    res.status(200).json({
+      success: true,
+      count: uploads.length,
+      data: uploads
+    });
+  } catch (error) {
+    console.error('List upload history error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Compare two uploads of a facility code (?from=&to= upload IDs); by
+// default the latest upload is compared with the one before it
+exports.diffUploads = async (req, res) => {
+  try {
+    const { code } = req.params;
+    const history = await listUploadHistory(code);
+
+    if (history.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No uploads found for this facility'
+      });
+    }
+
+    const toId = req.query.to ? parseInt(req.query.to) : history[0].id;
+    const toIndex = history.findIndex(upload => upload.id === toId);
+    const fromId = req.query.from
+      ? parseInt(req.query.from)
+      : (history[toIndex + 1] || {}).id;
+
+    if (Number.isNaN(toId) || Number.isNaN(fromId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be upload IDs'
+      });
+    }
+    if (!fromId) {
       return res.status(400).json({
         success: false,
-        message: 'File is not a valid PostgreSQL dump file'
+        message: 'No earlier upload to compare with'
+      });
+    }
+
+    const [from, to] = await Promise.all([
+      getUploadFromHistory(code, fromId),
+      getUploadFromHistory(code, toId)
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        message: `Upload ${from ? toId : fromId} not found for this facility`
+      });
+    }
+
+    // Both dumps need their metadata, which validation collects after upload
+    const unreadable = [from, to].find(upload => !upload.metadata || !upload.metadata.isValid);
+    if (unreadable) {
+      return res.status(409).json({
+        success: false,
+        message: unreadable.metadata
+          ? `Upload ${unreadable.id} is not a valid dump`
+          : `Upload ${unreadable.id} has not been validated yet`
       });
     }
 
-    // Get metadata
-    const metadata = await pgdumpUtils.getPgDumpMetadata(filePath);
+    const { metadata: fromMetadata, ...fromUpload } = from;
+    const { metadata: toMetadata, ...toUpload } = to;
 
-    // Restore the dump (optional - only if explicitly requested)
-    // This requires psql to be installed on the server
-    // For now, we'll just validate and return metadata
     res.status(200).json({
       success: true,
-      message: 'Database dump file validated successfully',
       data: {
-        facility: facility,
-        metadata: metadata,
-        fileSize: pgdumpUtils.getFileSizeReadable(fs.statSync(filePath).size)
+        facilityCode: code,
+        from: fromUpload,
+        to: toUpload,
+        sameFile: Boolean(from.fileHash) && from.fileHash === to.fileHash,
+        ...diffDumpMetadata(fromMetadata, toMetadata)
       }
     });
   } catch (error) {
-    console.error('Restore dump error:', error);
+    console.error('Diff uploads error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// List sandbox restores of a facility's dump
+exports.listRestores = async (req, res) => {
+  try {
+    const restores = await listFacilityRestores(req.params.id);
+    res.status(200).json({
+      success: true,
+      count: restores.length,
+      data: restores
+    });
+  } catch (error) {
+    console.error('List restores error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Drop the sandbox database of a restore
+exports.dropRestore = async (req, res) => {
+  try {
+    const restore = await dropFacilityRestore(req.params.restoreId);
+
+    if (!restore) {
+      return res.status(404).json({
+        success: false,
+        message: 'Restore not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: restore.status === 'dropped' ? 'Sandbox database dropped' : 'Restore has no sandbox database',
+      data: restore
+    });
+  } catch (error) {
+    if (error.code === 'RESTORE_RUNNING') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Drop restore error:', error);
     res.status(500).json({
       success: false,
       message: error.message
@@ -594,24 +1023,33 @@ exports.downloadDatabase = async (req, res) => {
     const filePath = facility.file_path;
 
     // Check if file exists
-    if (!filePath || !fs.existsSync(filePath)) {
+    const storage = filePath ? storageFor(filePath) : null;
+    if (!storage || !await storage.exists(filePath)) {
       return res.status(400).json({
         success: false,
         message: 'Database file not found'
       });
     }
 
-    // Download the file
-    res.download(filePath, `${facility.facility_code}-dump.sql`, (err) => {
-      if (err) {
-        console.error('Download error:', err);
-        if (!res.headersSent) {
-          res.status(500).json({
-            success: false,
-            message: 'Error downloading file'
-          });
-        }
-      }
+    // Compressed dumps are decompressed on the fly unless ?compressed=true asks for the stored form
+    const compression = await detectCompression(filePath, storage);
+    const decompress = compression && req.query.compressed !== 'true';
+    const format = await pgdumpUtils.detectDumpFormat(filePath);
+    const baseExtension = { custom: '.dump', tar: '.tar' }[format] || '.sql';
+    const extension = baseExtension + (decompress ? '' : ({ gzip: '.gz', zstd: '.zst' }[compression] || ''));
+
+    const stream = decompress
+      ? await createDecompressedStream(filePath, storage)
+      : await storage.createReadStream(filePath);
+
+    res.attachment(`${facility.facility_code}-dump${extension}`);
+    if (!decompress) {
+      res.set('Content-Length', String((await storage.stat(filePath)).size));
+    }
+
+    // Stream from storage; a read error or corrupt archive aborts the response
+    pipeline(stream, res, (err) => {
+      if (err) console.error('Download error:', err);
     });
   } catch (error) {
     console.error('Download error:', error);
@@ -622,33 +1060,37 @@ exports.downloadDatabase = async (req, res) => {
   }
 };
 
-// Generate and download upload report
+// Generate and download the upload report in the request. The report has a
+// row per facility, of which there are at most MAX_FACILITIES, so it stays small.
 exports.downloadReport = async (req, res) => {
   try {
-    // Get all facilities
-    const result = await pool.query(
-      `SELECT facility_name, facility_code, description, uploaded_at, file_path 
-       FROM facilities 
-       ORDER BY uploaded_at DESC`
-    );
+    const report = await buildUploadReport();
 
-    // Generate CSV report
-    let csv = 'Facility Name,Facility Code,Description,Uploaded Date,File Path\n';
-    
-    result.rows.forEach(facility => {
-      const description = facility.description ? facility.description.replace(/,/g, ';') : '';
-      const fileName = facility.file_path ? facility.file_path.split(/[\\/]/).pop() : 'N/A';
-      const uploadedDate = facility.uploaded_at ? new Date(facility.uploaded_at).toLocaleString() : 'N/A';
-      
-      csv += `"${facility.facility_name}","${facility.facility_code}","${description}","${uploadedDate}","${fileName}"\n`;
+    res.setHeader('Content-Type', report.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${report.fileName}"`);
+    res.send(report.content);
+  } catch (error) {
+    console.error('Report download error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
     });
+  }
+};
 
-    // Send as file download
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="upload-report-${new Date().getTime()}.csv"`);
-    res.send(csv);
+// Queue generation of the upload report; the CSV is downloaded from GET /api/jobs/:id/download
+exports.requestReport = async (req, res) => {
+  try {
+    const job = await enqueueJob('upload-report', {}, { createdBy: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      message: 'Report generation queued',
+      jobId: job.id,
+      data: job
+    });
   } catch (error) {
-    console.error('Report download error:', error);
+    console.error('Report request error:', error);
     res.status(500).json({
       success: false,
       message: error.message
@@ -0,0 +1,72 @@
+const { pipeline } = require('stream');
+const jobQueue = require('../utils/jobQueue');
+const { getStorage } = require('../utils/storage');
+
+// Jobs are visible to the user who queued them and to admins
+const findVisibleJob = async (req) => {
+  const job = await jobQueue.getJob(req.params.id);
+  if (!job || (req.user.role !== 'admin' && job.createdBy !== req.user.id)) {
+    return null;
+  }
+  return job;
+};
+
+// Get job status and, once finished, its result or error
+exports.getJob = async (req, res) => {
+  try {
+    const job = await findVisibleJob(req);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Download the file a finished job produced
+exports.downloadJobResult = async (req, res) => {
+  try {
+    const job = await findVisibleJob(req);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (job.status !== 'succeeded' || !job.result || !job.result.storageKey) {
+      return res.status(409).json({
+        success: false,
+        message: job.status === 'succeeded' ? 'Job has no file to download, or it has expired' : `Job is ${job.status}`
+      });
+    }
+
+    const stream = await getStorage().createReadStream(job.result.storageKey);
+    res.setHeader('Content-Type', job.result.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${job.result.fileName}"`);
+
+    pipeline(stream, res, (err) => {
+      if (err) console.error('Job download error:', err);
+    });
+  } catch (error) {
+    console.error('Job download error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,255 @@
+const { sanitizeInput, validateFacilityCode } = require('../middleware/validationMiddleware');
+const { TUS_VERSION } = require('../middleware/tusMiddleware');
+const ResumableUploadManager = require('../utils/resumableUpload');
+const { finishUpload } = require('../utils/uploadCompletion');
+
+const TUS_EXTENSIONS = 'creation,termination,checksum';
+const TUS_MAX_SIZE = 2 * 1024 * 1024 * 1024; // 2GB, same limit as traditional uploads
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+
+// Uploads with a PATCH in flight; concurrent PATCHes get 423 Locked
+const lockedUploads = new Set();
+
+/**
+ * Parse Upload-Metadata header ("key base64value,key2 base64value2")
+ */
+const parseUploadMetadata = (header) => {
+  const metadata = {};
+
+  if (!header) {
+    return metadata;
+  }
+
+  header.split(',').forEach(pair => {
+    const [key, value] = pair.trim().split(' ');
+    if (!key) {
+      throw new Error('Invalid Upload-Metadata header');
+    }
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  });
+
+  return metadata;
+};
+
+/**
+ * Parse Upload-Checksum header ("<algorithm> <base64 digest>")
+ */
+const parseUploadChecksum = (header) => {
+  if (!header) {
+    return null;
+  }
+
+  const [algorithm, digest] = header.trim().split(' ');
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !digest) {
+    return { unsupported: true };
+  }
+
+  return { algorithm, digest };
+};
+
+const sendError = (res, status, message) => {
+  res.status(status).json({
+    success: false,
+    message
+  });
+};
+
+// Advertise server capabilities
+exports.getServerOptions = (req, res) => {
+  res.set({
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS,
+    'Tus-Max-Size': String(TUS_MAX_SIZE),
+    'Tus-Checksum-Algorithm': CHECKSUM_ALGORITHMS.join(',')
+  });
+  res.status(204).end();
+};
+
+// Create upload (creation extension)
+exports.createUpload = async (req, res) => {
+  try {
+    if (req.get('Upload-Defer-Length')) {
+      return sendError(res, 400, 'Upload-Defer-Length is not supported');
+    }
+
+    const lengthHeader = req.get('Upload-Length');
+    if (!/^\d+$/.test(lengthHeader || '') || parseInt(lengthHeader, 10) === 0) {
+      return sendError(res, 400, 'Upload-Length must be a positive integer');
+    }
+
+    const uploadLength = parseInt(lengthHeader, 10);
+    if (uploadLength > TUS_MAX_SIZE) {
+      return sendError(res, 413, `Upload exceeds maximum size of ${TUS_MAX_SIZE} bytes`);
+    }
+
+    let metadata;
+    try {
+      metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+    } catch (error) {
+      return sendError(res, 400, error.message);
+    }
+
+    const facilityName = sanitizeInput(metadata.facilityName || '');
+    const facilityCode = sanitizeInput(metadata.facilityCode || '');
+
+    if (!facilityName || !facilityCode) {
+      return sendError(res, 400, 'Upload-Metadata must include facilityName and facilityCode');
+    }
+
+    const codeValidation = validateFacilityCode(facilityCode);
+    if (!codeValidation.valid) {
+      return sendError(res, 400, codeValidation.error);
+    }
+
+    const uploadManager = new ResumableUploadManager();
+    const uploadId = uploadManager.generateUploadId();
+    await uploadManager.initializeTusUpload(uploadId, {
+      filename: sanitizeInput(metadata.filename || ''),
+      fileSize: uploadLength,
+      fileHash: metadata.filehash || null,
+      userId: req.user.id,
+      rawUploadMetadata: req.get('Upload-Metadata') || null,
+      facilityName,
+      facilityCode,
+      description: metadata.description ? sanitizeInput(metadata.description) : null
+    });
+
+    res.set('Location', `${req.baseUrl}/${uploadId}`);
+    res.status(201).end();
+  } catch (error) {
+    console.error('tus create upload error:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+// Get current offset of an upload
+exports.getUploadOffset = (req, res) => {
+  try {
+    const session = req.uploadSession;
+
+    res.set('Cache-Control', 'no-store');
+
+    if (session.protocol !== 'tus' || session.status !== 'in_progress') {
+      return res.status(404).end();
+    }
+
+    res.set({
+      'Upload-Offset': String(session.offset),
+      'Upload-Length': String(session.fileSize)
+    });
+    if (session.rawUploadMetadata) {
+      res.set('Upload-Metadata', session.rawUploadMetadata);
+    }
+    res.status(200).end();
+  } catch (error) {
+    console.error('tus head error:', error);
+    res.status(500).end();
+  }
+};
+
+// Append bytes to an upload; the last PATCH attaches the file to its facility
+exports.appendUpload = async (req, res) => {
+  const { uploadId } = req.params;
+
+  if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+    return sendError(res, 415, 'Content-Type must be application/offset+octet-stream');
+  }
+
+  const offsetHeader = req.get('Upload-Offset');
+  if (!/^\d+$/.test(offsetHeader || '')) {
+    return sendError(res, 400, 'Upload-Offset must be a non-negative integer');
+  }
+
+  const checksum = parseUploadChecksum(req.get('Upload-Checksum'));
+  if (checksum && checksum.unsupported) {
+    return sendError(res, 400, `Unsupported checksum algorithm. Supported: ${CHECKSUM_ALGORITHMS.join(', ')}`);
+  }
+
+  if (lockedUploads.has(uploadId)) {
+    return sendError(res, 423, 'Another request is already writing to this upload');
+  }
+
+  lockedUploads.add(uploadId);
+  const uploadManager = new ResumableUploadManager();
+
+  try {
+    let session;
+    try {
+      session = await uploadManager.appendToUpload(uploadId, parseInt(offsetHeader, 10), req, checksum);
+    } catch (error) {
+      switch (error.code) {
+        case 'UPLOAD_NOT_FOUND':
+          return sendError(res, 404, error.message);
+        case 'OFFSET_MISMATCH':
+          return sendError(res, 409, error.message);
+        case 'CHECKSUM_MISMATCH':
+          return sendError(res, 460, error.message);
+        case 'LENGTH_EXCEEDED':
+          return sendError(res, 413, error.message);
+        default:
+          throw error;
+      }
+    }
+
+    res.set('Upload-Offset', String(session.offset));
+
+    if (session.offset === session.fileSize) {
+      const { facilityName, facilityCode, description } = session;
+      // Same integrity check and save as the resumable completion path
+      let facility;
+      try {
+        facility = await finishUpload(uploadManager, session, { facilityName, facilityCode, description });
+      } catch (error) {
+        switch (error.code) {
+          // tus uploads have no chunk checksums, so every mismatch fails the upload
+          case 'FILE_HASH_MISMATCH':
+            return res.status(422).json({
+              success: false,
+              message: 'File integrity check failed: SHA-256 of the uploaded file does not match the filehash metadata. The upload was discarded.',
+              expectedHash: error.expectedHash,
+              actualHash: error.actualHash
+            });
+          case 'SAVE_FAILED':
+            console.error('tus upload save error:', error.cause);
+            return sendError(res, 500, `${error.message}. The upload was discarded.`);
+          default:
+            throw error;
+        }
+      }
+
+      res.set('Upload-Facility-Id', String(facility.id));
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('tus patch error:', error);
+    if (!res.headersSent) {
+      sendError(res, 500, error.message);
+    }
+  } finally {
+    lockedUploads.delete(uploadId);
+  }
+};
+
+// Terminate upload (termination extension)
+exports.terminateUpload = async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const uploadManager = new ResumableUploadManager();
+    const session = req.uploadSession;
+
+    if (session.protocol !== 'tus' || session.status !== 'in_progress') {
+      return sendError(res, 404, 'Upload session not found');
+    }
+
+    if (lockedUploads.has(uploadId)) {
+      return sendError(res, 423, 'Upload is being written to');
+    }
+
+    await uploadManager.cancelUpload(uploadId);
+    res.status(204).end();
+  } catch (error) {
+    console.error('tus terminate error:', error);
+    sendError(res, 500, error.message);
+  }
+};
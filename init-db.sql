@@ -21,6 +21,16 @@ CREATE TABLE facility_list (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create upload_blobs table (uploaded dumps stored once per content hash)
+CREATE TABLE upload_blobs (
+    hash VARCHAR(64) PRIMARY KEY,
+    file_path VARCHAR(500) NOT NULL,
+    file_size BIGINT NOT NULL,
+    ref_count INT NOT NULL DEFAULT 0 CHECK (ref_count >= 0),
+    encryption_key_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create facilities table (uploaded database information)
 CREATE TABLE facilities (
     id SERIAL PRIMARY KEY,
@@ -29,6 +39,12 @@ CREATE TABLE facilities (
     facility_code VARCHAR(50) NOT NULL,
     description TEXT,
     file_path VARCHAR(500),
+    file_hash VARCHAR(64) REFERENCES upload_blobs(hash),
+    dump_metadata JSONB,
+    metadata_updated_at TIMESTAMP,
+    validation_status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (validation_status IN ('pending', 'valid', 'invalid', 'warning')),
+    validation_report JSONB,
+    validated_at TIMESTAMP,
     uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -39,8 +55,117 @@ CREATE INDEX idx_facility_code ON facilities(facility_code);
 -- Create index on uploaded_at for sorting
 CREATE INDEX idx_uploaded_at ON facilities(uploaded_at DESC);
 
+-- Create index on file_hash for blob reference lookups
+CREATE INDEX idx_facilities_file_hash ON facilities(file_hash);
+
 -- Create index on facility_list codes
 CREATE INDEX idx_facility_list_code ON facility_list(facility_code);
 
 -- Create index on users
 CREATE INDEX idx_username ON users(username);
+
+-- Create upload_sessions table (resumable and tus upload state)
+CREATE TABLE upload_sessions (
+    id VARCHAR(64) PRIMARY KEY,
+    protocol VARCHAR(20) NOT NULL DEFAULT 'chunked' CHECK (protocol IN ('chunked', 'tus')),
+    user_id INT REFERENCES users(id) ON DELETE SET NULL,
+    facility_name VARCHAR(255),
+    facility_code VARCHAR(50),
+    description TEXT,
+    facility_id INT REFERENCES facilities(id) ON DELETE SET NULL,
+    file_name VARCHAR(255),
+    file_size BIGINT NOT NULL,
+    file_hash VARCHAR(64),
+    content_encoding VARCHAR(20),
+    original_file_size BIGINT,
+    original_file_hash VARCHAR(64),
+    chunk_size INT,
+    total_chunks INT,
+    bytes_received BIGINT NOT NULL DEFAULT 0,
+    raw_upload_metadata TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress'
+        CHECK (status IN ('in_progress', 'completed', 'cancelled', 'expired', 'failed')),
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- Create upload_chunks table (one row per chunk of a chunked upload)
+CREATE TABLE upload_chunks (
+    upload_id VARCHAR(64) NOT NULL REFERENCES upload_sessions(id) ON DELETE CASCADE,
+    chunk_number INT NOT NULL,
+    byte_offset BIGINT NOT NULL,
+    byte_size INT NOT NULL,
+    chunk_hash VARCHAR(64),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('received', 'failed')),
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (upload_id, chunk_number)
+);
+
+-- Create indexes on upload sessions
+CREATE INDEX idx_upload_sessions_status ON upload_sessions(status, updated_at);
+CREATE INDEX idx_upload_sessions_user ON upload_sessions(user_id);
+
+-- Create facility_restores table (sandbox restores of facility dumps)
+CREATE TABLE facility_restores (
+    id SERIAL PRIMARY KEY,
+    facility_id INT REFERENCES facilities(id) ON DELETE SET NULL,
+    facility_code VARCHAR(50) NOT NULL,
+    database_name VARCHAR(63) NOT NULL UNIQUE,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed', 'dropped')),
+    command VARCHAR(20),
+    error TEXT,
+    output TEXT,
+    duration_ms INT,
+    requested_by INT REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    dropped_at TIMESTAMP
+);
+
+CREATE INDEX idx_facility_restores_facility ON facility_restores(facility_id, started_at DESC);
+
+-- Create jobs table (background job queue)
+CREATE TABLE jobs (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 3,
+    progress JSONB,
+    result JSONB,
+    error TEXT,
+    created_by INT REFERENCES users(id) ON DELETE SET NULL,
+    run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+CREATE INDEX idx_jobs_due ON jobs(status, run_at);
+
+-- Create facility_uploads table (history of every upload, kept after re-uploads)
+CREATE TABLE facility_uploads (
+    id SERIAL PRIMARY KEY,
+    facility_id INT REFERENCES facilities(id) ON DELETE SET NULL,
+    facility_code VARCHAR(50) NOT NULL,
+    file_hash VARCHAR(64),
+    dump_metadata JSONB,
+    uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_facility_uploads_code ON facility_uploads(facility_code, uploaded_at DESC);
+
+-- Create reference_schemas table (schemas facility dumps are checked against)
+CREATE TABLE reference_schemas (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('dump', 'manifest')),
+    source_facility_id INT REFERENCES facilities(id) ON DELETE SET NULL,
+    tables JSONB NOT NULL,
+    created_by INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
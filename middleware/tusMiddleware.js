@@ -0,0 +1,39 @@
+const TUS_VERSION = '1.0.0';
+
+// Methods a POST may stand in for via X-HTTP-Method-Override
+const OVERRIDABLE_METHODS = ['PATCH', 'DELETE', 'HEAD'];
+
+/**
+ * Apply tus protocol requirements to every tus request:
+ * - honour X-HTTP-Method-Override on POST for clients that cannot send
+ *   PATCH/DELETE/HEAD; other methods and overrides are left as they are
+ * - always answer with Tus-Resumable
+ * - reject requests without a supported Tus-Resumable header (except OPTIONS)
+ */
+const tusProtocol = (req, res, next) => {
+  const methodOverride = (req.get('X-HTTP-Method-Override') || '').toUpperCase();
+  if (req.method === 'POST' && OVERRIDABLE_METHODS.includes(methodOverride)) {
+    req.method = methodOverride;
+  }
+
+  res.set('Tus-Resumable', TUS_VERSION);
+
+  if (req.method === 'OPTIONS') {
+    return next();
+  }
+
+  if (req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return res.status(412).json({
+      success: false,
+      message: `Unsupported tus version. Supported: ${TUS_VERSION}`
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  TUS_VERSION,
+  tusProtocol
+};
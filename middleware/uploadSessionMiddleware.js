@@ -0,0 +1,45 @@
+const uploadSessionStore = require('../utils/uploadSessionStore');
+const { logger } = require('./logger');
+
+/**
+ * Load the upload session named by req.params.uploadId into req.uploadSession.
+ * Sessions belong to the user who created them; anyone else gets the same 404
+ * as for an unknown ID. Admins can act on other users' sessions only by asking
+ * for it explicitly with ?override=true.
+ */
+const requireUploadOwner = async (req, res, next) => {
+  try {
+    const session = await uploadSessionStore.getSession(req.params.uploadId);
+    const isOwner = session && String(session.userId) === String(req.user.id);
+    const isAdminOverride = req.user.role === 'admin' && req.query.override === 'true';
+
+    if (!session || (!isOwner && !isAdminOverride)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload session not found'
+      });
+    }
+
+    if (!isOwner) {
+      logger.warn(`Admin override on upload session ${session.uploadId}`, {
+        adminId: req.user.id,
+        ownerId: session.userId,
+        method: req.method,
+        path: req.originalUrl
+      });
+    }
+
+    req.uploadSession = session;
+    next();
+  } catch (error) {
+    console.error('Upload session lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  requireUploadOwner
+};
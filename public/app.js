@@ -167,6 +167,8 @@ document.addEventListener('DOMContentLoaded', () => {
                                 <strong>File:</strong> ${escapeHtml(getFileName(facility.file_path))}
                             </div>
                         ` : ''}
+                        ${renderValidation(facility)}
+                        ${renderDumpContents(facility.dump_metadata)}
                         <div class="facility-actions">
                             ${isAdmin ? `
                                 ${facility.file_path ? `
@@ -264,6 +266,105 @@ document.addEventListener('DOMContentLoaded', () => {
         return filePath.split('\\').pop().split('/').pop();
     }
 
+    // Show the outcome of the post-upload validation pipeline
+    function renderValidation(facility) {
+        const status = facility.validation_status || 'pending';
+        const report = facility.validation_report;
+        const labels = { pending: 'Validating...', valid: 'Valid', invalid: 'Invalid', warning: 'Warning' };
+        const problems = report
+            ? report.stages.filter(stage => stage.status === 'failed' || stage.status === 'warning')
+            : [];
+
+        return `
+            <div class="facility-info">
+                <strong>Validation:</strong>
+                <span class="validation-badge validation-${escapeHtml(status)}">${labels[status] || escapeHtml(status)}</span>
+                ${report ? `
+                    <details class="validation-report">
+                        <summary>${problems.length > 0 ? escapeHtml(problems[0].message) : 'All checks passed'}</summary>
+                        <ul>
+                            ${report.stages.map(stage => `
+                                <li class="stage-${escapeHtml(stage.status)}"><strong>${escapeHtml(stage.name)}</strong> (${escapeHtml(stage.status)}): ${escapeHtml(stage.message)}${stage.name === 'schema' ? renderSchemaDifferences(stage.details) : ''}</li>
+                            `).join('')}
+                        </ul>
+                    </details>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // List how a dump differs from the reference schema
+    function renderSchemaDifferences(details) {
+        if (!details) return '';
+
+        const items = [
+            ...details.missingTables.map(table => `Missing table ${table}`),
+            ...details.columnDifferences.flatMap(diff => [
+                ...diff.missingColumns.map(column => `Missing column ${diff.table}.${column}`),
+                ...diff.typeMismatches.map(mismatch => `${diff.table}.${mismatch.column} is ${mismatch.actual}, expected ${mismatch.expected}`)
+            ]),
+            ...details.extraTables.map(table => `Extra table ${table}`)
+        ];
+
+        return items.length > 0
+            ? `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+            : '';
+    }
+
+    // Summarise what a facility's dump contains (stored when the upload was scanned)
+    function renderDumpContents(metadata) {
+        if (!metadata) return '';
+        if (!metadata.isValid) {
+            return `
+                <div class="facility-info">
+                    <strong>Contents:</strong> ${escapeHtml(metadata.error || 'Not a readable PostgreSQL dump')}
+                </div>
+            `;
+        }
+
+        const schemas = Object.entries(metadata.schemas || {});
+        const tableData = metadata.tableData || {};
+        const summary = [
+            `${metadata.tables.length} tables in ${schemas.length} schemas`,
+            `${metadata.totalRows.toLocaleString()} rows`
+        ];
+        if (metadata.extensions.length > 0) {
+            summary.push(`extensions: ${metadata.extensions.join(', ')}`);
+        }
+
+        const tableRows = schemas.flatMap(([schema, tables]) => tables.map(table => {
+            const data = tableData[`${schema}.${table}`];
+            const rows = data && data.rows !== null ? data.rows.toLocaleString() : '-';
+            const size = data && data.bytes !== null ? `${(data.bytes / (1024 * 1024)).toFixed(2)}MB` : '-';
+            return `<tr><td>${escapeHtml(schema)}.${escapeHtml(table)}</td><td>${rows}</td><td>${size}</td></tr>`;
+        })).join('');
+
+        const others = [
+            ['Sequences', metadata.sequences.map(sequence => `${sequence.name} = ${sequence.value === null ? '-' : sequence.value}`)],
+            ['Views', metadata.views],
+            ['Functions', metadata.functions]
+        ].filter(([, items]) => items.length > 0);
+
+        return `
+            <div class="facility-info">
+                <strong>Contents:</strong> ${escapeHtml(summary.join(', '))}
+                ${metadata.pgDumpVersion ? `<br><strong>pg_dump:</strong> ${escapeHtml(metadata.pgDumpVersion)} (server ${escapeHtml(metadata.version || 'unknown')})` : ''}
+                <details class="dump-contents">
+                    <summary>Details</summary>
+                    ${tableRows ? `
+                        <table>
+                            <thead><tr><th>Table</th><th>Rows</th><th>Data</th></tr></thead>
+                            <tbody>${tableRows}</tbody>
+                        </table>
+                    ` : ''}
+                    ${others.map(([label, items]) => `
+                        <div><strong>${label}:</strong> ${escapeHtml(items.join(', '))}</div>
+                    `).join('')}
+                </details>
+            </div>
+        `;
+    }
+
     // Restore PostgreSQL dump (admin only)
     function restoreDump(id) {
         if (confirm('View database dump details. Continue?')) {
@@ -276,9 +377,16 @@ document.addEventListener('DOMContentLoaded', () => {
                     });
 
                     const data = await response.json();
+                    if (response.status !== 202) {
+                        showMessage(data.message || 'Failed to validate database dump', 'error');
+                        return;
+                    }
 
-                    if (response.ok && data.data && data.data.metadata) {
-                        const metadata = data.data.metadata;
+                    showMessage('Checking database dump...', 'info');
+                    const job = await waitForJob(data.jobId);
+
+                    if (job.status === 'succeeded') {
+                        const metadata = job.result.metadata;
                         const tableList = metadata.tables && metadata.tables.length > 0 
                             ? metadata.tables.join(', ') 
                             : 'No tables found';
@@ -287,8 +395,9 @@ document.addEventListener('DOMContentLoaded', () => {
                         
                         const message = `Database Info - Version: ${version}, Dump Date: ${dumpDate}, Tables (${metadata.tables.length}): ${tableList}`;
                         showMessage(message, 'success');
+                        loadFacilities();
                     } else {
-                        showMessage(data.message || 'Failed to validate database dump', 'error');
+                        showMessage(job.error || 'Failed to validate database dump', 'error');
                     }
                 } catch (error) {
                     showMessage('Error: ' + error.message, 'error');
@@ -297,6 +406,33 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Poll a background job (202 responses carry its ID) until it finishes.
+    // Gives up when no worker picks the job up within queuedTimeoutMs (the
+    // worker is disabled or stalled) or the job isn't done within timeoutMs.
+    async function waitForJob(jobId, { intervalMs = 2000, queuedTimeoutMs = 60 * 1000, timeoutMs = 15 * 60 * 1000 } = {}) {
+        const startedAt = Date.now();
+        for (;;) {
+            const response = await fetch(`/api/jobs/${jobId}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to get job status');
+            }
+            const job = data.data;
+            if (job.status === 'succeeded' || job.status === 'failed') {
+                return job;
+            }
+
+            const waited = Date.now() - startedAt;
+            if (job.status === 'queued' && !job.startedAt && waited > queuedTimeoutMs) {
+                throw new Error('The job has not started - the background worker may be disabled or stalled. Please contact an administrator.');
+            }
+            if (waited > timeoutMs) {
+                throw new Error(`The job is still ${job.status} after ${formatDuration(Math.round(waited / 1000))} - check its status again later`);
+            }
+            await new Promise(resolve => setTimeout(resolve, intervalMs));
+        }
+    }
+
     // Download database file (admin only)
     function downloadDatabase(id) {
         try {
@@ -399,6 +535,21 @@ document.addEventListener('DOMContentLoaded', () => {
                 downloadPercent.textContent = '0%';
                 downloadSize.textContent = '';
                 downloadSpeed.textContent = '';
+                downloadFileName.textContent = 'Generating report...';
+
+                // The report is generated in the background, then downloaded
+                const csrfToken = document.querySelector('input[name="_csrf"]').value;
+                const response = await fetch('/api/facilities/report', {
+                    method: 'POST',
+                    headers: { 'csrf-token': csrfToken }
+                });
+                const data = await response.json();
+                const job = response.status === 202 ? await waitForJob(data.jobId) : null;
+                if (!job || job.status !== 'succeeded') {
+                    downloadProgressDiv.style.display = 'none';
+                    showMessage((job && job.error) || data.message || 'Failed to generate report', 'error');
+                    return;
+                }
                 downloadFileName.textContent = 'Downloading report...';
 
                 const xhr = new XMLHttpRequest();
@@ -435,7 +586,7 @@ document.addEventListener('DOMContentLoaded', () => {
                         const url = window.URL.createObjectURL(blob);
                         const a = document.createElement('a');
                         a.href = url;
-                        a.download = `upload-report-${new Date().getTime()}.csv`;
+                        a.download = job.result.fileName;
                         document.body.appendChild(a);
                         a.click();
                         window.URL.revokeObjectURL(url);
@@ -462,18 +613,109 @@ document.addEventListener('DOMContentLoaded', () => {
                     showMessage('Download cancelled', 'error');
                 });
 
-                xhr.open('GET', '/api/facilities/report/download', true);
+                xhr.open('GET', `/api/jobs/${job.id}/download`, true);
                 xhr.responseType = 'arraybuffer';
                 xhr.send();
             } catch (error) {
+                document.getElementById('downloadProgress').style.display = 'none';
                 showMessage('Error: ' + error.message, 'error');
             }
         });
     }
 
+    // Format a duration in seconds as e.g. "1h 5m" or "42s"
+    function formatDuration(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+
+    // Load in-flight upload sessions of all users (admin only)
+    const activeUploadsList = document.getElementById('activeUploadsList');
+
+    async function loadActiveUploads() {
+        if (!activeUploadsList) return;
+
+        try {
+            const response = await fetch('/api/facilities/resumable', { credentials: 'same-origin' });
+            const data = await response.json();
+
+            if (data.success && data.data.length > 0) {
+                activeUploadsList.innerHTML = data.data.map(upload => `
+                    <div class="facility-card">
+                        <h3>${escapeHtml(upload.facilityName || upload.filename || upload.uploadId)}</h3>
+                        <div class="facility-info">
+                            <strong>Code:</strong> ${escapeHtml(upload.facilityCode || '-')}
+                        </div>
+                        <div class="facility-info">
+                            <strong>User:</strong> ${escapeHtml(upload.username || String(upload.userId || '-'))}
+                        </div>
+                        <div class="facility-info">
+                            <strong>Progress:</strong> ${upload.progress}%
+                            (${(upload.uploadedSize / (1024 * 1024)).toFixed(2)}MB / ${(upload.fileSize / (1024 * 1024)).toFixed(2)}MB)
+                        </div>
+                        <div class="facility-info">
+                            <strong>Last activity:</strong> ${new Date(upload.lastActivity).toLocaleString()}
+                        </div>
+                        <div class="facility-info">
+                            <strong>Time left:</strong> ${upload.etaSeconds !== null ? formatDuration(upload.etaSeconds) : `stalled (idle ${formatDuration(upload.idleSeconds)})`}
+                        </div>
+                        <div class="facility-actions">
+                            <button class="btn-delete" data-action="cancel-upload" data-upload-id="${escapeHtml(upload.uploadId)}">Cancel Upload</button>
+                        </div>
+                    </div>
+                `).join('');
+
+                activeUploadsList.querySelectorAll('button[data-action="cancel-upload"]').forEach(btn => {
+                    btn.addEventListener('click', (e) => {
+                        cancelActiveUpload(e.target.getAttribute('data-upload-id'));
+                    });
+                });
+            } else {
+                activeUploadsList.innerHTML = '<div class="empty-state">No uploads in progress</div>';
+            }
+        } catch (error) {
+            activeUploadsList.innerHTML = '<div class="empty-state">Error loading uploads in progress</div>';
+        }
+    }
+
+    // Cancel another user's upload session (admin override)
+    async function cancelActiveUpload(uploadId) {
+        if (!confirm('Cancel this upload? The uploaded data will be deleted.')) return;
+
+        try {
+            const csrfToken = document.querySelector('input[name="_csrf"]').value;
+            const response = await fetch(`/api/facilities/resumable/${encodeURIComponent(uploadId)}/cancel?override=true`, {
+                method: 'DELETE',
+                credentials: 'same-origin',
+                headers: { 'csrf-token': csrfToken }
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                showMessage(data.message, 'success');
+            } else {
+                showMessage(data.message || 'Cancel failed', 'error');
+            }
+            loadActiveUploads();
+        } catch (error) {
+            showMessage('Error: ' + error.message, 'error');
+        }
+    }
+
+    const refreshActiveUploadsBtn = document.getElementById('refreshActiveUploadsBtn');
+    if (refreshActiveUploadsBtn) {
+        refreshActiveUploadsBtn.addEventListener('click', loadActiveUploads);
+    }
+
     // Load facilities on page load
     loadFacilityList();
     loadFacilities();
+    if (isAdmin) {
+        loadActiveUploads();
+        setInterval(loadActiveUploads, 30000);
+    }
 
     // Setup resumable upload form
     const resumableForm = document.getElementById('resumableForm');
@@ -481,9 +723,93 @@ document.addEventListener('DOMContentLoaded', () => {
     const resumableFacilityName = document.getElementById('resumable_facility_name');
     const resumableFacilityCode = document.getElementById('resumable_facility_code');
     const resumableDescription = document.getElementById('resumable_description');
+    const resumableCompressInput = document.getElementById('resumable_compress');
     const resumableProgress = document.getElementById('resumableProgress');
     const cancelUploadBtn = document.getElementById('cancelUploadBtn');
+    const pendingUploadPrompt = document.getElementById('pendingUploadPrompt');
+    const pendingUploads = new PendingUploadStore();
     let currentUploadManager = null;
+    let pendingUpload = null;
+
+    // Browser-side gzip needs CompressionStream
+    if (typeof CompressionStream === 'undefined') {
+        resumableCompressInput.checked = false;
+        resumableCompressInput.closest('.form-group').style.display = 'none';
+    }
+
+    // Offer to resume the most recent unfinished upload from an earlier visit
+    async function showPendingUploadPrompt() {
+        let records;
+        try {
+            records = await pendingUploads.list();
+        } catch (error) {
+            console.warn('Pending uploads unavailable:', error);
+            return;
+        }
+
+        for (const record of records) {
+            const response = await fetch(`/api/facilities/resumable/${encodeURIComponent(record.uploadId)}/progress`, {
+                credentials: 'same-origin'
+            });
+            const data = response.ok ? await response.json() : null;
+
+            // Completed, cancelled or expired on the server: nothing left to resume
+            if (!data || !data.progress || data.progress.status !== 'in_progress') {
+                await pendingUploads.remove(record.uploadId);
+                continue;
+            }
+
+            pendingUpload = record;
+            document.getElementById('pendingUploadText').textContent =
+                `Unfinished upload: ${record.fileName} for ${record.facilityName || 'unknown facility'} ` +
+                `(${data.progress.progress}% uploaded). Select the same file again to continue with the missing chunks.`;
+            pendingUploadPrompt.style.display = 'block';
+            return;
+        }
+    }
+
+    // Resume: switch to the resumable form and restore the facility details
+    document.getElementById('resumePendingUploadBtn').addEventListener('click', () => {
+        if (!pendingUpload) return;
+
+        document.querySelector('.method-btn[data-method="resumable"]').click();
+        if (pendingUpload.facilityName) {
+            resumableFacilityName.value = pendingUpload.facilityName;
+            resumableFacilityName.dispatchEvent(new Event('change'));
+        }
+        resumableDescription.value = pendingUpload.description || '';
+        resumableFileInput.click();
+    });
+
+    // Discard: cancel the server session and forget it locally
+    document.getElementById('discardPendingUploadBtn').addEventListener('click', async () => {
+        if (!pendingUpload) return;
+
+        const csrfTokenElement = resumableForm.querySelector('input[name="_csrf"]');
+        try {
+            await fetch(`/api/facilities/resumable/${encodeURIComponent(pendingUpload.uploadId)}/cancel`, {
+                method: 'DELETE',
+                credentials: 'same-origin',
+                headers: { 'csrf-token': csrfTokenElement ? csrfTokenElement.value : '' }
+            });
+        } catch (error) {
+            console.warn('Could not cancel pending upload on server:', error);
+        }
+        await pendingUploads.remove(pendingUpload.uploadId);
+        pendingUpload = null;
+        pendingUploadPrompt.style.display = 'none';
+    });
+
+    // Tell the user when the selected file continues the pending upload
+    resumableFileInput.addEventListener('change', () => {
+        const file = resumableFileInput.files[0];
+        if (pendingUpload && file && file.name === pendingUpload.fileName &&
+            file.size === pendingUpload.fileSize && file.lastModified === pendingUpload.lastModified) {
+            showMessage('File matches the unfinished upload. Only missing chunks will be sent.', 'success');
+        }
+    });
+
+    showPendingUploadPrompt().catch(error => console.warn('Could not check pending uploads:', error));
 
     // Load facility list for resumable form
     resumableFacilityName.addEventListener('change', (e) => {
@@ -520,11 +846,20 @@ document.addEventListener('DOMContentLoaded', () => {
             chunkSize: 5 * 1024 * 1024, // 5MB chunks
             maxRetries: 3,
             retryDelay: 500, // 500ms retry delay
-            chunkDelay: 100 // 100ms delay between chunks to avoid rate limiting
+            chunkDelay: 100, // 100ms delay between chunks to avoid rate limiting
+            concurrency: 3, // Keep 3 chunks in flight to fill high-latency links
+            pendingStore: pendingUploads,
+            compress: resumableCompressInput.checked
         });
 
         // Setup event handlers
         currentUploadManager.onProgress = (progress) => {
+            if (progress.hashedBytes !== undefined) {
+                const hashedPercent = Math.round((progress.hashedBytes / progress.totalBytes) * 100);
+                document.getElementById('resumableChunkProgress').textContent = `${progress.status} ${hashedPercent}%`;
+                return;
+            }
+
             const percent = Math.round((progress.uploadedBytes / progress.totalBytes) * 100);
             document.getElementById('resumableProgressPercent').textContent = percent + '%';
             document.getElementById('resumableProgressFill').style.width = percent + '%';
@@ -550,30 +885,33 @@ document.addEventListener('DOMContentLoaded', () => {
                 const csrfTokenElement = resumableForm.querySelector('input[name="_csrf"]');
                 const csrfToken = csrfTokenElement ? csrfTokenElement.value : '';
 
-                const progressResp = await fetch('/api/facilities/resumable/' + currentUploadManager.uploadId + '/progress', {
-                    credentials: 'same-origin',
-                    headers: { 'csrf-token': csrfToken }
-                });
-                let progressData = null;
-                try {
-                    progressData = await progressResp.json();
-                } catch {}
-
-                if (!progressResp.ok || !progressData || !progressData.success) {
-                    showMessage('Could not verify upload progress before finalize.', 'error');
-                    console.warn('Finalize preflight failed', progressResp.status, progressData);
-                    return;
-                }
+                // Skipped when the server already stores an identical file and no chunks were sent
+                if (!currentUploadManager.alreadyOnServer) {
+                    const progressResp = await fetch('/api/facilities/resumable/' + currentUploadManager.uploadId + '/progress', {
+                        credentials: 'same-origin',
+                        headers: { 'csrf-token': csrfToken }
+                    });
+                    let progressData = null;
+                    try {
+                        progressData = await progressResp.json();
+                    } catch {}
+
+                    if (!progressResp.ok || !progressData || !progressData.success) {
+                        showMessage('Could not verify upload progress before finalize.', 'error');
+                        console.warn('Finalize preflight failed', progressResp.status, progressData);
+                        return;
+                    }
 
-                const meta = progressData.progress;
-                if (!meta || meta.uploadedChunks.length !== meta.totalChunks) {
-                    showMessage(`Upload incomplete: ${meta ? meta.uploadedChunks.length : 0}/${meta ? meta.totalChunks : '?'} chunks. Not finalizing.`, 'error');
-                    console.warn('Finalize blocked due to incomplete upload', meta);
-                    return;
+                    const meta = progressData.progress;
+                    if (!meta || meta.uploadedChunks.length !== meta.totalChunks) {
+                        showMessage(`Upload incomplete: ${meta ? meta.uploadedChunks.length : 0}/${meta ? meta.totalChunks : '?'} chunks. Not finalizing.`, 'error');
+                        console.warn('Finalize blocked due to incomplete upload', meta);
+                        return;
+                    }
                 }
 
                 // Complete the upload on server only after verification
-                const finalizeResponse = await fetch('/api/facilities/resumable/' + currentUploadManager.uploadId + '/complete', {
+                const finalize = () => fetch('/api/facilities/resumable/' + currentUploadManager.uploadId + '/complete', {
                     method: 'POST',
                     credentials: 'same-origin',
                     headers: {
@@ -584,10 +922,12 @@ document.addEventListener('DOMContentLoaded', () => {
                         uploadId: currentUploadManager.uploadId,
                         facilityName,
                         facilityCode,
-                        description
+                        description,
+                        contentEncoding: currentUploadManager.contentEncoding
                     })
                 });
 
+                let finalizeResponse = await finalize();
                 let finalizeData = null;
                 try {
                     finalizeData = await finalizeResponse.json();
@@ -595,6 +935,19 @@ document.addEventListener('DOMContentLoaded', () => {
                     console.error('Finalize response parse error', parseErr);
                 }
 
+                // Integrity check failed: re-send only the corrupted chunks and finalize again
+                if (finalizeResponse.status === 422 && finalizeData && finalizeData.failedChunks && finalizeData.failedChunks.length > 0) {
+                    showMessage(`Re-sending ${finalizeData.failedChunks.length} corrupted chunk(s)...`, 'error');
+                    await currentUploadManager.resendChunks('/api/facilities/resumable', finalizeData.failedChunks, csrfToken);
+                    finalizeResponse = await finalize();
+                    finalizeData = null;
+                    try {
+                        finalizeData = await finalizeResponse.json();
+                    } catch (parseErr) {
+                        console.error('Finalize response parse error', parseErr);
+                    }
+                }
+
                 if (!finalizeResponse.ok) {
                     const msg = (finalizeData && finalizeData.message) ? finalizeData.message : 'Finalize failed';
                     showMessage('Finalize error: ' + msg, 'error');
@@ -605,7 +958,12 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
 
                 if (finalizeData && finalizeData.success) {
-                    showMessage('Upload completed successfully! Facility added.', 'success');
+                    await currentUploadManager.forgetPendingUpload();
+                    pendingUpload = null;
+                    pendingUploadPrompt.style.display = 'none';
+                    showMessage(finalizeData.deduplicated
+                        ? 'File was already on the server. Facility added without re-uploading.'
+                        : 'Upload completed successfully! Facility added.', 'success');
                     resumableForm.reset();
                     resumableProgress.style.display = 'none';
                     cancelUploadBtn.style.display = 'none';
@@ -628,7 +986,11 @@ document.addEventListener('DOMContentLoaded', () => {
             const csrfToken = csrfTokenElement ? csrfTokenElement.value : '';
             
             // Start the upload
-            await currentUploadManager.startUpload(file, '/api/facilities/resumable', csrfToken);
+            await currentUploadManager.startUpload(file, '/api/facilities/resumable', csrfToken, {
+                facilityName,
+                facilityCode,
+                description
+            });
         } catch (error) {
             showMessage('Upload failed: ' + error.message, 'error');
             resumableProgress.style.display = 'none';
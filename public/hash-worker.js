@@ -0,0 +1,194 @@
+/**
+ * Hash worker - Computes the SHA-256 of a File off the main thread.
+ *
+ * crypto.subtle.digest only hashes a complete buffer, so this worker uses an
+ * incremental SHA-256 and reads the file one slice at a time; memory use stays
+ * at one slice regardless of file size. With `compress`, the same pass also
+ * gzips the file with CompressionStream and hashes the compressed output,
+ * which is kept in memory; callers only compress files up to a size limit.
+ *
+ * Message in:  { file, sliceSize, compress }
+ * Messages out: { type: 'progress', bytesHashed, totalBytes }
+ *               { type: 'done', hash, compressed: { blob, hash, size } | null }
+ *               { type: 'error', message }
+ */
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * Incremental SHA-256 (FIPS 180-4): update() any number of times, then digest()
+ */
+class Sha256 {
+  constructor() {
+    this.state = new Uint32Array([
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    this.block = new Uint8Array(64);
+    this.blockLength = 0;
+    this.bytesHashed = 0;
+    this.w = new Uint32Array(64);
+  }
+
+  update(data) {
+    let pos = 0;
+    this.bytesHashed += data.length;
+
+    // Fill up a block left over from the previous update
+    if (this.blockLength > 0) {
+      const take = Math.min(64 - this.blockLength, data.length);
+      this.block.set(data.subarray(0, take), this.blockLength);
+      this.blockLength += take;
+      pos = take;
+      if (this.blockLength === 64) {
+        this.processBlock(this.block, 0);
+        this.blockLength = 0;
+      }
+    }
+
+    while (pos + 64 <= data.length) {
+      this.processBlock(data, pos);
+      pos += 64;
+    }
+
+    if (pos < data.length) {
+      this.block.set(data.subarray(pos), 0);
+      this.blockLength = data.length - pos;
+    }
+  }
+
+  processBlock(bytes, offset) {
+    const w = this.w;
+
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const x = w[i - 15];
+      const y = w[i - 2];
+      const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+      const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = this.state;
+
+    for (let i = 0; i < 64; i++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + S1 + ch + K[i] + w[i]) | 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) | 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    this.state[0] += a;
+    this.state[1] += b;
+    this.state[2] += c;
+    this.state[3] += d;
+    this.state[4] += e;
+    this.state[5] += f;
+    this.state[6] += g;
+    this.state[7] += h;
+  }
+
+  digest() {
+    // Message length in bits as a 64-bit big-endian integer
+    const bitsHigh = Math.floor(this.bytesHashed / 0x20000000);
+    const bitsLow = (this.bytesHashed % 0x20000000) * 8;
+
+    this.block[this.blockLength++] = 0x80;
+    if (this.blockLength > 56) {
+      this.block.fill(0, this.blockLength);
+      this.processBlock(this.block, 0);
+      this.blockLength = 0;
+    }
+    this.block.fill(0, this.blockLength);
+
+    const view = new DataView(this.block.buffer);
+    view.setUint32(56, bitsHigh);
+    view.setUint32(60, bitsLow);
+    this.processBlock(this.block, 0);
+
+    return Array.from(this.state).map(word => word.toString(16).padStart(8, '0')).join('');
+  }
+}
+
+/**
+ * Hash a file slice by slice, optionally compressing it in the same pass.
+ * Shared by the worker and the in-page fallback.
+ */
+async function digestFile(file, sliceSize, compress, onProgress) {
+  const sha256 = new Sha256();
+  let writer = null;
+  let drained = null;
+  const compressedSha256 = new Sha256();
+  const compressedParts = [];
+
+  if (compress) {
+    const compressor = new CompressionStream(compress);
+    writer = compressor.writable.getWriter();
+    drained = (async () => {
+      const reader = compressor.readable.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        compressedSha256.update(value);
+        compressedParts.push(value);
+      }
+    })();
+  }
+
+  for (let offset = 0; offset < file.size; offset += sliceSize) {
+    const slice = new Uint8Array(await file.slice(offset, offset + sliceSize).arrayBuffer());
+    sha256.update(slice);
+    if (writer) await writer.write(slice);
+    onProgress(Math.min(offset + sliceSize, file.size));
+  }
+
+  if (!writer) {
+    return { hash: sha256.digest(), compressed: null };
+  }
+
+  await writer.close();
+  await drained;
+  const blob = new Blob(compressedParts, { type: 'application/gzip' });
+  return {
+    hash: sha256.digest(),
+    compressed: { blob, hash: compressedSha256.digest(), size: blob.size }
+  };
+}
+
+if (typeof self !== 'undefined' && typeof importScripts === 'function') {
+  self.onmessage = async (event) => {
+    const { file, sliceSize = 4 * 1024 * 1024, compress = null } = event.data;
+
+    try {
+      const result = await digestFile(file, sliceSize, compress, (bytesHashed) => {
+        self.postMessage({ type: 'progress', bytesHashed, totalBytes: file.size });
+      });
+
+      self.postMessage({ type: 'done', ...result });
+    } catch (error) {
+      self.postMessage({ type: 'error', message: error.message });
+    }
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * PendingUploadStore - Remembers unfinished resumable uploads in IndexedDB
+ * so they can be resumed after a page reload or browser restart.
+ *
+ * Records: { uploadId, fileName, fileSize, lastModified, fileHash,
+ *            contentEncoding, facilityName, facilityCode, description, savedAt }
+ * fileHash is the hash of what was sent, i.e. of the gzipped copy when
+ * contentEncoding is 'gzip'.
+ */
+class PendingUploadStore {
+  constructor(dbName = 'facility-uploads', storeName = 'pendingUploads') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and on first use create) the database
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'uploadId' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against the object store
+   */
+  async request(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Save or replace a pending upload
+   */
+  save(record) {
+    return this.request('readwrite', store => store.put({ ...record, savedAt: new Date().toISOString() }));
+  }
+
+  /**
+   * List all pending uploads, most recently saved first
+   */
+  async list() {
+    const records = await this.request('readonly', store => store.getAll());
+    return records.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  /**
+   * Forget a pending upload
+   */
+  remove(uploadId) {
+    return this.request('readwrite', store => store.delete(uploadId));
+  }
+
+  /**
+   * Find the pending upload for a file the user selected again.
+   * Name, size and last-modified time must all match, otherwise the file is
+   * treated as new and hashed from scratch.
+   */
+  async findForFile(file) {
+    const records = await this.list();
+    return records.find(record =>
+      record.fileName === file.name &&
+      record.fileSize === file.size &&
+      record.lastModified === file.lastModified
+    ) || null;
+  }
+}
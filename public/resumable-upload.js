@@ -7,7 +7,15 @@ class ResumableUploadManager {
     this.maxRetries = options.maxRetries || 3;
     this.retryDelay = options.retryDelay || 1000;
     this.chunkDelay = options.chunkDelay || 0; // Delay between chunks (ms)
+    this.concurrency = options.concurrency || 1; // Chunks in flight at once
+    this.pendingStore = options.pendingStore || null; // PendingUploadStore to resume after reloads
+    this.hashWorkerUrl = options.hashWorkerUrl || '/hash-worker.js';
+    this.hashSliceSize = options.hashSliceSize || 4 * 1024 * 1024; // 4MB read per hashing step
+    this.compress = options.compress || false; // Gzip plain .sql files in the browser before upload
+    this.maxCompressSize = options.maxCompressSize || 512 * 1024 * 1024; // The gzipped copy is held in memory
+    this.contentEncoding = null; // 'gzip' when the payload being sent is compressed
     this.uploadId = null;
+    this.alreadyOnServer = false; // Server already stores an identical file
     this.onProgress = options.onProgress || (() => {});
     this.onChunkComplete = options.onChunkComplete || (() => {});
     this.onError = options.onError || (() => {});
@@ -55,52 +63,123 @@ class ResumableUploadManager {
   }
 
   /**
-   * Calculate file hash (SHA-256)
+   * Calculate file hash (SHA-256) incrementally in a Web Worker, one slice at
+   * a time, so large dumps never have to fit in memory or block the page
    */
   async calculateFileHash(file) {
+    const result = await this.runHashWorker(file, null, 'Calculating file hash...');
+    return result.hash;
+  }
+
+  /**
+   * Gzip a file with CompressionStream, hashing the original and the
+   * compressed data in the same pass.
+   * Resolves with { hash, compressed: { blob, hash, size } }.
+   */
+  compressFile(file) {
+    return this.runHashWorker(file, 'gzip', 'Compressing file...');
+  }
+
+  /**
+   * Whether a file should be gzipped before upload: plain SQL only, as
+   * custom-format and already compressed dumps gain little, and only up to
+   * maxCompressSize, as the compressed copy is kept in memory until sent
+   */
+  shouldCompress(file) {
+    return this.compress && typeof CompressionStream !== 'undefined' &&
+      /\.sql$/i.test(file.name) && file.size <= this.maxCompressSize;
+  }
+
+  /**
+   * Run the hash worker (see hash-worker.js), reporting progress as it reads
+   */
+  async runHashWorker(file, compress, status) {
+    const reportProgress = (hashedBytes) => {
+      this.onProgress({
+        status,
+        uploadedBytes: 0,
+        hashedBytes,
+        totalBytes: file.size
+      });
+    };
+
+    // Without Web Workers, the same incremental code runs on the page
+    if (typeof Worker === 'undefined') {
+      return digestFile(file, this.hashSliceSize, compress, reportProgress);
+    }
+
     return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      const chunkSize = 64 * 1024; // 64KB chunks for hashing
-      let offset = 0;
-      const chunks = [];
-
-      reader.onload = async (e) => {
-        chunks.push(new Uint8Array(e.target.result));
-        offset += chunkSize;
-
-        if (offset < file.size) {
-          const chunk = file.slice(offset, offset + chunkSize);
-          reader.readAsArrayBuffer(chunk);
-        } else {
-          try {
-            const combined = new Uint8Array(chunks.reduce((acc, chunk) => acc + chunk.length, 0));
-            let pos = 0;
-            for (const chunk of chunks) {
-              combined.set(chunk, pos);
-              pos += chunk.length;
-            }
-
-            const hashBuffer = await crypto.subtle.digest('SHA-256', combined);
-            const hashArray = Array.from(new Uint8Array(hashBuffer));
-            const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-            resolve(hashHex);
-          } catch (error) {
-            reject(error);
-          }
+      const worker = new Worker(this.hashWorkerUrl);
+
+      worker.onmessage = (e) => {
+        const message = e.data;
+        if (message.type === 'progress') {
+          reportProgress(message.bytesHashed);
+        } else if (message.type === 'done') {
+          worker.terminate();
+          resolve({ hash: message.hash, compressed: message.compressed });
+        } else if (message.type === 'error') {
+          worker.terminate();
+          reject(new Error(message.message));
         }
       };
 
-      reader.onerror = reject;
+      worker.onerror = (e) => {
+        worker.terminate();
+        reject(new Error(e.message || 'File hashing failed'));
+      };
 
-      const chunk = file.slice(0, chunkSize);
-      reader.readAsArrayBuffer(chunk);
+      worker.postMessage({ file, sliceSize: this.hashSliceSize, compress });
     });
   }
 
+  /**
+   * Calculate chunk hash (SHA-256) so the server can verify each chunk on save
+   */
+  async calculateChunkHash(chunk) {
+    const buffer = await chunk.arrayBuffer();
+    const hashBuffer = await crypto.subtle.digest('SHA-256', buffer);
+    const hashArray = Array.from(new Uint8Array(hashBuffer));
+    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Pending-upload bookkeeping. IndexedDB can be unavailable (private
+   * browsing, storage quota), which must never fail the upload itself.
+   */
+  async findPendingUpload(file) {
+    if (!this.pendingStore) return null;
+    try {
+      return await this.pendingStore.findForFile(file);
+    } catch (error) {
+      console.warn('Could not read pending uploads:', error);
+      return null;
+    }
+  }
+
+  async rememberPendingUpload(record) {
+    if (!this.pendingStore) return;
+    try {
+      await this.pendingStore.save(record);
+    } catch (error) {
+      console.warn('Could not save pending upload:', error);
+    }
+  }
+
+  async forgetPendingUpload(uploadId = this.uploadId) {
+    if (!this.pendingStore || !uploadId) return;
+    try {
+      await this.pendingStore.remove(uploadId);
+    } catch (error) {
+      console.warn('Could not remove pending upload:', error);
+    }
+  }
+
   /**
    * Start resumable upload
+   * facility ({ facilityName, facilityCode, description }) is stored with the session
    */
-  async startUpload(file, baseUrl, csrfToken = null) {
+  async startUpload(file, baseUrl, csrfToken = null, facility = {}) {
     try {
       // CRITICAL: Always use HTTP on localhost/127.0.0.1 to avoid HSTS forcing HTTPS redirects
       // which then fail with net::ERR_SSL_PROTOCOL_ERROR (localhost has no valid HTTPS cert)
@@ -127,14 +206,34 @@ class ResumableUploadManager {
         uploadedBytes: 0,
         totalBytes: file.size
       });
-      const fileHash = await this.calculateFileHash(file);
-      console.log('File hash calculated:', fileHash);
+      const pending = await this.findPendingUpload(file);
+      let upload = file; // The payload sent: the file itself or its gzipped copy
+      let uploadName = file.name;
+      let fileHash;
+      let original = {};
+      this.contentEncoding = null;
+
+      if (this.shouldCompress(file)) {
+        // The compressed copy is only held in memory, so it is rebuilt even for a pending upload
+        const result = await this.compressFile(file);
+        upload = result.compressed.blob;
+        uploadName = `${file.name}.gz`;
+        fileHash = result.compressed.hash;
+        this.contentEncoding = 'gzip';
+        original = { contentEncoding: 'gzip', originalSize: file.size, originalHash: result.hash };
+        console.log(`File compressed: ${file.size} -> ${upload.size} bytes, hash:`, fileHash);
+      } else {
+        // A file remembered from an earlier, unfinished upload is not hashed again
+        const reuseHash = pending && !pending.contentEncoding;
+        fileHash = reuseHash ? pending.fileHash : await this.calculateFileHash(file);
+        console.log(reuseHash ? 'Reusing hash of pending upload:' : 'File hash calculated:', fileHash);
+      }
 
       // Initialize upload session
       this.onProgress({
         status: 'Initializing upload session...',
         uploadedBytes: 0,
-        totalBytes: file.size
+        totalBytes: upload.size
       });
 
       const initResponse = await fetch(baseUrl + '/init', {
@@ -145,9 +244,11 @@ class ResumableUploadManager {
           'csrf-token': csrfToken || ''
         },
         body: JSON.stringify({
-          fileName: file.name,
-          fileSize: file.size,
-          fileHash: fileHash
+          fileName: uploadName,
+          fileSize: upload.size,
+          fileHash: fileHash,
+          ...original,
+          ...facility
         })
       });
 
@@ -158,73 +259,77 @@ class ResumableUploadManager {
 
       const initData = await initResponse.json();
       this.uploadId = initData.uploadId;
+      this.alreadyOnServer = initData.alreadyOnServer === true;
+      this.file = upload;
       this.csrfToken = csrfToken; // Store CSRF token for later use
-      const totalChunks = Math.ceil(file.size / this.chunkSize);
+      const totalChunks = Math.ceil(upload.size / this.chunkSize);
 
       console.log(`Upload initialized. ID: ${this.uploadId}, Total chunks: ${totalChunks}`);
 
+      if (pending && pending.uploadId !== this.uploadId) {
+        await this.forgetPendingUpload(pending.uploadId);
+      }
+      await this.rememberPendingUpload({
+        uploadId: this.uploadId,
+        fileName: file.name,
+        fileSize: file.size,
+        lastModified: file.lastModified,
+        fileHash,
+        contentEncoding: this.contentEncoding,
+        facilityName: facility.facilityName || null,
+        facilityCode: facility.facilityCode || null,
+        description: facility.description || null
+      });
+
+      // Identical file already stored on the server: nothing to transfer
+      if (this.alreadyOnServer) {
+        console.log('File already on server. Completing without upload...');
+        this.onProgress({
+          uploadId: this.uploadId,
+          uploadedBytes: upload.size,
+          totalBytes: upload.size,
+          status: 'File already on server. Finalizing...'
+        });
+        this.onComplete();
+        return { success: true, uploadId: this.uploadId, alreadyOnServer: true };
+      }
+
       // Get upload progress (check for resumed uploads)
       const progressData = await this.getUploadProgress(baseUrl, csrfToken);
-      const uploadedChunkNumbers = progressData.progress && progressData.progress.uploadedChunks 
-        ? progressData.progress.uploadedChunks 
-        : [];
-      const allUploaded = uploadedChunkNumbers.length === totalChunks;
-      const startChunk = allUploaded
-        ? totalChunks + 1 // Sentinel value beyond range
-        : (uploadedChunkNumbers.length > 0 ? Math.max(...uploadedChunkNumbers) + 1 : 1);
+      const pendingChunks = this.getPendingChunks(progressData.progress, totalChunks);
+      const allUploaded = pendingChunks.length === 0;
 
       if (allUploaded) {
         console.log('All chunks already uploaded. Finalizing...');
         this.onProgress({
           uploadId: this.uploadId,
-          uploadedBytes: file.size,
-          totalBytes: file.size,
+          uploadedBytes: upload.size,
+          totalBytes: upload.size,
           status: 'All chunks already uploaded. Finalizing...'
         });
-      } else if (startChunk > 1) {
-        console.log(`Resuming upload from chunk ${startChunk}`);
+      } else if (pendingChunks.length < totalChunks) {
+        console.log(`Resuming upload: ${pendingChunks.length} of ${totalChunks} chunks missing`);
         this.onProgress({
           uploadId: this.uploadId,
-          uploadedBytes: (startChunk - 1) * this.chunkSize,
-          totalBytes: file.size,
-          status: `Resuming upload from chunk ${startChunk}...`
+          uploadedBytes: upload.size - this.getChunksBytes(pendingChunks),
+          totalBytes: upload.size,
+          status: `Resuming upload: ${pendingChunks.length} of ${totalChunks} chunks remaining...`
         });
       }
 
       // Only run upload loop if there are remaining chunks
       if (!allUploaded) {
-        // Upload chunks
-        for (let i = startChunk; i <= totalChunks; i++) {
-          const start = (i - 1) * this.chunkSize;
-          const end = Math.min(start + this.chunkSize, file.size);
-          const chunk = file.slice(start, end);
-
-          await this.uploadChunk(baseUrl, i, chunk, totalChunks, 0, csrfToken);
-
-          // Add delay between chunks if configured
-          if (this.chunkDelay > 0 && i < totalChunks) {
-            await new Promise(resolve => setTimeout(resolve, this.chunkDelay));
-          }
-
-          // Report progress
-          this.onProgress({
-            uploadId: this.uploadId,
-            currentChunk: i,
-            totalChunks,
-            uploadedBytes: end,
-            totalBytes: file.size,
-            status: `Uploading chunk ${i} of ${totalChunks}...`
-          });
-
-          this.onChunkComplete(i, totalChunks);
-        }
+        await this.uploadChunks(baseUrl, pendingChunks, upload.size - this.getChunksBytes(pendingChunks), csrfToken);
       }
 
+      // Re-send any chunks the server rejected during checksum verification
+      await this.resendFailedChunks(baseUrl, csrfToken);
+
       // Complete upload is handled by the caller (app.js)
       this.onProgress({
         status: 'Upload completed! Finalizing...',
-        uploadedBytes: file.size,
-        totalBytes: file.size
+        uploadedBytes: upload.size,
+        totalBytes: upload.size
       });
       this.onComplete();
       return { success: true, uploadId: this.uploadId };
@@ -236,6 +341,127 @@ class ResumableUploadManager {
     }
   }
 
+  /**
+   * Get byte range of a chunk in the current file
+   */
+  getChunkRange(chunkNumber) {
+    const start = (chunkNumber - 1) * this.chunkSize;
+    const end = Math.min(start + this.chunkSize, this.file.size);
+    return { start, end };
+  }
+
+  /**
+   * Get total byte size of a list of chunks in the current file
+   */
+  getChunksBytes(chunkNumbers) {
+    return chunkNumbers.reduce((sum, chunkNumber) => {
+      const { start, end } = this.getChunkRange(chunkNumber);
+      return sum + (end - start);
+    }, 0);
+  }
+
+  /**
+   * Get chunk numbers that still need sending: missing ones plus ones that
+   * failed verification. Falls back to the complement of uploadedChunks for
+   * servers that do not report missingChunks.
+   */
+  getPendingChunks(progress, totalChunks) {
+    if (progress && Array.isArray(progress.missingChunks)) {
+      const failedChunks = progress.failedChunks || [];
+      return [...new Set([...progress.missingChunks, ...failedChunks])].sort((a, b) => a - b);
+    }
+
+    const uploadedChunks = new Set(progress && progress.uploadedChunks ? progress.uploadedChunks : []);
+    const pendingChunks = [];
+    for (let i = 1; i <= totalChunks; i++) {
+      if (!uploadedChunks.has(i)) {
+        pendingChunks.push(i);
+      }
+    }
+    return pendingChunks;
+  }
+
+  /**
+   * Upload a list of chunks, keeping up to `concurrency` requests in flight.
+   * Each chunk retries on its own; progress is reported as the sum of bytes
+   * of completed chunks, so it stays correct when chunks finish out of order.
+   */
+  async uploadChunks(baseUrl, chunkNumbers, uploadedBytes = 0, csrfToken = null, statusLabel = 'Uploading') {
+    const totalChunks = Math.ceil(this.file.size / this.chunkSize);
+    const queue = [...chunkNumbers];
+    let completedBytes = uploadedBytes;
+    let inFlight = 0;
+    let failed = false;
+
+    const worker = async () => {
+      while (queue.length > 0 && !failed) {
+        const chunkNumber = queue.shift();
+        const { start, end } = this.getChunkRange(chunkNumber);
+
+        inFlight++;
+        try {
+          await this.uploadChunk(baseUrl, chunkNumber, this.file.slice(start, end), totalChunks, 0, csrfToken);
+        } catch (error) {
+          failed = true;
+          throw error;
+        } finally {
+          inFlight--;
+        }
+
+        completedBytes = Math.min(completedBytes + (end - start), this.file.size);
+
+        // Report progress
+        this.onProgress({
+          uploadId: this.uploadId,
+          currentChunk: chunkNumber,
+          totalChunks,
+          uploadedBytes: completedBytes,
+          totalBytes: this.file.size,
+          inFlight,
+          status: `${statusLabel} chunk ${chunkNumber} of ${totalChunks}...`
+        });
+
+        this.onChunkComplete(chunkNumber, totalChunks);
+
+        // Add delay between chunks if configured
+        if (this.chunkDelay > 0 && queue.length > 0) {
+          await new Promise(resolve => setTimeout(resolve, this.chunkDelay));
+        }
+      }
+    };
+
+    const workerCount = Math.max(1, Math.min(this.concurrency, queue.length));
+    await Promise.all(Array.from({ length: workerCount }, () => worker()));
+  }
+
+  /**
+   * Re-send specific chunks of the current file
+   */
+  async resendChunks(baseUrl, chunkNumbers, csrfToken = null) {
+    await this.uploadChunks(baseUrl, chunkNumbers, this.file.size - this.getChunksBytes(chunkNumbers), csrfToken, 'Re-sending corrupted');
+  }
+
+  /**
+   * Ask the server which chunks failed verification and re-send only those
+   */
+  async resendFailedChunks(baseUrl, csrfToken = null) {
+    for (let round = 0; round <= this.maxRetries; round++) {
+      const progressData = await this.getUploadProgress(baseUrl, csrfToken);
+      const failedChunks = progressData.progress && progressData.progress.failedChunks
+        ? progressData.progress.failedChunks
+        : [];
+
+      if (failedChunks.length === 0) {
+        return;
+      }
+
+      console.log(`Re-sending ${failedChunks.length} chunk(s) that failed verification: ${failedChunks.join(', ')}`);
+      await this.resendChunks(baseUrl, failedChunks, csrfToken);
+    }
+
+    throw new Error('Some chunks repeatedly failed checksum verification');
+  }
+
   /**
    * Upload single chunk with retry
    */
@@ -267,27 +493,24 @@ class ResumableUploadManager {
         csrfToken = this.csrfToken || '';
       }
       
-      const formData = new FormData();
-      formData.append('chunk', chunk);
-      formData.append('chunkNumber', chunkNumber);
-      formData.append('totalChunks', totalChunks);
-      formData.append('uploadId', this.uploadId);
-      
-      // Add CSRF token to FormData for multipart/form-data requests
-      if (csrfToken) {
-        formData.append('_csrf', csrfToken);
-      }
+      const chunkHash = await this.calculateChunkHash(chunk);
+      const { start } = this.getChunkRange(chunkNumber);
 
       let response;
       let uploadUrl = baseUrl + '/' + this.uploadId + '/chunk';
       
+      // Raw body so the server can stream it straight into the upload file
       response = await fetch(uploadUrl, {
         method: 'POST',
         credentials: 'same-origin',
         headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Chunk-Number': String(chunkNumber),
+          'X-Chunk-Offset': String(start),
+          'X-Chunk-Hash': chunkHash,
           'csrf-token': csrfToken || ''
         },
-        body: formData
+        body: chunk
       });
       
       // Detect auth failures (401 Unauthorized)
@@ -300,6 +523,11 @@ class ResumableUploadManager {
         throw new Error('AUTH_REQUIRED');
       }
 
+      // Checksum mismatch: the bytes were corrupted in transit, retry the chunk
+      if (response.status === 422) {
+        throw new Error(`Chunk ${chunkNumber} failed checksum verification`);
+      }
+
       if (!response.ok) {
         throw new Error(`Chunk ${chunkNumber} upload failed: ${response.statusText}`);
       }
@@ -388,6 +616,7 @@ class ResumableUploadManager {
         }
       });
 
+      await this.forgetPendingUpload();
       return await response.json();
     } catch (error) {
       console.error('Error cancelling upload:', error);
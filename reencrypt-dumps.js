@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Re-encrypt stored facility dumps under the current encryption key
+ * Add the new key to ENCRYPTION_KEY_FILE, make it currentKeyId, then run this.
+ * Old keys must stay in the key file until it finishes.
+ * Plaintext dumps stored before encryption was enabled are encrypted too.
+ * Which key a file uses is read from its record (upload_blobs.encryption_key_id,
+ * or the object's metadata for files not in upload_blobs), never its content.
+ *
+ * Usage: node reencrypt-dumps.js [--all]
+ *   --all  also rewrite files already encrypted with the current key
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const pool = require('./db');
+const { getStorage, storageFor, getStagingDir } = require('./utils/storage');
+const { getKeyring } = require('./utils/encryption');
+
+const rewriteAll = process.argv.includes('--all');
+
+async function reencryptFile(storage, key, keyId, currentKeyId) {
+  if (keyId === currentKeyId && !rewriteAll) {
+    return null;
+  }
+
+  await storage.reencrypt(key, getStagingDir());
+  console.log(`  ${key}: ${keyId || 'plaintext'} -> ${currentKeyId}`);
+  return currentKeyId;
+}
+
+async function main() {
+  const keyring = getKeyring();
+  if (!keyring) {
+    console.error('ENCRYPTION_KEY_FILE is not set');
+    process.exit(1);
+  }
+
+  fs.mkdirSync(getStagingDir(), { recursive: true });
+  console.log(`Re-encrypting stored dumps with key "${keyring.currentKeyId}"`);
+
+  let rewritten = 0;
+  let failed = 0;
+
+  const blobs = await pool.query('SELECT hash, file_path, encryption_key_id FROM upload_blobs ORDER BY created_at');
+  for (const blob of blobs.rows) {
+    try {
+      const keyId = await reencryptFile(getStorage(), blob.file_path, blob.encryption_key_id, keyring.currentKeyId);
+      if (keyId) {
+        await pool.query('UPDATE upload_blobs SET encryption_key_id = $1 WHERE hash = $2', [keyId, blob.hash]);
+        rewritten++;
+      }
+    } catch (error) {
+      failed++;
+      console.error(`  ${blob.file_path}: ${error.message}`);
+    }
+  }
+
+  // Facility files stored before deduplication are not in upload_blobs
+  const legacy = await pool.query(
+    'SELECT facility_code, file_path FROM facilities WHERE file_hash IS NULL AND file_path IS NOT NULL'
+  );
+  for (const facility of legacy.rows) {
+    try {
+      const storage = storageFor(facility.file_path);
+      if (!await storage.exists(facility.file_path)) continue;
+      const keyId = await storage.getKeyId(facility.file_path);
+      if (await reencryptFile(storage, facility.file_path, keyId, keyring.currentKeyId)) {
+        rewritten++;
+      }
+    } catch (error) {
+      failed++;
+      console.error(`  ${facility.file_path} (${facility.facility_code}): ${error.message}`);
+    }
+  }
+
+  console.log(`Done: ${rewritten} re-encrypted, ${failed} failed`);
+  await pool.end();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('Re-encryption failed:', error);
+  process.exit(1);
+});
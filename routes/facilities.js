@@ -1,15 +1,19 @@
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
 const facilityController = require('../controllers/facilityController');
+const tusRoutes = require('./tus');
 const { isAdmin } = require('../middleware/authMiddleware');
+const { requireUploadOwner } = require('../middleware/uploadSessionMiddleware');
+const { isAllowedDumpName, zstdSupported } = require('../utils/compression');
+const { getStagingDir } = require('../utils/storage');
 
 const router = express.Router();
 
-// Configure multer for file uploads
+// Configure multer for file uploads: files are staged locally, hashed, then
+// moved into the configured storage driver (see utils/blobStore.js)
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, '../uploads'));
+    cb(null, getStagingDir());
   },
   filename: (req, file, cb) => {
     cb(null, `${Date.now()}-${file.originalname}`);
@@ -27,52 +31,50 @@ const upload = multer({
       'application/octet-stream',
       'application/x-sql',
       'text/plain',
-      'application/sql'
+      'application/sql',
+      'application/gzip',
+      'application/x-gzip',
+      'application/x-tar'
     ];
     
-    // Check file extension
-    const allowedExtensions = ['.dump', '.sql', '.bak', '.backup'];
-    const fileExt = require('path').extname(file.originalname).toLowerCase();
-    
-    if (allowedMimes.includes(file.mimetype) || allowedExtensions.includes(fileExt)) {
+    // Check file extension (dump.sql, or compressed: dump.sql.gz / dump.sql.zst)
+    if (allowedMimes.includes(file.mimetype) || isAllowedDumpName(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PostgreSQL dump files allowed (DUMP, SQL, BAK, BACKUP)'));
+      cb(new Error(`Invalid file type. Only PostgreSQL dump files allowed (DUMP, SQL, BAK, BACKUP, TAR, compressed with ${zstdSupported ? 'gzip or zstd' : 'gzip'})`));
     }
   }
 });
 
-// Configure multer for chunk uploads (small pieces)
-const chunkStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, '../uploads'));
-  },
-  filename: (req, file, cb) => {
-    cb(null, `chunk-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
-  }
-});
-
-const uploadChunk = multer({
-  storage: chunkStorage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB per chunk
-  }
-});
-
 // Resumable upload routes (must be before generic /:id routes)
+router.get('/resumable', isAdmin, facilityController.listActiveUploads);
 router.post('/resumable/init', facilityController.initializeResumableUpload);
-router.get('/resumable/:uploadId/progress', facilityController.getResumableUploadProgress);
-router.post('/resumable/:uploadId/chunk', uploadChunk.single('chunk'), facilityController.uploadChunk);
-router.post('/resumable/:uploadId/complete', facilityController.completeResumableUpload);
-router.delete('/resumable/:uploadId/cancel', facilityController.cancelResumableUpload);
+router.get('/resumable/cleanup', isAdmin, facilityController.getUploadCleanupStatus);
+// Session routes are limited to the user who started the upload (admins: ?override=true)
+router.get('/resumable/:uploadId/progress', requireUploadOwner, facilityController.getResumableUploadProgress);
+// Chunk bodies are raw application/octet-stream, streamed straight to disk
+router.post('/resumable/:uploadId/chunk', requireUploadOwner, facilityController.uploadChunk);
+router.post('/resumable/:uploadId/complete', requireUploadOwner, facilityController.completeResumableUpload);
+router.delete('/resumable/:uploadId/cancel', requireUploadOwner, facilityController.cancelResumableUpload);
+
+// tus protocol endpoint, same on-disk storage as the resumable routes
+router.use('/tus', tusRoutes);
 
 // Traditional upload routes
 router.post('/upload', upload.single('file'), facilityController.uploadDatabase);
 router.post('/:id/restore-dump', isAdmin, facilityController.restoreDump);
+router.post('/:id/validate', isAdmin, facilityController.validateFacility);
+router.get('/:id/restores', isAdmin, facilityController.listRestores);
+router.get('/:code/uploads', isAdmin, facilityController.listUploadHistory);
+router.get('/:code/diff', isAdmin, facilityController.diffUploads);
+router.delete('/restores/:restoreId', isAdmin, facilityController.dropRestore);
+router.get('/reference-schema', isAdmin, facilityController.getReferenceSchema);
+router.post('/reference-schema', isAdmin, facilityController.registerReferenceSchema);
 router.get('/list', facilityController.listFacilities);
 router.get('/facility-list', facilityController.getFacilityList);
 router.get('/download/:id', isAdmin, facilityController.downloadDatabase);
 router.get('/report/download', isAdmin, facilityController.downloadReport);
+router.post('/report', isAdmin, facilityController.requestReport);
 router.get('/:id', facilityController.getFacilityById);
 router.put('/:id', facilityController.updateFacility);
 router.delete('/:id', isAdmin, facilityController.deleteFacility);
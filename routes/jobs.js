@@ -0,0 +1,12 @@
+const express = require('express');
+const jobController = require('../controllers/jobController');
+
+const router = express.Router();
+
+// Job status, for clients polling after a 202 response
+router.get('/:id', jobController.getJob);
+
+// File produced by a finished job (e.g. the upload report)
+router.get('/:id/download', jobController.downloadJobResult);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const tusController = require('../controllers/tusController');
+const { tusProtocol } = require('../middleware/tusMiddleware');
+const { requireUploadOwner } = require('../middleware/uploadSessionMiddleware');
+
+const router = express.Router();
+
+// tus 1.0 resumable upload protocol (https://tus.io/protocols/resumable-upload)
+router.use(tusProtocol);
+
+router.options('/', tusController.getServerOptions);
+router.options('/:uploadId', tusController.getServerOptions);
+router.post('/', tusController.createUpload);
+router.head('/:uploadId', requireUploadOwner, tusController.getUploadOffset);
+router.patch('/:uploadId', requireUploadOwner, tusController.appendUpload);
+router.delete('/:uploadId', requireUploadOwner, tusController.terminateUpload);
+
+module.exports = router;
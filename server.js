@@ -17,9 +17,13 @@ const config = require('./config/config');
 const facilityRoutes = require('./routes/facilities');
 const loginRoutes = require('./routes/login');
 const userRoutes = require('./routes/users');
+const jobRoutes = require('./routes/jobs');
 const { isAuthenticated } = require('./middleware/authMiddleware');
 const { validateAndSanitize } = require('./middleware/validationMiddleware');
 const { logger, requestLogger } = require('./middleware/logger');
+const { startUploadCleanupScheduler } = require('./utils/uploadCleanup');
+const { startJobWorker } = require('./utils/jobQueue');
+require('./utils/jobHandlers');
 
 const app = express();
 const PORT = config.port;
@@ -129,6 +133,126 @@ async function initializeDatabase() {
       }
     }
 
+    // Check if upload session tables exist and create if needed
+    const uploadSessionsCheckResult = await appPool.query(
+      `SELECT 1 FROM information_schema.tables WHERE table_name = 'upload_sessions'`
+    );
+
+    if (uploadSessionsCheckResult.rows.length === 0) {
+      console.log('Creating upload session tables...');
+      const migration = fs.readFileSync(path.join(__dirname, 'add-upload-sessions-table.sql'), 'utf8');
+      await appPool.query(migration);
+      console.log('Upload session tables created successfully');
+    }
+
+    // Check if upload sessions record compressed payloads and add the columns if not
+    const compressionColumnCheck = await appPool.query(
+      `SELECT 1 FROM information_schema.columns
+       WHERE table_name = 'upload_sessions' AND column_name = 'content_encoding'`
+    );
+
+    if (compressionColumnCheck.rows.length === 0) {
+      console.log('Adding compression columns to upload_sessions table...');
+      const migration = fs.readFileSync(path.join(__dirname, 'add-upload-compression-columns.sql'), 'utf8');
+      await appPool.query(migration);
+    }
+
+    // Check if content-addressed upload storage exists and create if needed
+    const uploadBlobsCheckResult = await appPool.query(
+      `SELECT 1 FROM information_schema.tables WHERE table_name = 'upload_blobs'`
+    );
+
+    if (uploadBlobsCheckResult.rows.length === 0) {
+      console.log('Creating upload blob table...');
+      const migration = fs.readFileSync(path.join(__dirname, 'add-upload-blobs-table.sql'), 'utf8');
+      await appPool.query(migration);
+      console.log('Upload blob table created successfully');
+    }
+
+    // Check if blobs record their encryption key and add the column if not
+    const encryptionColumnCheck = await appPool.query(
+      `SELECT 1 FROM information_schema.columns
+       WHERE table_name = 'upload_blobs' AND column_name = 'encryption_key_id'`
+    );
+
+    if (encryptionColumnCheck.rows.length === 0) {
+      console.log('Adding encryption key column to upload_blobs table...');
+      const migration = fs.readFileSync(path.join(__dirname, 'add-encryption-key-column.sql'), 'utf8');
+      await appPool.query(migration);
+    }
+
+    // Check if facilities store their dump metadata and add the columns if not
+    const metadataColumnCheck = await appPool.query(
+      `SELECT 1 FROM information_schema.columns
+       WHERE table_name = 'facilities' AND column_name = 'dump_metadata'`
+    );
+
+    if (metadataColumnCheck.rows.length === 0) {
+      console.log('Adding dump metadata columns to facilities table...');
+      const migration = fs.readFileSync(path.join(__dirname, 'add-facility-metadata-columns.sql'), 'utf8');
+      await appPool.query(migration);
+    }
+
+    // Check if facilities record their validation outcome and add the columns if not
+    const validationColumnCheck = await appPool.query(
+      `SELECT 1 FROM information_schema.columns
+       WHERE table_name = 'facilities' AND column_name = 'validation_status'`
+    );
+
+    if (validationColumnCheck.rows.length === 0) {
+      console.log('Adding validation columns to facilities table...');
+      const migration = fs.readFileSync(path.join(__dirname, 'add-facility-validation-columns.sql'), 'utf8');
+      await appPool.query(migration);
+    }
+
+    // Check if sandbox restores are recorded and create the table if needed
+    const restoresCheckResult = await appPool.query(
+      `SELECT 1 FROM information_schema.tables WHERE table_name = 'facility_restores'`
+    );
+
+    if (restoresCheckResult.rows.length === 0) {
+      console.log('Creating facility restores table...');
+      const migration = fs.readFileSync(path.join(__dirname, 'add-facility-restores-table.sql'), 'utf8');
+      await appPool.query(migration);
+      console.log('Facility restores table created successfully');
+    }
+
+    // Check if the background job queue exists and create it if needed
+    const jobsCheckResult = await appPool.query(
+      `SELECT 1 FROM information_schema.tables WHERE table_name = 'jobs'`
+    );
+
+    if (jobsCheckResult.rows.length === 0) {
+      console.log('Creating jobs table...');
+      const migration = fs.readFileSync(path.join(__dirname, 'add-jobs-table.sql'), 'utf8');
+      await appPool.query(migration);
+      console.log('Jobs table created successfully');
+    }
+
+    // Check if upload history is kept and create the table if needed
+    const uploadHistoryCheckResult = await appPool.query(
+      `SELECT 1 FROM information_schema.tables WHERE table_name = 'facility_uploads'`
+    );
+
+    if (uploadHistoryCheckResult.rows.length === 0) {
+      console.log('Creating facility uploads table...');
+      const migration = fs.readFileSync(path.join(__dirname, 'add-facility-uploads-table.sql'), 'utf8');
+      await appPool.query(migration);
+      console.log('Facility uploads table created successfully');
+    }
+
+    // Check if reference schemas are stored and create the table if needed
+    const referenceSchemasCheckResult = await appPool.query(
+      `SELECT 1 FROM information_schema.tables WHERE table_name = 'reference_schemas'`
+    );
+
+    if (referenceSchemasCheckResult.rows.length === 0) {
+      console.log('Creating reference schemas table...');
+      const migration = fs.readFileSync(path.join(__dirname, 'add-reference-schemas-table.sql'), 'utf8');
+      await appPool.query(migration);
+      console.log('Reference schemas table created successfully');
+    }
+
     // Check if users are seeded
     const userCheck = await appPool.query('SELECT COUNT(*) FROM users');
     const userCount = parseInt(userCheck.rows[0].count);
@@ -199,6 +323,13 @@ app.use(helmet({
   frameguard: false // Disable frameguard
 }));
 
+// Chunk uploads: custom resumable chunks and tus PATCH requests
+const isChunkUploadRequest = (req) => {
+  return /\/api\/facilities\/resumable\/[^/]+\/chunk/.test(req.path) ||
+    ((req.method === 'PATCH' || req.get('X-HTTP-Method-Override') === 'PATCH') &&
+      /\/api\/facilities\/tus\/[^/]+$/.test(req.path));
+};
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: config.rateLimiting.windowMs,
@@ -207,7 +338,7 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   // Skip chunk uploads from rate limiting
-  skip: (req) => req.path.match(/\/api\/facilities\/resumable\/[^/]+\/chunk/)
+  skip: isChunkUploadRequest
 });
 app.use(limiter);
 
@@ -218,7 +349,7 @@ const chunkUploadLimiter = rateLimit({
   message: 'Too many chunk uploads, please slow down.',
   standardHeaders: true,
   legacyHeaders: false,
-  skip: (req) => !req.path.match(/\/api\/facilities\/resumable\/[^/]+\/chunk/)
+  skip: (req) => !isChunkUploadRequest(req)
 });
 app.use(chunkUploadLimiter);
 
@@ -294,6 +425,7 @@ app.use(loginRoutes);
 
 app.use('/api/facilities', isAuthenticated, facilityRoutes);
 app.use('/api/users', isAuthenticated, userRoutes);
+app.use('/api/jobs', isAuthenticated, jobRoutes);
 
 // Home route
 app.get('/', isAuthenticated, (req, res) => {
@@ -361,9 +493,17 @@ const server = app.listen(PORT, () => {
   logger.info(`Database: ${config.database.name} at ${config.database.host}:${config.database.port}`);
 });
 
+// Expire abandoned resumable uploads and remove their files
+const uploadCleanupTask = startUploadCleanupScheduler();
+
+// Run queued dump validation, restore and report jobs
+const jobWorker = startJobWorker();
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  if (uploadCleanupTask) uploadCleanupTask.stop();
+  if (jobWorker) jobWorker.stop();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
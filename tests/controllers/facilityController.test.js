@@ -0,0 +1,639 @@
+/**
+ * Facility Controller Tests
+ * Tests for the facility routes
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const express = require('express');
+const request = require('supertest');
+const pool = require('../../db');
+const ResumableUploadManager = require('../../utils/resumableUpload');
+const store = require('../../utils/uploadSessionStore');
+const facilityUploads = require('../../utils/facilityUploads');
+const blobStore = require('../../utils/blobStore');
+const facilityRestore = require('../../utils/facilityRestore');
+const { enqueueJob } = require('../../utils/jobQueue');
+const { registerReferenceSchema } = require('../../utils/referenceSchema');
+const { storageFor } = require('../../utils/storage');
+const { buildUploadReport } = require('../../utils/uploadReport');
+
+jest.mock('../../db', () => ({ query: jest.fn() }));
+jest.mock('../../middleware/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// Keep upload sessions in memory
+jest.mock('../../utils/uploadSessionStore', () => require('../helpers/memoryUploadSessionStore')());
+
+// Store uploads in a temporary directory
+jest.mock('../../utils/resumableUpload', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const ActualManager = jest.requireActual('../../utils/resumableUpload');
+  const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'facility-controller-uploads-'));
+  return class extends ActualManager {
+    constructor() {
+      super(uploadsDir);
+    }
+  };
+});
+
+jest.mock('../../utils/facilityUploads', () => ({
+  getFinalFilePath: jest.fn(),
+  attachUploadToFacility: jest.fn(),
+  releaseFacilityFile: jest.fn(),
+  recordUploadHistory: jest.fn(),
+  listUploadHistory: jest.fn(),
+  getUploadFromHistory: jest.fn(),
+  queueUploadValidation: jest.fn()
+}));
+jest.mock('../../utils/blobStore', () => ({ findOwnedBlob: jest.fn() }));
+jest.mock('../../utils/facilityRestore', () => ({
+  checkRestoreRole: jest.fn(),
+  listFacilityRestores: jest.fn(),
+  dropFacilityRestore: jest.fn()
+}));
+jest.mock('../../utils/jobQueue', () => ({ enqueueJob: jest.fn() }));
+jest.mock('../../utils/referenceSchema', () => ({
+  ...jest.requireActual('../../utils/referenceSchema'),
+  registerReferenceSchema: jest.fn(),
+  getReferenceSchema: jest.fn()
+}));
+jest.mock('../../utils/storage', () => ({
+  storageFor: jest.fn(),
+  getStorage: jest.fn(),
+  getStagingDir: jest.fn(() => require('os').tmpdir())
+}));
+jest.mock('../../utils/uploadCleanup', () => ({ getLastCleanupRun: jest.fn() }));
+jest.mock('../../utils/uploadReport', () => ({ buildUploadReport: jest.fn() }));
+
+const facilityRoutes = require('../../routes/facilities');
+
+const CHUNK_SIZE = 1024;
+const data = Buffer.from('INSERT INTO patients VALUES (1);\n'.repeat(60));
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const restoreUnavailable = () => Object.assign(
+  new Error('Restores are disabled: RESTORE_DB_USER is not configured'),
+  { code: 'RESTORE_UNAVAILABLE' }
+);
+
+describe('Facility Controller', () => {
+  let app, user, uploadManager, tempDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store.sessions.clear();
+    facilityRestore.checkRestoreRole.mockResolvedValue();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'facility-controller-test-'));
+    uploadManager = new ResumableUploadManager();
+
+    user = { id: 1, role: 'admin' };
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = user;
+      req.isAuthenticated = () => true;
+      next();
+    });
+    app.use('/api/facilities', facilityRoutes);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  // Start a chunked upload of data as user 1 and send the given chunks
+  const startUpload = async ({ fileHash = sha256(data), chunks = [1, 2] } = {}) => {
+    const uploadId = uploadManager.generateUploadId();
+    await uploadManager.initializeUpload(uploadId, {
+      userId: 1,
+      facilityName: 'Main Hospital',
+      facilityCode: 'MH-001',
+      filename: 'dump.sql',
+      fileSize: data.length,
+      fileHash,
+      chunkSize: CHUNK_SIZE
+    });
+
+    for (const chunkNumber of chunks) {
+      const chunk = data.subarray((chunkNumber - 1) * CHUNK_SIZE, chunkNumber * CHUNK_SIZE);
+      await uploadManager.saveChunk(uploadId, chunkNumber, Readable.from([chunk]), sha256(chunk));
+    }
+
+    return uploadId;
+  };
+
+  describe('completeResumableUpload', () => {
+    let finalFilePath;
+
+    const complete = (uploadId) => request(app)
+      .post(`/api/facilities/resumable/${uploadId}/complete`)
+      .send({ facilityName: 'Main Hospital', facilityCode: 'MH-001' });
+
+    beforeEach(() => {
+      user = { id: 1, role: 'uploader' };
+      finalFilePath = path.join(tempDir, 'MH-001.sql');
+      facilityUploads.getFinalFilePath.mockReturnValue(finalFilePath);
+    });
+
+    it('should attach the verified file to the facility and complete the session', async () => {
+      const uploadId = await startUpload();
+      facilityUploads.attachUploadToFacility.mockResolvedValue({ id: 7, facility_code: 'MH-001' });
+
+      const res = await complete(uploadId);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        message: 'Upload completed successfully',
+        facility: { id: 7, facility_code: 'MH-001' }
+      });
+      expect(facilityUploads.attachUploadToFacility).toHaveBeenCalledWith(expect.objectContaining({
+        facilityCode: 'MH-001',
+        filePath: finalFilePath,
+        fileHash: sha256(data),
+        fileSize: data.length
+      }));
+      expect(fs.readFileSync(finalFilePath).equals(data)).toBe(true);
+      expect(store.sessions.get(uploadId).status).toBe('completed');
+    });
+
+    it('should answer 404 to users who do not own the session', async () => {
+      const uploadId = await startUpload();
+      user = { id: 2, role: 'uploader' };
+
+      const res = await complete(uploadId);
+
+      expect(res.status).toBe(404);
+      expect(facilityUploads.attachUploadToFacility).not.toHaveBeenCalled();
+    });
+
+    it('should discard the file and fail the session when saving the facility fails', async () => {
+      const uploadId = await startUpload();
+      facilityUploads.attachUploadToFacility.mockRejectedValue(new Error('connection terminated'));
+
+      const res = await complete(uploadId);
+
+      expect(res.status).toBe(500);
+      expect(res.body.message).toBe('Saving the upload failed: connection terminated. The upload was discarded.');
+      expect(fs.existsSync(finalFilePath)).toBe(false);
+      expect(fs.existsSync(uploadManager.getPartialPath(uploadId))).toBe(false);
+      expect(store.sessions.get(uploadId)).toEqual(expect.objectContaining({
+        status: 'failed',
+        error: 'Saving the upload failed: connection terminated'
+      }));
+
+      // Completing again finds neither the session nor a leftover file
+      const retry = await complete(uploadId);
+
+      expect(retry.status).toBe(404);
+      expect(facilityUploads.attachUploadToFacility).toHaveBeenCalledTimes(1);
+      expect(fs.readdirSync(tempDir)).toEqual([]);
+    });
+    it('should keep the session and list the corrupted chunks on a hash mismatch', async () => {
+      const uploadId = await startUpload();
+      const fd = fs.openSync(uploadManager.getPartialPath(uploadId), 'r+');
+      fs.writeSync(fd, Buffer.from('corrupt'), 0, 7, 1500);
+      fs.closeSync(fd);
+
+      const res = await complete(uploadId);
+
+      expect(res.status).toBe(422);
+      expect(res.body.failedChunks).toEqual([2]);
+      expect(store.sessions.get(uploadId).status).toBe('in_progress');
+      expect(facilityUploads.attachUploadToFacility).not.toHaveBeenCalled();
+    });
+
+    it('should fail the session on a hash mismatch no chunk accounts for', async () => {
+      const uploadId = await startUpload({ fileHash: 'b'.repeat(64) });
+
+      const res = await complete(uploadId);
+
+      expect(res.status).toBe(422);
+      expect(res.body.message).toContain('every chunk passed its checksum');
+      expect(res.body).not.toHaveProperty('failedChunks');
+      expect(store.sessions.get(uploadId)).toEqual(expect.objectContaining({
+        status: 'failed',
+        error: expect.stringContaining('File integrity check failed')
+      }));
+      expect(fs.existsSync(uploadManager.getPartialPath(uploadId))).toBe(false);
+      expect(facilityUploads.attachUploadToFacility).not.toHaveBeenCalled();
+    });
+    it('should complete without transfer when the user already uploaded the file', async () => {
+      const uploadId = await startUpload({ chunks: [] });
+      blobStore.findOwnedBlob.mockResolvedValue({ hash: sha256(data), fileSize: data.length });
+      facilityUploads.attachUploadToFacility.mockResolvedValue({ id: 8 });
+
+      const res = await complete(uploadId);
+
+      expect(res.status).toBe(200);
+      expect(res.body.deduplicated).toBe(true);
+      expect(blobStore.findOwnedBlob).toHaveBeenCalledWith(sha256(data), { userId: 1, facilityCode: 'MH-001' });
+      expect(facilityUploads.attachUploadToFacility).toHaveBeenCalledWith(expect.not.objectContaining({ filePath: expect.anything() }));
+      expect(store.sessions.get(uploadId)).toEqual(expect.objectContaining({ status: 'completed', facilityId: 8 }));
+    });
+
+    it('should refuse to complete an incomplete upload of a file the user does not own', async () => {
+      const uploadId = await startUpload({ chunks: [1] });
+      blobStore.findOwnedBlob.mockResolvedValue(null);
+
+      const res = await complete(uploadId);
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual(expect.objectContaining({ success: false, missingChunks: [2] }));
+      expect(facilityUploads.attachUploadToFacility).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listActiveUploads', () => {
+    const SECOND = 1000;
+
+    // Backdate a session: started startedAgo, last data idleFor ago
+    const backdate = (uploadId, startedAgo, idleFor) => {
+      const session = store.sessions.get(uploadId);
+      session.createdAt = new Date(Date.now() - startedAgo);
+      session.updatedAt = new Date(Date.now() - idleFor);
+    };
+
+    it('should list in-flight uploads with their rate, time left and idle time', async () => {
+      const uploadId = await startUpload({ chunks: [1] });
+      backdate(uploadId, 100 * SECOND, 10 * SECOND);
+
+      const res = await request(app).get('/api/facilities/resumable');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([expect.objectContaining({
+        uploadId,
+        userId: 1,
+        fileSize: data.length,
+        uploadedSize: 1024,
+        progress: 50,
+        idleSeconds: 10,
+        // 1024 bytes in the 90 seconds between start and last activity
+        bytesPerSecond: 11,
+        etaSeconds: Math.ceil((data.length - 1024) / (1024 / 90))
+      })]);
+    });
+
+    it('should give no time estimate for a stalled upload or one without data', async () => {
+      const stalled = await startUpload({ chunks: [1] });
+      backdate(stalled, 20 * 60 * SECOND, 10 * 60 * SECOND);
+      const empty = await startUpload({ chunks: [] });
+
+      const res = await request(app).get('/api/facilities/resumable');
+      const byId = Object.fromEntries(res.body.data.map(upload => [upload.uploadId, upload]));
+
+      expect(byId[stalled]).toEqual(expect.objectContaining({ idleSeconds: 600, bytesPerSecond: null, etaSeconds: null }));
+      expect(byId[empty]).toEqual(expect.objectContaining({ uploadedSize: 0, etaSeconds: null }));
+    });
+
+    it('should leave out finished uploads', async () => {
+      const uploadId = await startUpload();
+      await uploadManager.completeUpload(uploadId, 7);
+
+      const res = await request(app).get('/api/facilities/resumable');
+
+      expect(res.body.data).toEqual([]);
+    });
+
+    it('should be limited to admins', async () => {
+      await startUpload();
+      user = { id: 1, role: 'uploader' };
+
+      const res = await request(app).get('/api/facilities/resumable');
+
+      expect(res.status).toBe(403);
+      expect(res.body.data).toBeUndefined();
+    });
+  });
+
+  describe('restoreDump', () => {
+    beforeEach(() => {
+      pool.query.mockResolvedValue({ rows: [{ id: 3, file_path: 'blobs/aa/aaaa' }] });
+      storageFor.mockReturnValue({ exists: jest.fn().mockResolvedValue(true) });
+      enqueueJob.mockResolvedValue({ id: 41, status: 'queued' });
+    });
+
+    it('should queue a restore when a restore role is configured', async () => {
+      const res = await request(app).post('/api/facilities/3/restore-dump').send({ mode: 'restore' });
+
+      expect(res.status).toBe(202);
+      expect(res.body.jobId).toBe(41);
+      expect(facilityRestore.checkRestoreRole).toHaveBeenCalled();
+      expect(enqueueJob).toHaveBeenCalledWith('restore-dump', { facilityId: 3, mode: 'restore' }, { createdBy: 1 });
+    });
+
+    it('should queue a check without needing a restore role', async () => {
+      const res = await request(app).post('/api/facilities/3/restore-dump').send({});
+
+      expect(res.status).toBe(202);
+      expect(res.body.message).toBe('Database dump check queued');
+      expect(facilityRestore.checkRestoreRole).not.toHaveBeenCalled();
+    });
+
+    it('should answer 503 when no restore role is configured', async () => {
+      facilityRestore.checkRestoreRole.mockRejectedValue(restoreUnavailable());
+
+      const res = await request(app).post('/api/facilities/3/restore-dump').send({ mode: 'restore' });
+
+      expect(res.status).toBe(503);
+      expect(res.body.message).toContain('RESTORE_DB_USER');
+      expect(enqueueJob).not.toHaveBeenCalled();
+    });
+
+    it('should answer 404 for an unknown facility', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      const res = await request(app).post('/api/facilities/99/restore-dump').send({ mode: 'restore' });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should be limited to admins', async () => {
+      user = { id: 2, role: 'uploader' };
+
+      const res = await request(app).post('/api/facilities/3/restore-dump').send({ mode: 'restore' });
+
+      expect(res.status).toBe(403);
+      expect(enqueueJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateFacility', () => {
+    beforeEach(() => {
+      pool.query.mockResolvedValue({ rows: [{ id: 3 }] });
+      enqueueJob.mockResolvedValue({ id: 42, status: 'queued' });
+    });
+
+    it('should queue validation without a test restore by default', async () => {
+      const res = await request(app).post('/api/facilities/3/validate').send({});
+
+      expect(res.status).toBe(202);
+      expect(enqueueJob).toHaveBeenCalledWith('validate-upload', { facilityId: 3, restore: false }, { createdBy: 1 });
+      expect(facilityRestore.checkRestoreRole).not.toHaveBeenCalled();
+    });
+
+    it('should add a test restore only when asked with restore: true', async () => {
+      await request(app).post('/api/facilities/3/validate').send({ restore: 'yes' });
+      const res = await request(app).post('/api/facilities/3/validate').send({ restore: true });
+
+      expect(res.status).toBe(202);
+      expect(enqueueJob).toHaveBeenNthCalledWith(1, 'validate-upload', { facilityId: 3, restore: false }, { createdBy: 1 });
+      expect(enqueueJob).toHaveBeenNthCalledWith(2, 'validate-upload', { facilityId: 3, restore: true }, { createdBy: 1 });
+      expect(facilityRestore.checkRestoreRole).toHaveBeenCalledTimes(1);
+    });
+
+    it('should answer 503 to restore: true when no restore role is configured', async () => {
+      facilityRestore.checkRestoreRole.mockRejectedValue(restoreUnavailable());
+
+      const res = await request(app).post('/api/facilities/3/validate').send({ restore: true });
+
+      expect(res.status).toBe(503);
+      expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE facilities'), expect.anything());
+      expect(enqueueJob).not.toHaveBeenCalled();
+    });
+
+    it('should be limited to admins', async () => {
+      user = { id: 2, role: 'uploader' };
+
+      const res = await request(app).post('/api/facilities/3/validate').send({});
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('registerReferenceSchema', () => {
+    it('should register a schema from a manifest', async () => {
+      const manifest = { tables: { patients: { id: 'integer' } } };
+      registerReferenceSchema.mockResolvedValue({ id: 5, name: 'v2', source: 'manifest' });
+
+      const res = await request(app).post('/api/facilities/reference-schema').send({ name: 'v2', manifest });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toEqual({ id: 5, name: 'v2', source: 'manifest' });
+      expect(registerReferenceSchema).toHaveBeenCalledWith({ name: 'v2', facilityId: null, manifest, createdBy: 1 });
+    });
+
+    it('should require a name and a source', async () => {
+      const res = await request(app).post('/api/facilities/reference-schema').send({ name: 'v2' });
+
+      expect(res.status).toBe(400);
+      expect(registerReferenceSchema).not.toHaveBeenCalled();
+    });
+
+    it('should answer 400 to an invalid manifest and 404 to an unknown facility', async () => {
+      registerReferenceSchema.mockRejectedValueOnce(Object.assign(new Error('Manifest lists no tables'), { code: 'INVALID_MANIFEST' }));
+      registerReferenceSchema.mockResolvedValueOnce(null);
+
+      const invalid = await request(app).post('/api/facilities/reference-schema').send({ name: 'v2', manifest: { tables: {} } });
+      const unknown = await request(app).post('/api/facilities/reference-schema').send({ name: 'v2', facilityId: 99 });
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.message).toBe('Manifest lists no tables');
+      expect(unknown.status).toBe(404);
+    });
+
+    it('should be limited to admins', async () => {
+      user = { id: 2, role: 'uploader' };
+
+      const res = await request(app).post('/api/facilities/reference-schema').send({ name: 'v2', facilityId: 3 });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('diffUploads', () => {
+    const metadata = (rows) => ({
+      isValid: true,
+      tables: ['public.patients'],
+      columns: { 'public.patients': [{ name: 'id', type: 'integer' }] },
+      tableData: { 'public.patients': { rows } },
+      totalRows: rows
+    });
+    const upload = (id, rows, fileHash) => ({ id, fileHash, metadata: rows === undefined ? null : metadata(rows) });
+
+    beforeEach(() => {
+      facilityUploads.listUploadHistory.mockResolvedValue([{ id: 12 }, { id: 11 }]);
+    });
+
+    it('should compare the latest upload with the one before it', async () => {
+      facilityUploads.getUploadFromHistory.mockImplementation(async (code, id) => (
+        id === 11 ? upload(11, 100, 'aaa') : upload(12, 120, 'bbb')
+      ));
+
+      const res = await request(app).get('/api/facilities/MH-001/diff');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual(expect.objectContaining({
+        facilityCode: 'MH-001',
+        from: { id: 11, fileHash: 'aaa' },
+        to: { id: 12, fileHash: 'bbb' },
+        sameFile: false,
+        totalRows: { from: 100, to: 120, delta: 20 }
+      }));
+    });
+
+    it('should answer 409 while an upload has not been validated', async () => {
+      facilityUploads.getUploadFromHistory.mockImplementation(async (code, id) => upload(id, id === 11 ? 100 : undefined));
+
+      const res = await request(app).get('/api/facilities/MH-001/diff');
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('Upload 12 has not been validated yet');
+    });
+
+    it('should answer 400 without an earlier upload and 404 for an unknown one', async () => {
+      facilityUploads.getUploadFromHistory.mockResolvedValue(null);
+
+      const first = await request(app).get('/api/facilities/MH-001/diff?to=11');
+      const unknown = await request(app).get('/api/facilities/MH-001/diff?from=5&to=12');
+
+      expect(first.status).toBe(400);
+      expect(first.body.message).toBe('No earlier upload to compare with');
+      expect(unknown.status).toBe(404);
+      expect(unknown.body.message).toBe('Upload 5 not found for this facility');
+    });
+
+    it('should answer 404 for a facility without uploads', async () => {
+      facilityUploads.listUploadHistory.mockResolvedValue([]);
+
+      const res = await request(app).get('/api/facilities/XX-999/diff');
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should be limited to admins', async () => {
+      user = { id: 2, role: 'uploader' };
+
+      const res = await request(app).get('/api/facilities/MH-001/diff');
+
+      expect(res.status).toBe(403);
+      expect(facilityUploads.listUploadHistory).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listRestores', () => {
+    it('should list the restores of a facility', async () => {
+      facilityRestore.listFacilityRestores.mockResolvedValue([{ id: 4, status: 'succeeded' }]);
+
+      const res = await request(app).get('/api/facilities/3/restores');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ success: true, count: 1, data: [{ id: 4, status: 'succeeded' }] });
+      expect(facilityRestore.listFacilityRestores).toHaveBeenCalledWith('3');
+    });
+
+    it('should answer 500 when listing fails', async () => {
+      facilityRestore.listFacilityRestores.mockRejectedValue(new Error('DB Error'));
+
+      const res = await request(app).get('/api/facilities/3/restores');
+
+      expect(res.status).toBe(500);
+      expect(res.body).toEqual({ success: false, message: 'DB Error' });
+    });
+
+    it('should be limited to admins', async () => {
+      user = { id: 2, role: 'uploader' };
+
+      const res = await request(app).get('/api/facilities/3/restores');
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('dropRestore', () => {
+    it('should drop the sandbox database of a restore', async () => {
+      facilityRestore.dropFacilityRestore.mockResolvedValue({ id: 4, status: 'dropped' });
+
+      const res = await request(app).delete('/api/facilities/restores/4');
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('Sandbox database dropped');
+      expect(facilityRestore.dropFacilityRestore).toHaveBeenCalledWith('4');
+    });
+
+    it('should answer 404 for an unknown restore and 409 for a running one', async () => {
+      facilityRestore.dropFacilityRestore.mockResolvedValueOnce(null);
+      facilityRestore.dropFacilityRestore.mockRejectedValueOnce(
+        Object.assign(new Error('The restore is still running'), { code: 'RESTORE_RUNNING' })
+      );
+
+      const unknown = await request(app).delete('/api/facilities/restores/99');
+      const running = await request(app).delete('/api/facilities/restores/4');
+
+      expect(unknown.status).toBe(404);
+      expect(running.status).toBe(409);
+      expect(running.body.message).toBe('The restore is still running');
+    });
+
+    it('should be limited to admins', async () => {
+      user = { id: 2, role: 'uploader' };
+
+      const res = await request(app).delete('/api/facilities/restores/4');
+
+      expect(res.status).toBe(403);
+      expect(facilityRestore.dropFacilityRestore).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('downloadReport', () => {
+    it('should send the report CSV within the request', async () => {
+      buildUploadReport.mockResolvedValue({
+        fileName: 'upload-report-1700000000000.csv',
+        contentType: 'text/csv',
+        rowCount: 1,
+        content: 'Facility Name,Facility Code\n"Main Hospital","MH-001"\n'
+      });
+
+      const res = await request(app).get('/api/facilities/report/download');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-disposition']).toBe('attachment; filename="upload-report-1700000000000.csv"');
+      expect(res.text).toBe('Facility Name,Facility Code\n"Main Hospital","MH-001"\n');
+    });
+
+    it('should be limited to admins', async () => {
+      user = { id: 2, role: 'uploader' };
+
+      const res = await request(app).get('/api/facilities/report/download');
+
+      expect(res.status).toBe(403);
+      expect(buildUploadReport).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requestReport', () => {
+    it('should queue the upload report', async () => {
+      enqueueJob.mockResolvedValue({ id: 43, status: 'queued' });
+
+      const res = await request(app).post('/api/facilities/report');
+
+      expect(res.status).toBe(202);
+      expect(res.body.jobId).toBe(43);
+      expect(enqueueJob).toHaveBeenCalledWith('upload-report', {}, { createdBy: 1 });
+    });
+
+    it('should answer 500 when the job cannot be queued', async () => {
+      enqueueJob.mockRejectedValue(new Error('DB Error'));
+
+      const res = await request(app).post('/api/facilities/report');
+
+      expect(res.status).toBe(500);
+    });
+
+    it('should be limited to admins', async () => {
+      user = { id: 2, role: 'uploader' };
+
+      const res = await request(app).post('/api/facilities/report');
+
+      expect(res.status).toBe(403);
+      expect(enqueueJob).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * tus Controller Tests
+ * Tests for the tus 1.0 upload endpoint
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const express = require('express');
+const request = require('supertest');
+const tusRoutes = require('../../routes/tus');
+const { getFinalFilePath, attachUploadToFacility } = require('../../utils/facilityUploads');
+
+// Keep upload sessions in memory
+jest.mock('../../utils/uploadSessionStore', () => require('../helpers/memoryUploadSessionStore')());
+jest.mock('../../middleware/logger', () => ({ logger: { warn: jest.fn() } }));
+
+// Store uploads in a temporary directory
+jest.mock('../../utils/resumableUpload', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const ActualManager = jest.requireActual('../../utils/resumableUpload');
+  const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tus-test-'));
+  return class extends ActualManager {
+    constructor() {
+      super(uploadsDir);
+    }
+  };
+});
+
+// Mock facility record creation
+jest.mock('../../utils/facilityUploads', () => {
+  const os = require('os');
+  const path = require('path');
+  return {
+    getFinalFilePath: jest.fn((code) => path.join(os.tmpdir(), `${code}_${Date.now()}.sql`)),
+    attachUploadToFacility: jest.fn().mockResolvedValue({ id: 7 })
+  };
+});
+
+const encodeMetadata = (metadata) => Object.entries(metadata)
+  .map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`)
+  .join(',');
+
+describe('tus Controller', () => {
+  let app, user;
+  const data = Buffer.from('-- PostgreSQL database dump\nCREATE TABLE patients (id int);\n');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    user = { id: 1, role: 'uploader' };
+    app = express();
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.use('/tus', tusRoutes);
+  });
+
+  const createUpload = (metadata = {}) => request(app)
+    .post('/tus')
+    .set('Tus-Resumable', '1.0.0')
+    .set('Upload-Length', String(data.length))
+    .set('Upload-Metadata', encodeMetadata({ facilityName: 'Main Hospital', facilityCode: 'MH-001', ...metadata }));
+
+  const patch = (location, offset, body) => request(app)
+    .patch(location)
+    .set('Tus-Resumable', '1.0.0')
+    .set('Content-Type', 'application/offset+octet-stream')
+    .set('Upload-Offset', String(offset))
+    .send(body);
+
+  it('should advertise supported extensions on OPTIONS', async () => {
+    const res = await request(app).options('/tus');
+
+    expect(res.status).toBe(204);
+    expect(res.headers['tus-version']).toBe('1.0.0');
+    expect(res.headers['tus-extension']).toBe('creation,termination,checksum');
+  });
+
+  it('should reject requests without Tus-Resumable', async () => {
+    const res = await request(app).post('/tus').set('Upload-Length', '10');
+
+    expect(res.status).toBe(412);
+  });
+
+  it('should require facility metadata on creation', async () => {
+    const res = await request(app)
+      .post('/tus')
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Length', '10');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should upload in several PATCH requests and attach the facility', async () => {
+    const created = await createUpload({ filehash: crypto.createHash('sha256').update(data).digest('hex') });
+    expect(created.status).toBe(201);
+    const location = created.headers.location;
+
+    const first = await patch(location, 0, data.subarray(0, 20));
+    expect(first.status).toBe(204);
+    expect(first.headers['upload-offset']).toBe('20');
+
+    const head = await request(app).head(location).set('Tus-Resumable', '1.0.0');
+    expect(head.headers['upload-offset']).toBe('20');
+    expect(head.headers['upload-length']).toBe(String(data.length));
+
+    const last = await patch(location, 20, data.subarray(20));
+    expect(last.status).toBe(204);
+    expect(last.headers['upload-facility-id']).toBe('7');
+    expect(attachUploadToFacility).toHaveBeenCalledWith(expect.objectContaining({
+      facilityName: 'Main Hospital',
+      facilityCode: 'MH-001'
+    }));
+  });
+
+  it('should discard the file and fail the upload when saving the facility fails', async () => {
+    attachUploadToFacility.mockRejectedValueOnce(new Error('connection terminated'));
+    const created = await createUpload({ filehash: crypto.createHash('sha256').update(data).digest('hex') });
+    const location = created.headers.location;
+
+    const res = await patch(location, 0, data);
+
+    expect(res.status).toBe(500);
+    expect(res.body.message).toBe('Saving the upload failed: connection terminated. The upload was discarded.');
+    expect(fs.existsSync(getFinalFilePath.mock.results[0].value)).toBe(false);
+    const head = await request(app).head(location).set('Tus-Resumable', '1.0.0');
+    expect(head.status).toBe(404);
+  });
+
+  it('should reject a PATCH at the wrong offset', async () => {
+    const created = await createUpload();
+
+    const res = await patch(created.headers.location, 5, data.subarray(0, 5));
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should discard a PATCH whose checksum does not match', async () => {
+    const created = await createUpload();
+    const location = created.headers.location;
+
+    const res = await patch(location, 0, data.subarray(0, 10))
+      .set('Upload-Checksum', `sha1 ${crypto.createHash('sha1').update('other').digest('base64')}`);
+
+    expect(res.status).toBe(460);
+    const head = await request(app).head(location).set('Tus-Resumable', '1.0.0');
+    expect(head.headers['upload-offset']).toBe('0');
+  });
+
+  it('should hide uploads from other users unless an admin overrides', async () => {
+    const created = await createUpload();
+    const location = created.headers.location;
+
+    user = { id: 2, role: 'uploader' };
+    const other = await request(app).delete(location).set('Tus-Resumable', '1.0.0');
+    expect(other.status).toBe(404);
+
+    user = { id: 3, role: 'admin' };
+    const admin = await request(app).head(location).set('Tus-Resumable', '1.0.0');
+    expect(admin.status).toBe(404);
+    const override = await request(app).head(`${location}?override=true`).set('Tus-Resumable', '1.0.0');
+    expect(override.status).toBe(200);
+  });
+
+  it('should let a POST stand in for PATCH, DELETE or HEAD only', async () => {
+    const created = await createUpload();
+    const location = created.headers.location;
+
+    const patched = await request(app)
+      .post(location)
+      .set('X-HTTP-Method-Override', 'PATCH')
+      .set('Tus-Resumable', '1.0.0')
+      .set('Content-Type', 'application/offset+octet-stream')
+      .set('Upload-Offset', '0')
+      .send(data.subarray(0, 10));
+    expect(patched.status).toBe(204);
+    expect(patched.headers['upload-offset']).toBe('10');
+
+    const fromGet = await request(app).get(location).set('X-HTTP-Method-Override', 'DELETE').set('Tus-Resumable', '1.0.0');
+    expect(fromGet.status).toBe(404);
+    const toPut = await request(app).post(location).set('X-HTTP-Method-Override', 'PUT').set('Tus-Resumable', '1.0.0');
+    expect(toPut.status).toBe(404);
+
+    const head = await request(app).head(location).set('Tus-Resumable', '1.0.0');
+    expect(head.status).toBe(200);
+    expect(head.headers['upload-offset']).toBe('10');
+  });
+
+  it('should terminate an upload', async () => {
+    const created = await createUpload();
+    const location = created.headers.location;
+
+    const res = await request(app).delete(location).set('Tus-Resumable', '1.0.0');
+    expect(res.status).toBe(204);
+
+    const head = await request(app).head(location).set('Tus-Resumable', '1.0.0');
+    expect(head.status).toBe(404);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * In-memory stand-in for utils/uploadSessionStore
+ * Same functions and return shapes, backed by Maps instead of PostgreSQL
+ */
+
+module.exports = () => {
+  const sessions = new Map();
+  const chunks = new Map();
+
+  const refreshBytesReceived = (uploadId) => {
+    const session = sessions.get(uploadId);
+    session.offset = [...chunks.get(uploadId).values()]
+      .filter(chunk => chunk.status === 'received')
+      .reduce((total, chunk) => total + chunk.byteSize, 0);
+    session.updatedAt = new Date();
+  };
+
+  return {
+    sessions,
+
+    createSession: async (session) => {
+      const existing = sessions.get(session.uploadId);
+      if (existing) {
+        existing.status = 'in_progress';
+        existing.updatedAt = new Date();
+        return { ...existing };
+      }
+
+      const created = {
+        protocol: 'chunked',
+        userId: null,
+        facilityName: null,
+        facilityCode: null,
+        description: null,
+        facilityId: null,
+        fileHash: null,
+        contentEncoding: null,
+        originalFileSize: null,
+        originalFileHash: null,
+        rawUploadMetadata: null,
+        ...session,
+        offset: 0,
+        status: 'in_progress',
+        error: null,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        completedAt: null
+      };
+      sessions.set(session.uploadId, created);
+      chunks.set(session.uploadId, new Map());
+      return { ...created };
+    },
+
+    getSession: async (uploadId) => {
+      const session = sessions.get(uploadId);
+      return session ? { ...session } : null;
+    },
+
+    findResumableSession: async (userId, filename, fileSize, fileHash) => {
+      const session = [...sessions.values()].find(s =>
+        s.userId === userId && s.filename === filename && s.fileSize === fileSize &&
+        s.fileHash === fileHash && s.protocol === 'chunked' && s.status === 'in_progress');
+      return session ? { ...session } : null;
+    },
+
+    getChunks: async (uploadId) => [...(chunks.get(uploadId) || new Map()).values()]
+      .sort((a, b) => a.chunkNumber - b.chunkNumber)
+      .map(chunk => ({ ...chunk })),
+
+    recordChunk: async (uploadId, chunk) => {
+      chunks.get(uploadId).set(chunk.chunkNumber, {
+        chunkNumber: chunk.chunkNumber,
+        byteOffset: chunk.byteOffset,
+        byteSize: chunk.byteSize,
+        chunkHash: chunk.chunkHash || null,
+        status: chunk.status,
+        receivedAt: new Date()
+      });
+      refreshBytesReceived(uploadId);
+    },
+
+    advanceOffset: async (uploadId, fromOffset, toOffset) => {
+      const session = sessions.get(uploadId);
+      if (!session || session.offset !== fromOffset) {
+        return null;
+      }
+      session.offset = toOffset;
+      session.updatedAt = new Date();
+      return { ...session };
+    },
+
+    setStatus: async (uploadId, status, { facilityId = null, error = null } = {}) => {
+      const session = sessions.get(uploadId);
+      if (!session) {
+        return null;
+      }
+      session.status = status;
+      session.facilityId = facilityId || session.facilityId;
+      session.error = error;
+      session.updatedAt = new Date();
+      if (status === 'completed') {
+        session.completedAt = new Date();
+      }
+      return { ...session };
+    },
+
+    listActiveSessions: async () => [...sessions.values()]
+      .filter(session => session.status === 'in_progress')
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map(session => ({ ...session, username: null })),
+
+    findStaleSessions: async (maxAgeHours) => [...sessions.values()]
+      .filter(session => session.status === 'in_progress' &&
+        session.updatedAt < new Date(Date.now() - maxAgeHours * 60 * 60 * 1000))
+      .map(session => ({ ...session }))
+  };
+};
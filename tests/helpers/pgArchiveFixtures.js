@@ -0,0 +1,107 @@
+/**
+ * Builders for pg_dump archive fixtures (pg_dump is not needed to run the tests)
+ */
+
+const zlib = require('zlib');
+
+const int = (value) => {
+  const bytes = Buffer.alloc(5);
+  bytes[0] = value < 0 ? 1 : 0;
+  bytes.writeUInt32LE(Math.abs(value), 1);
+  return bytes;
+};
+
+const str = (value) => (value === null ? int(-1) : Buffer.concat([int(Buffer.byteLength(value)), Buffer.from(value)]));
+
+const ENTRIES = [
+  { dumpId: 5, desc: 'SCHEMA', tag: 'clinic', namespace: '', section: 2 },
+  { dumpId: 210, desc: 'TABLE', tag: 'patients', namespace: 'public', section: 2, defn: 'CREATE TABLE public.patients (id integer);' },
+  { dumpId: 3401, desc: 'TABLE DATA', tag: 'patients', namespace: 'public', section: 3, hasData: true, deps: [210] },
+  { dumpId: 3250, desc: 'INDEX', tag: 'patients_name_idx', namespace: 'public', section: 4 }
+];
+
+// ENTRIES plus the objects rich metadata reports on
+const CATALOG_ENTRIES = [
+  ...ENTRIES,
+  { dumpId: 8, desc: 'EXTENSION', tag: 'pgcrypto', namespace: '', section: 2 },
+  { dumpId: 211, desc: 'SEQUENCE', tag: 'patients_id_seq', namespace: 'public', section: 2 },
+  { dumpId: 3500, desc: 'SEQUENCE SET', tag: 'patients_id_seq', namespace: 'public', section: 3, defn: "SELECT pg_catalog.setval('public.patients_id_seq', 3, true);\n" },
+  { dumpId: 212, desc: 'VIEW', tag: 'active_patients', namespace: 'clinic', section: 2 },
+  { dumpId: 213, desc: 'FUNCTION', tag: 'calc_age(date)', namespace: 'public', section: 2 }
+];
+
+/**
+ * Write a PGDMP header and TOC the way pg_dump's WriteHead/WriteToc do.
+ * For custom format, data ({ dumpId: text }) is appended as zlib-compressed
+ * data blocks.
+ */
+const buildArchive = ({ minor = 15, format = 1, entries = ENTRIES, data = {} } = {}) => {
+  const parts = [
+    Buffer.from('PGDMP'),
+    Buffer.from([1, minor, 0, 4, 8, format]),
+    minor >= 15 ? Buffer.from([1]) : int(-1),
+    // 2026-03-14 09:26:53
+    int(53), int(26), int(9), int(14), int(2), int(126), int(0),
+    str('clinic_db'), str('15.4'), str('15.4'),
+    int(entries.length)
+  ];
+
+  for (const entry of entries) {
+    parts.push(
+      int(entry.dumpId), int(entry.hasData ? 1 : 0), str('1259'), str(String(entry.dumpId + 16000)),
+      str(entry.tag), str(entry.desc)
+    );
+    if (minor >= 11) parts.push(int(entry.section));
+    parts.push(str(entry.defn || ''), str(''), str(''), str(entry.namespace), str(''));
+    if (minor >= 14) parts.push(str('heap'));
+    if (minor >= 16) parts.push(int(114));
+    parts.push(str('postgres'), str('false'));
+    for (const dep of entry.deps || []) parts.push(str(String(dep)));
+    parts.push(str(null));
+
+    if (format === 1) {
+      parts.push(Buffer.from([entry.hasData ? 2 : 3]), Buffer.alloc(8));
+    } else {
+      parts.push(str(entry.hasData ? `${entry.dumpId}.dat` : ''));
+    }
+  }
+
+  if (format === 1) {
+    for (const [dumpId, text] of Object.entries(data)) {
+      // Split in two chunks: one zlib stream spans all of a block's chunks
+      const compressed = zlib.deflateSync(text);
+      const middle = Math.floor(compressed.length / 2);
+      parts.push(
+        Buffer.from([1]), int(Number(dumpId)),
+        int(middle), compressed.subarray(0, middle),
+        int(compressed.length - middle), compressed.subarray(middle),
+        int(0)
+      );
+    }
+  }
+  return Buffer.concat(parts);
+};
+
+/**
+ * Pack files into a ustar archive
+ */
+const buildTar = (files) => {
+  const blocks = [];
+  for (const [name, content] of files) {
+    const header = Buffer.alloc(512);
+    header.write(name, 0);
+    header.write('0000644\0', 100);
+    header.write(content.length.toString(8).padStart(11, '0') + '\0', 124);
+    header.write('0', 156);
+    header.write('ustar\0' + '00', 257);
+    header.fill(' ', 148, 156);
+    const sum = header.reduce((total, byte) => total + byte, 0);
+    header.write(sum.toString(8).padStart(6, '0') + '\0 ', 148);
+
+    blocks.push(header, content, Buffer.alloc((512 - (content.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+};
+
+module.exports = { ENTRIES, CATALOG_ENTRIES, buildArchive, buildTar };
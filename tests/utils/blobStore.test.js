@@ -0,0 +1,221 @@
+/**
+ * Blob Store Tests
+ * Tests for content-addressed upload storage and reference counting
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../db', () => ({ query: jest.fn(), connect: jest.fn() }));
+
+const pool = require('../../db');
+const config = require('../../config/config');
+const blobStore = require('../../utils/blobStore');
+const LocalStorage = require('../../utils/storage/localStorage');
+
+const HASH = 'a'.repeat(64);
+
+describe('blobStore', () => {
+  let uploadsDir, originalUploadFolder, blobs, locks, locksHeld;
+
+  // upload_blobs in memory, with pg_advisory_xact_lock held until COMMIT/ROLLBACK
+  const runStatement = async (sql, params = []) => {
+    const [hash] = params;
+    const row = blobs.get(hash);
+    if (sql.startsWith('SELECT')) return { rows: row ? [row] : [] };
+    if (sql.startsWith('INSERT')) {
+      const inserted = row
+        ? { ...row, ref_count: row.ref_count + 1, encryption_key_id: params[3] }
+        : { hash, file_path: params[1], file_size: String(params[2]), ref_count: 1, encryption_key_id: params[3] };
+      blobs.set(hash, inserted);
+      return { rows: [inserted] };
+    }
+    if (sql.startsWith('UPDATE')) {
+      const updated = { ...row, ref_count: row.ref_count + (sql.includes('+ 1') ? 1 : -1) };
+      blobs.set(hash, updated);
+      return { rows: [updated] };
+    }
+    if (sql.startsWith('DELETE') && row && row.ref_count <= 1) {
+      blobs.delete(hash);
+      return { rows: [row] };
+    }
+    return { rows: [] };
+  };
+
+  const connectClient = async () => {
+    let unlock = null;
+    return {
+      release: jest.fn(),
+      query: jest.fn(async (sql, params) => {
+        if (sql.includes('pg_advisory_xact_lock')) {
+          const previous = locks.get(params[0]) || Promise.resolve();
+          const held = new Promise((resolve) => { unlock = resolve; });
+          locks.set(params[0], previous.then(() => held));
+          await previous;
+          locksHeld++;
+          return { rows: [] };
+        }
+        if (sql === 'COMMIT' || sql === 'ROLLBACK') {
+          if (unlock) {
+            unlock();
+            locksHeld--;
+          }
+          return { rows: [] };
+        }
+        if (sql === 'BEGIN') return { rows: [] };
+        // Yield between statements, as a database round trip would
+        await new Promise(resolve => setImmediate(resolve));
+        return runStatement(sql, params);
+      })
+    };
+  };
+
+  // Stored file of the blob record, and every file under blobs/
+  const blobPath = () => path.join(uploadsDir, blobs.get(HASH).file_path);
+  const storedFiles = () => fs.readdirSync(path.join(uploadsDir, 'blobs'));
+
+  // A blob stored under the key from before each copy had its own
+  const storeBlob = (refCount) => {
+    fs.mkdirSync(path.join(uploadsDir, 'blobs'));
+    fs.writeFileSync(path.join(uploadsDir, 'blobs', `${HASH}.sql`), 'stored');
+    blobs.set(HASH, { hash: HASH, file_path: `blobs/${HASH}.sql`, file_size: '6', ref_count: refCount });
+  };
+
+  const writeUpload = (name) => {
+    const filePath = path.join(uploadsDir, name);
+    fs.writeFileSync(filePath, '-- PostgreSQL database dump\n');
+    return filePath;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    blobs = new Map();
+    locks = new Map();
+    locksHeld = 0;
+    pool.query.mockImplementation(runStatement);
+    pool.connect.mockImplementation(connectClient);
+    uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blob-test-'));
+    originalUploadFolder = config.application.uploadFolder;
+    config.application.uploadFolder = uploadsDir;
+  });
+
+  afterEach(() => {
+    config.application.uploadFolder = originalUploadFolder;
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+  });
+
+  it('should move the first upload of a hash into blob storage', async () => {
+    const source = writeUpload('MH-001_1.sql');
+
+    const blob = await blobStore.acquireBlob(HASH, { sourcePath: source, fileSize: 28 });
+
+    expect(fs.existsSync(source)).toBe(false);
+    expect(fs.existsSync(blobPath())).toBe(true);
+    expect(blobs.get(HASH)).toEqual(expect.objectContaining({ file_size: '28', encryption_key_id: null }));
+    expect(blob).toEqual(expect.objectContaining({ hash: HASH, fileSize: 28, refCount: 1 }));
+    expect(blob.key).toMatch(new RegExp(`^blobs/${HASH}-[a-f0-9]{16}\\.sql$`));
+    expect(blobs.get(HASH).file_path).toBe(blob.key);
+  });
+
+  it('should store the upload without holding the lock on its hash', async () => {
+    const { put } = LocalStorage.prototype;
+    const heldDuringPut = [];
+    const spy = jest.spyOn(LocalStorage.prototype, 'put').mockImplementation(function (...args) {
+      heldDuringPut.push(locksHeld);
+      return put.apply(this, args);
+    });
+
+    await blobStore.acquireBlob(HASH, { sourcePath: writeUpload('MH-001_1.sql') });
+    spy.mockRestore();
+
+    expect(heldDuringPut).toEqual([0]);
+    expect(fs.existsSync(blobPath())).toBe(true);
+  });
+
+  it('should delete the stored file when its record cannot be written', async () => {
+    pool.connect.mockImplementation(async () => {
+      const client = await connectClient();
+      const runQuery = client.query;
+      client.query = jest.fn(async (sql, params) => (
+        sql.startsWith('INSERT') ? Promise.reject(new Error('connection terminated')) : runQuery(sql, params)
+      ));
+      return client;
+    });
+
+    await expect(blobStore.acquireBlob(HASH, { sourcePath: writeUpload('MH-001_1.sql') }))
+      .rejects.toThrow('connection terminated');
+
+    expect(blobs.size).toBe(0);
+    expect(storedFiles()).toEqual([]);
+    expect(locksHeld).toBe(0);
+  });
+
+  it('should discard a duplicate upload and keep the stored blob', async () => {
+    storeBlob(1);
+    const source = writeUpload('MH-002_1.sql');
+
+    const blob = await blobStore.acquireBlob(HASH, { sourcePath: source });
+
+    expect(fs.existsSync(source)).toBe(false);
+    expect(fs.readFileSync(blobPath(), 'utf8')).toBe('stored');
+    expect(storedFiles()).toEqual([`${HASH}.sql`]);
+    expect(blob.refCount).toBe(2);
+  });
+
+  it('should refuse to reference a blob that is not stored', async () => {
+    await expect(blobStore.acquireBlob(HASH)).rejects.toEqual(expect.objectContaining({ code: 'BLOB_NOT_FOUND' }));
+    expect(blobs.size).toBe(0);
+  });
+
+  it('should only offer stored blobs the user or facility already uploaded', async () => {
+    const row = { hash: HASH, file_path: `blobs/${HASH}.sql`, file_size: '6', ref_count: 1 };
+    fs.mkdirSync(path.join(uploadsDir, 'blobs'));
+    fs.writeFileSync(path.join(uploadsDir, row.file_path), 'stored');
+
+    pool.query.mockResolvedValueOnce({ rows: [row] }).mockResolvedValueOnce({ rows: [{ owned: true }] });
+    expect(await blobStore.findOwnedBlob(HASH.toUpperCase(), { userId: 3, facilityCode: 'MH-001' }))
+      .toEqual(expect.objectContaining({ hash: HASH }));
+    expect(pool.query.mock.calls[1][1]).toEqual([HASH, 3, 'MH-001']);
+
+    pool.query.mockResolvedValueOnce({ rows: [row] }).mockResolvedValueOnce({ rows: [{ owned: false }] });
+    expect(await blobStore.findOwnedBlob(HASH, { userId: 4 })).toBeNull();
+  });
+
+  it('should reject hashes that are not SHA-256 hex digests', () => {
+    expect(() => blobStore.createBlobKey('../../etc/passwd')).toThrow('Invalid file hash');
+  });
+
+  it('should delete the file only when the last reference is released', async () => {
+    storeBlob(2);
+
+    expect(await blobStore.releaseBlob(HASH)).toBe(false);
+    expect(blobs.get(HASH).ref_count).toBe(1);
+    expect(fs.existsSync(blobPath())).toBe(true);
+
+    expect(await blobStore.releaseBlob(HASH)).toBe(true);
+    expect(blobs.has(HASH)).toBe(false);
+    expect(storedFiles()).toEqual([]);
+  });
+
+  it('should keep references and the file consistent under concurrent uploads and deletes', async () => {
+    const first = writeUpload('MH-001_1.sql');
+    await blobStore.acquireBlob(HASH, { sourcePath: first });
+
+    // The last reference is dropped while two identical uploads come in
+    await Promise.all([
+      blobStore.releaseBlob(HASH),
+      blobStore.acquireBlob(HASH, { sourcePath: writeUpload('MH-002_1.sql') }),
+      blobStore.acquireBlob(HASH, { sourcePath: writeUpload('MH-003_1.sql') })
+    ]);
+
+    // One copy is kept: the released file and the duplicate upload are gone
+    expect(blobs.get(HASH).ref_count).toBe(2);
+    expect(storedFiles()).toEqual([path.basename(blobPath())]);
+    expect(fs.readdirSync(uploadsDir)).toEqual(['blobs']);
+
+    await Promise.all([blobStore.releaseBlob(HASH), blobStore.releaseBlob(HASH)]);
+    expect(blobs.has(HASH)).toBe(false);
+    expect(storedFiles()).toEqual([]);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Compression Tests
+ * Tests for compressed dump detection and transparent decompression
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const compression = require('../../utils/compression');
+
+describe('compression', () => {
+  let dir;
+  const dump = '-- PostgreSQL database dump\nCREATE TABLE patients (id int);\n';
+
+  const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compression-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should accept plain and gzip-compressed dump names', () => {
+    expect(compression.isAllowedDumpName('dump.sql')).toBe(true);
+    expect(compression.isAllowedDumpName('DUMP.SQL.GZ')).toBe(true);
+    expect(compression.isAllowedDumpName('backup.backup.gz')).toBe(true);
+    expect(compression.isAllowedDumpName('clinic.tar.gz')).toBe(true);
+    expect(compression.isAllowedDumpName('notes.txt.gz')).toBe(false);
+    expect(compression.isAllowedDumpName('dump.gz')).toBe(false);
+    expect(compression.isAllowedDumpName('dump.sql.zst')).toBe(compression.zstdSupported);
+  });
+
+  it('should detect gzip from the file content, not its name', async () => {
+    const filePath = path.join(dir, 'upload.sql');
+    fs.writeFileSync(filePath, zlib.gzipSync(dump));
+
+    expect(await compression.detectCompression(filePath)).toBe('gzip');
+  });
+
+  it('should stream the uncompressed content of gzip and plain files', async () => {
+    const gzPath = path.join(dir, 'dump.sql.gz');
+    const plainPath = path.join(dir, 'dump.sql');
+    fs.writeFileSync(gzPath, zlib.gzipSync(dump));
+    fs.writeFileSync(plainPath, dump);
+
+    expect(await readAll(await compression.createDecompressedStream(gzPath))).toBe(dump);
+    expect(await readAll(await compression.createDecompressedStream(plainPath))).toBe(dump);
+  });
+
+  it('should surface corrupt archives as stream errors', async () => {
+    const filePath = path.join(dir, 'broken.sql.gz');
+    fs.writeFileSync(filePath, Buffer.concat([zlib.gzipSync(dump).subarray(0, 12), Buffer.from('garbage')]));
+
+    await expect(readAll(await compression.createDecompressedStream(filePath))).rejects.toThrow();
+  });
+});
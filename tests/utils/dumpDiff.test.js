@@ -0,0 +1,81 @@
+/**
+ * Dump Diff Tests
+ * Tests for comparing the metadata of two uploads
+ */
+
+const { diffDumpMetadata } = require('../../utils/dumpDiff');
+
+describe('dumpDiff', () => {
+  const metadata = ({ tables, columns, tableData }) => ({
+    isValid: true,
+    tables,
+    columns,
+    tableData,
+    totalRows: Object.values(tableData).reduce((total, data) => total + (data.rows || 0), 0)
+  });
+
+  const march = metadata({
+    tables: ['public.patients', 'public.visits', 'public.referrals'],
+    columns: {
+      'public.patients': [{ name: 'id', type: 'integer' }, { name: 'phone', type: 'text' }],
+      'public.visits': [{ name: 'id', type: 'integer' }],
+      'public.referrals': [{ name: 'id', type: 'integer' }]
+    },
+    tableData: {
+      'public.patients': { rows: 1200, bytes: 48000 },
+      'public.visits': { rows: 5400, bytes: 300000 },
+      'public.referrals': { rows: 40, bytes: 900 }
+    }
+  });
+
+  it('should report added and removed tables, column changes and row deltas', () => {
+    const april = metadata({
+      tables: ['public.patients', 'public.visits', 'public.lab_results'],
+      columns: {
+        'public.patients': [{ name: 'id', type: 'bigint' }, { name: 'email', type: 'text' }],
+        'public.visits': [{ name: 'id', type: 'int4' }],
+        'public.lab_results': [{ name: 'id', type: 'integer' }]
+      },
+      tableData: {
+        'public.patients': { rows: 1250, bytes: 50000 },
+        'public.visits': { rows: 5400, bytes: 300000 }
+      }
+    });
+
+    expect(diffDumpMetadata(march, april)).toEqual({
+      tablesAdded: ['public.lab_results'],
+      tablesRemoved: ['public.referrals'],
+      schemaChanges: [{
+        table: 'public.patients',
+        columnsAdded: [{ column: 'email', type: 'text' }],
+        columnsRemoved: [{ column: 'phone', type: 'text' }],
+        typeChanges: [{ column: 'id', from: 'integer', to: 'bigint' }]
+      }],
+      rowCounts: [
+        { table: 'public.patients', from: 1200, to: 1250, delta: 50 },
+        { table: 'public.visits', from: 5400, to: 5400, delta: 0 },
+        { table: 'public.referrals', from: 40, to: null, delta: null },
+        { table: 'public.lab_results', from: null, to: 0, delta: null }
+      ],
+      totalRows: { from: 6640, to: 6650, delta: 10 },
+      unchangedRows: ['public.visits']
+    });
+  });
+
+  it('should flag a re-export with the same data as unchanged', () => {
+    const diff = diffDumpMetadata(march, march);
+
+    expect(diff.schemaChanges).toEqual([]);
+    expect(diff.totalRows.delta).toBe(0);
+    expect(diff.unchangedRows).toEqual(march.tables);
+  });
+
+  it('should leave out what older metadata cannot tell', () => {
+    const withoutColumns = { ...march, columns: undefined, tableData: { ...march.tableData, 'public.visits': { rows: null, storedBytes: 2048 } } };
+
+    const diff = diffDumpMetadata(withoutColumns, march);
+
+    expect(diff.schemaChanges).toBeNull();
+    expect(diff.rowCounts[1]).toEqual({ table: 'public.visits', from: null, to: 5400, delta: null });
+  });
+});
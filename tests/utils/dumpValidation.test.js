@@ -0,0 +1,148 @@
+/**
+ * Dump Validation Tests
+ * Tests for the post-upload validation pipeline
+ */
+
+jest.mock('../../db', () => ({ query: jest.fn() }));
+jest.mock('../../utils/facilityUploads', () => ({ saveFacilityMetadata: jest.fn() }));
+jest.mock('../../utils/facilityRestore', () => ({
+  restoreFacilityDump: jest.fn(),
+  dropFacilityRestore: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const pool = require('../../db');
+const { saveFacilityMetadata } = require('../../utils/facilityUploads');
+const { restoreFacilityDump, dropFacilityRestore } = require('../../utils/facilityRestore');
+const { validateFacilityDump } = require('../../utils/dumpValidation');
+
+describe('dumpValidation', () => {
+  let dir;
+  const dump = [
+    '--',
+    '-- PostgreSQL database dump',
+    '--',
+    '-- Dumped from database version 15.4',
+    '-- Dumped by pg_dump version 15.4',
+    'CREATE TABLE public.patients (',
+    '    id integer NOT NULL',
+    ');',
+    '--',
+    '-- PostgreSQL database dump complete',
+    '--',
+    ''
+  ].join('\n');
+
+  const facilityWith = (fileName, content) => {
+    const filePath = path.join(dir, fileName);
+    fs.writeFileSync(filePath, content);
+    return { id: 4, facility_code: 'MH-001', file_path: filePath };
+  };
+
+  const stage = (report, name) => report.stages.find(s => s.name === name);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockResolvedValue({ rows: [] });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validation-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should mark a complete pg_dump as valid and store the report', async () => {
+    const facility = facilityWith('dump.sql', dump);
+
+    const report = await validateFacilityDump(facility);
+
+    expect(report.status).toBe('valid');
+    expect(stage(report, 'restore').message).toBe('Test restore was not requested');
+    expect(restoreFacilityDump).not.toHaveBeenCalled();
+    expect(report.stages.map(s => [s.name, s.status])).toEqual([
+      ['file', 'passed'],
+      ['format', 'passed'],
+      ['structure', 'passed'],
+      ['metadata', 'passed'],
+      ['schema', 'skipped'],
+      ['restore', 'skipped']
+    ]);
+    expect(saveFacilityMetadata).toHaveBeenCalledWith(4, expect.objectContaining({ tables: ['public.patients'] }));
+    expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('validation_status'), ['valid', JSON.stringify(report), 4]);
+  });
+
+  it('should warn about truncated dumps and SQL without a pg_dump header', async () => {
+    const truncated = await validateFacilityDump(
+      facilityWith('truncated.sql', dump.split('-- PostgreSQL database dump complete')[0]),
+      { restore: false }
+    );
+    expect(truncated.status).toBe('warning');
+    expect(stage(truncated, 'structure').message).toMatch(/truncated/);
+
+    const handWritten = await validateFacilityDump(
+      facilityWith('schema.sql', 'CREATE TABLE public.patients (id int);\n'),
+      { restore: false }
+    );
+    expect(handWritten.status).toBe('warning');
+    expect(stage(handWritten, 'structure').message).toMatch(/No pg_dump header/);
+  });
+
+  it('should mark files that are not dumps or cannot be read as invalid', async () => {
+    const notes = await validateFacilityDump(facilityWith('notes.sql', 'hello'), { restore: true });
+    expect(notes.status).toBe('invalid');
+    expect(stage(notes, 'restore').status).toBe('skipped');
+
+    const corrupt = await validateFacilityDump(
+      facilityWith('dump.sql.gz', zlib.gzipSync(dump).subarray(0, 40)),
+      { restore: false }
+    );
+    expect(corrupt.status).toBe('invalid');
+
+    const missing = await validateFacilityDump({ id: 4, file_path: path.join(dir, 'gone.sql') });
+    expect(missing.stages).toEqual([{ name: 'file', status: 'failed', message: 'Dump file is missing from storage' }]);
+  });
+
+  it('should check the dump against the registered reference schema', async () => {
+    const reference = (tables) => ({ rows: [{ id: 2, name: 'EMR 4.2', tables }] });
+
+    pool.query.mockImplementation(async (sql) => (sql.includes('reference_schemas')
+      ? reference({ 'public.patients': { id: 'integer' } })
+      : { rows: [] }));
+    const matching = await validateFacilityDump(facilityWith('dump.sql', dump), { restore: false });
+    expect(stage(matching, 'schema')).toEqual(expect.objectContaining({ status: 'passed', message: 'Matches reference schema EMR 4.2' }));
+
+    pool.query.mockImplementation(async (sql) => (sql.includes('reference_schemas')
+      ? reference({ 'public.patients': { id: 'bigint' }, 'public.visits': { id: 'integer' } })
+      : { rows: [] }));
+    const outdated = await validateFacilityDump(facilityWith('dump.sql', dump), { restore: false });
+    expect(outdated.status).toBe('invalid');
+    expect(stage(outdated, 'schema').message)
+      .toBe('Does not match reference schema EMR 4.2: 1 missing tables, 1 tables with missing or changed columns');
+    expect(stage(outdated, 'schema').details.missingTables).toEqual(['public.visits']);
+  });
+
+  it('should test-restore the dump and drop the sandbox afterwards', async () => {
+    restoreFacilityDump.mockResolvedValue({ id: 9, status: 'succeeded', durationMs: 120 });
+
+    const report = await validateFacilityDump(facilityWith('dump.sql', dump), { restore: true, requestedBy: 1 });
+
+    expect(restoreFacilityDump).toHaveBeenCalledWith(expect.objectContaining({ id: 4 }), { requestedBy: 1 });
+    expect(dropFacilityRestore).toHaveBeenCalledWith(9);
+    expect(report.status).toBe('valid');
+  });
+
+  it('should fail dumps that do not restore, but only warn when restores are unavailable', async () => {
+    restoreFacilityDump.mockResolvedValueOnce({ id: 9, status: 'failed', error: 'Statement failed: syntax error', errorCode: 'RESTORE_FAILED' });
+    const failed = await validateFacilityDump(facilityWith('dump.sql', dump), { restore: true });
+    expect(failed.status).toBe('invalid');
+    expect(stage(failed, 'restore').message).toBe('Test restore failed: Statement failed: syntax error');
+
+    restoreFacilityDump.mockResolvedValueOnce({ id: 10, status: 'failed', error: 'pg_restore is not installed', errorCode: 'RESTORE_UNAVAILABLE' });
+    const unavailable = await validateFacilityDump(facilityWith('dump.sql', dump), { restore: true });
+    expect(unavailable.status).toBe('warning');
+    expect(dropFacilityRestore).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Encryption Tests
+ * Tests for encrypting stored dumps at rest and key rotation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, PassThrough } = require('stream');
+const encryption = require('../../utils/encryption');
+const LocalStorage = require('../../utils/storage/localStorage');
+const EncryptedStorage = require('../../utils/storage/encryptedStorage');
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+
+const keyringKeys = (keyring) => (
+  Object.fromEntries([...keyring.keys].map(([id, key]) => [id, key.toString('base64')]))
+);
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const encrypt = (keyring, plaintext) => readAll(Readable.from([plaintext]).pipe(encryption.createEncryptStream(keyring)));
+
+const decrypt = (keyring, ciphertext) => {
+  const source = new PassThrough();
+  const decrypted = source.pipe(encryption.createDecryptStream(keyring));
+  source.on('error', (error) => decrypted.destroy(error));
+  source.end(ciphertext);
+  return readAll(decrypted);
+};
+
+describe('encryption', () => {
+  const keyring = new encryption.Keyring({ currentKeyId: 'k1', keys: { k1: newKey() } });
+
+  it('should round-trip data spanning several segments', async () => {
+    const plaintext = crypto.randomBytes(encryption.SEGMENT_SIZE * 2 + 100);
+    const ciphertext = await encrypt(keyring, plaintext);
+
+    expect(ciphertext.subarray(0, 4).toString()).toBe('FUE1');
+    expect(encryption.parseHeader(ciphertext).keyId).toBe('k1');
+    expect(encryption.plaintextSize(ciphertext.length, encryption.parseHeader(ciphertext).length)).toBe(plaintext.length);
+    expect((await decrypt(keyring, ciphertext)).equals(plaintext)).toBe(true);
+  });
+
+  it('should round-trip empty and exactly segment-sized files', async () => {
+    for (const size of [0, encryption.SEGMENT_SIZE]) {
+      const plaintext = crypto.randomBytes(size);
+      const ciphertext = await encrypt(keyring, plaintext);
+      expect(encryption.plaintextSize(ciphertext.length, encryption.parseHeader(ciphertext).length)).toBe(size);
+      expect((await decrypt(keyring, ciphertext)).equals(plaintext)).toBe(true);
+    }
+  });
+
+  it('should reject tampered and truncated files', async () => {
+    const ciphertext = await encrypt(keyring, crypto.randomBytes(encryption.SEGMENT_SIZE * 2));
+
+    const tampered = Buffer.from(ciphertext);
+    tampered[tampered.length - 100] ^= 1;
+    await expect(decrypt(keyring, tampered)).rejects.toEqual(expect.objectContaining({ code: 'DECRYPTION_FAILED' }));
+
+    // Cut at a segment boundary: the remaining last segment was not sealed as final
+    const header = encryption.parseHeader(ciphertext);
+    const truncated = ciphertext.subarray(0, header.length + encryption.SEGMENT_SIZE + 16);
+    await expect(decrypt(keyring, truncated)).rejects.toEqual(expect.objectContaining({ code: 'DECRYPTION_FAILED' }));
+  });
+
+  it('should refuse files encrypted with a key that is not in the key file', async () => {
+    const other = new encryption.Keyring({ currentKeyId: 'k2', keys: { k2: newKey() } });
+    const ciphertext = await encrypt(other, Buffer.from('secret'));
+
+    await expect(decrypt(keyring, ciphertext)).rejects.toEqual(expect.objectContaining({ code: 'UNKNOWN_KEY' }));
+  });
+
+  it('should validate the key file', () => {
+    expect(() => new encryption.Keyring({ currentKeyId: 'k1', keys: { k1: 'c2hvcnQ=' } })).toThrow('must be 32 bytes');
+    expect(() => new encryption.Keyring({ currentKeyId: 'missing', keys: { k1: newKey() } })).toThrow('currentKeyId');
+    expect(() => encryption.loadKeyring('/nonexistent/keys.json')).toThrow('Cannot read encryption key file');
+  });
+});
+
+describe('EncryptedStorage', () => {
+  const dump = '-- PostgreSQL database dump\n' + 'INSERT INTO patients VALUES (1);\n'.repeat(5000);
+  let rootDir, keyring, storage;
+
+  const stage = (name, contents = dump) => {
+    const filePath = path.join(rootDir, name);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'encrypted-storage-test-'));
+    keyring = new encryption.Keyring({ currentKeyId: 'k1', keys: { k1: newKey() } });
+    storage = new EncryptedStorage(new LocalStorage(rootDir), () => keyring);
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('should encrypt files on put and decrypt them on read', async () => {
+    expect(await storage.put('blobs/a.sql', stage('a.sql'))).toEqual({ keyId: 'k1' });
+
+    const raw = fs.readFileSync(path.join(rootDir, 'blobs/a.sql'));
+    expect(raw.includes('PostgreSQL')).toBe(false);
+    expect(fs.existsSync(path.join(rootDir, 'a.sql.enc'))).toBe(false);
+    expect(await storage.getKeyId('blobs/a.sql')).toBe('k1');
+
+    expect(await storage.stat('blobs/a.sql')).toEqual({ size: Buffer.byteLength(dump) });
+    expect((await readAll(await storage.createReadStream('blobs/a.sql'))).toString()).toBe(dump);
+    expect((await readAll(await storage.createReadStream('blobs/a.sql', { start: 3, end: 12 }))).toString()).toBe('PostgreSQL');
+  });
+
+  it('should read plaintext files stored before encryption was enabled', async () => {
+    await new LocalStorage(rootDir).put('blobs/old.sql', stage('old.sql'));
+
+    expect(await storage.getKeyId('blobs/old.sql')).toBeNull();
+    expect((await readAll(await storage.createReadStream('blobs/old.sql'))).toString()).toBe(dump);
+  });
+
+  it('should go by the recorded key id rather than the file content', async () => {
+    // A plaintext file that happens to start with an encryption header
+    const lookalike = Buffer.concat([encryption.MAGIC, Buffer.from([2]), Buffer.from('k1'), Buffer.alloc(8), Buffer.from(dump)]);
+    await new LocalStorage(rootDir).put('blobs/lookalike.sql', stage('lookalike.sql', lookalike));
+
+    expect(await storage.getKeyId('blobs/lookalike.sql')).toBeNull();
+    expect(await storage.stat('blobs/lookalike.sql')).toEqual({ size: lookalike.length });
+    expect((await readAll(await storage.createReadStream('blobs/lookalike.sql'))).equals(lookalike)).toBe(true);
+  });
+
+  it('should re-encrypt files under a new current key', async () => {
+    await storage.put('blobs/a.sql', stage('a.sql'));
+    await new LocalStorage(rootDir).put('blobs/old.sql', stage('old.sql'));
+
+    keyring = new encryption.Keyring({ currentKeyId: 'k2', keys: { ...keyringKeys(keyring), k2: newKey() } });
+    await storage.reencrypt('blobs/a.sql', rootDir);
+    await storage.reencrypt('blobs/old.sql', rootDir);
+
+    expect(await storage.getKeyId('blobs/a.sql')).toBe('k2');
+    expect(await storage.getKeyId('blobs/old.sql')).toBe('k2');
+    expect(fs.readdirSync(rootDir).sort()).toEqual(['blobs']);
+
+    // The old key is no longer needed once everything is rewritten
+    keyring = new encryption.Keyring({ currentKeyId: 'k2', keys: { k2: keyringKeys(keyring).k2 } });
+    expect((await readAll(await storage.createReadStream('blobs/a.sql'))).toString()).toBe(dump);
+  });
+
+  it('should store plaintext when no key file is configured', async () => {
+    const plain = new EncryptedStorage(new LocalStorage(rootDir), () => null);
+
+    expect(await plain.put('blobs/a.sql', stage('a.sql'))).toEqual({ keyId: null });
+    expect(fs.readFileSync(path.join(rootDir, 'blobs/a.sql'), 'utf8')).toBe(dump);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Facility Restore Tests
+ * Tests for restoring facility dumps into sandbox databases
+ */
+
+jest.mock('../../db', () => ({ query: jest.fn() }));
+jest.mock('../../middleware/logger', () => ({ logger: { error: jest.fn() } }));
+jest.mock('../../utils/pgdumpUtils', () => ({ restorePgDump: jest.fn() }));
+jest.mock('pg', () => {
+  const statements = [];
+  const role = { rolsuper: false };
+  const Client = jest.fn(() => ({
+    connect: jest.fn().mockResolvedValue(),
+    query: jest.fn(async (sql) => {
+      if (sql.includes('pg_roles')) return { rows: [{ rolsuper: role.rolsuper }] };
+      statements.push(sql);
+      return { rows: [] };
+    }),
+    end: jest.fn().mockResolvedValue()
+  }));
+  return { Client, escapeIdentifier: (name) => `"${name}"`, statements, role };
+});
+
+const pool = require('../../db');
+const pg = require('pg');
+const config = require('../../config/config');
+const pgdumpUtils = require('../../utils/pgdumpUtils');
+const facilityRestore = require('../../utils/facilityRestore');
+
+describe('facilityRestore', () => {
+  const facility = { id: 4, facility_code: 'MH-001', file_path: 'blobs/abc.sql' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pg.statements.length = 0;
+    pg.role.rolsuper = false;
+    config.restore.user = 'facility_restore';
+    // INSERT returns the running restore; UPDATEs echo their parameters
+    pool.query.mockImplementation(async (sql, params) => {
+      if (sql.startsWith('INSERT')) {
+        return { rows: [{ id: 9, facility_id: params[0], facility_code: params[1], database_name: params[2], status: 'running' }] };
+      }
+      const status = sql.includes("'succeeded'") ? 'succeeded' : 'failed';
+      return { rows: [{ id: 9, status, error: status === 'failed' ? params[0] : null, output: params[1], duration_ms: params[2] }] };
+    });
+  });
+
+  it('should name sandbox databases after the facility code and time', () => {
+    expect(facilityRestore.getSandboxDatabaseName('MH-001', new Date('2026-10-19T10:15:00.123Z')))
+      .toBe('facility_mh_001_20261019101500');
+  });
+
+  it('should create the sandbox database and record a successful restore', async () => {
+    pgdumpUtils.restorePgDump.mockResolvedValue({ command: 'sql', output: '', warnings: '' });
+
+    const restore = await facilityRestore.restoreFacilityDump(facility, { requestedBy: 1 });
+
+    const databaseName = pool.query.mock.calls[0][1][2];
+    expect(databaseName).toMatch(/^facility_mh_001_\d{14}$/);
+    expect(pg.statements).toEqual([`CREATE DATABASE "${databaseName}"`]);
+    expect(pgdumpUtils.restorePgDump).toHaveBeenCalledWith('blobs/abc.sql', expect.objectContaining({ database: databaseName }));
+    expect(restore).toEqual(expect.objectContaining({ id: 9, status: 'succeeded', error: null }));
+    expect(restore.durationMs).toEqual(expect.any(Number));
+  });
+
+  it('should drop the sandbox database and record the error when the restore fails', async () => {
+    pgdumpUtils.restorePgDump.mockRejectedValue(
+      Object.assign(new Error('Statement failed: syntax error at or near "TABLE"'), { code: 'RESTORE_FAILED', stderr: 'ERROR:  syntax error' })
+    );
+
+    const restore = await facilityRestore.restoreFacilityDump(facility);
+
+    expect(pg.statements[1]).toMatch(/^DROP DATABASE IF EXISTS "facility_mh_001_\d{14}"$/);
+    expect(restore).toEqual(expect.objectContaining({ status: 'failed', error: 'Statement failed: syntax error at or near "TABLE"', output: 'ERROR:  syntax error' }));
+  });
+
+  it('should refuse to restore without a dedicated non-superuser role', async () => {
+    config.restore.user = null;
+    const unconfigured = await facilityRestore.restoreFacilityDump(facility);
+    expect(unconfigured).toEqual(expect.objectContaining({ status: 'failed', errorCode: 'RESTORE_UNAVAILABLE' }));
+    expect(unconfigured.error).toMatch(/no restore role is configured/);
+
+    config.restore.user = config.database.user;
+    await expect(facilityRestore.checkRestoreRole()).rejects.toThrow(/must not be the application's database role/);
+
+    config.restore.user = 'facility_restore';
+    pg.role.rolsuper = true;
+    await expect(facilityRestore.checkRestoreRole()).rejects.toEqual(expect.objectContaining({
+      code: 'RESTORE_UNAVAILABLE',
+      message: 'Restores are disabled: the restore role must not be a superuser'
+    }));
+
+    expect(pg.statements).toEqual([]);
+    expect(pgdumpUtils.restorePgDump).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to drop a restore that is still running', async () => {
+    pool.query.mockResolvedValue({ rows: [{ id: 9, status: 'running', database_name: 'facility_mh_001_20261019101500' }] });
+
+    await expect(facilityRestore.dropFacilityRestore(9)).rejects.toEqual(expect.objectContaining({ code: 'RESTORE_RUNNING' }));
+    expect(pg.statements).toEqual([]);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Job Queue Tests
+ * Tests for the PostgreSQL-backed background job queue
+ */
+
+jest.mock('../../db', () => ({ query: jest.fn() }));
+jest.mock('../../middleware/logger', () => ({ logger: { info: jest.fn(), error: jest.fn() } }));
+
+const pool = require('../../db');
+const jobQueue = require('../../utils/jobQueue');
+
+describe('jobQueue', () => {
+  const row = (fields = {}) => ({
+    id: 5,
+    type: 'test-job',
+    payload: { facilityId: 3 },
+    status: 'running',
+    attempts: 1,
+    max_attempts: 3,
+    ...fields
+  });
+
+  // First query claims the job; later ones echo the status they set
+  const claim = (fields) => {
+    pool.query.mockResolvedValueOnce({ rows: [row(fields)] });
+    pool.query.mockImplementation(async (sql, params) => {
+      const status = (sql.match(/status = '(\w+)'/) || [])[1];
+      return { rows: [row({ ...fields, status, error: params[1] })] };
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+  });
+
+  it('should queue jobs with their payload', async () => {
+    pool.query.mockResolvedValue({ rows: [row({ status: 'queued', attempts: 0 })] });
+
+    const job = await jobQueue.enqueueJob('test-job', { facilityId: 3 }, { createdBy: 1 });
+
+    expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO jobs'), ['test-job', '{"facilityId":3}', 3, 1]);
+    expect(job).toEqual(expect.objectContaining({ id: 5, status: 'queued', maxAttempts: 3, payload: { facilityId: 3 } }));
+  });
+
+  it('should claim jobs with SKIP LOCKED and store the handler result', async () => {
+    const handler = jest.fn().mockResolvedValue({ tableCount: 2 });
+    jobQueue.registerJobHandler('test-job', handler);
+    claim();
+
+    const job = await jobQueue.runNextJob();
+
+    expect(pool.query.mock.calls[0][0]).toContain('FOR UPDATE SKIP LOCKED');
+    expect(handler).toHaveBeenCalledWith({ facilityId: 3 }, expect.objectContaining({ job: expect.objectContaining({ id: 5 }) }));
+    expect(pool.query).toHaveBeenLastCalledWith(expect.stringContaining("status = 'succeeded'"), [5, '{"tableCount":2}']);
+    expect(job.status).toBe('succeeded');
+  });
+
+  it('should retry failed jobs with backoff until attempts run out', async () => {
+    jobQueue.registerJobHandler('test-job', jest.fn().mockRejectedValue(new Error('connection reset')));
+
+    claim({ attempts: 2 });
+    expect(await jobQueue.runNextJob()).toEqual(expect.objectContaining({ status: 'queued', error: 'connection reset' }));
+    expect(pool.query).toHaveBeenLastCalledWith(expect.stringContaining('make_interval(secs => $3)'), [5, 'connection reset', 120]);
+
+    claim({ attempts: 3 });
+    expect(await jobQueue.runNextJob()).toEqual(expect.objectContaining({ status: 'failed', error: 'connection reset' }));
+  });
+
+  it('should not retry permanent errors or unknown job types', async () => {
+    jobQueue.registerJobHandler('test-job', jest.fn().mockRejectedValue(
+      Object.assign(new Error('File is not a valid PostgreSQL dump file'), { retry: false })
+    ));
+
+    claim();
+    expect((await jobQueue.runNextJob()).status).toBe('failed');
+
+    claim({ type: 'unregistered' });
+    expect(await jobQueue.runNextJob()).toEqual(expect.objectContaining({ status: 'failed', error: 'Unknown job type: unregistered' }));
+  });
+
+  it('should requeue stale jobs with attempts left and fail the others', async () => {
+    pool.query.mockResolvedValue({ rows: [{ id: 5, status: 'queued' }, { id: 6, status: 'failed' }] });
+
+    const stale = await jobQueue.requeueStaleJobs(15);
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain("status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END");
+    expect(sql).toContain('finished_at = CASE WHEN attempts >= max_attempts THEN NOW() END');
+    expect(sql).toContain("error = 'Worker stopped responding'");
+    expect(sql).toContain("WHERE status = 'running'");
+    expect(params).toEqual([15]);
+    expect(stale).toEqual({ requeued: [5], failed: [6] });
+  });
+
+  it('should return null when no job is due', async () => {
+    pool.query.mockResolvedValue({ rows: [] });
+
+    expect(await jobQueue.runNextJob()).toBeNull();
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * pg_dump Archive Tests
+ * Tests for reading custom, tar and directory format archive headers and TOCs
+ */
+
+const { Readable } = require('stream');
+const pgArchive = require('../../utils/pgArchive');
+const { buildArchive, buildTar } = require('../helpers/pgArchiveFixtures');
+
+const parse = (buffer) => pgArchive.parseArchive(Readable.from([buffer]));
+
+describe('pgArchive', () => {
+  it('should read the header and TOC of a custom format dump', async () => {
+    const archive = await parse(buildArchive());
+
+    expect(archive).toEqual(expect.objectContaining({
+      format: 'custom',
+      version: '1.15.0',
+      compression: 'gzip',
+      createdAt: '2026-03-14 09:26:53',
+      database: 'clinic_db',
+      serverVersion: '15.4',
+      pgDumpVersion: '15.4',
+      entryCount: 4,
+      schemas: ['clinic'],
+      tables: ['public.patients'],
+      indexes: ['public.patients_name_idx'],
+      dataEntries: ['public.patients']
+    }));
+    expect(archive.entries[2]).toEqual(expect.objectContaining({ section: 'data', hasData: true, dependencies: [210] }));
+    expect(archive.entries[1].defn).toBe('CREATE TABLE public.patients (id integer);');
+  });
+
+  it('should read older and newer archive versions', async () => {
+    expect((await parse(buildArchive({ minor: 14 }))).tables).toEqual(['public.patients']);
+    expect((await parse(buildArchive({ minor: 16 }))).indexes).toEqual(['public.patients_name_idx']);
+  });
+
+  it('should derive TOC sections from the entry type in archives without them', async () => {
+    const archive = await parse(buildArchive({ minor: 10 }));
+
+    expect(archive.version).toBe('1.10.0');
+    expect(archive.tables).toEqual(['public.patients']);
+    expect(archive.entries.map(entry => entry.section)).toEqual(['pre-data', 'pre-data', 'data', 'post-data']);
+    expect(archive.entries[2]).toEqual(expect.objectContaining({ hasData: true, dependencies: [210] }));
+  });
+
+  it('should find toc.dat in tar and packed directory dumps', async () => {
+    const tar = buildTar([['toc.dat', buildArchive({ format: 3 })], ['3401.dat', Buffer.from('1\n\\.\n')]]);
+    expect(await parse(tar)).toEqual(expect.objectContaining({ format: 'tar', dataEntries: ['public.patients'] }));
+
+    const directory = buildTar([['dump/3401.dat.gz', Buffer.alloc(2000)], ['dump/toc.dat', buildArchive({ format: 5 })]]);
+    expect(await parse(directory)).toEqual(expect.objectContaining({ format: 'directory', tables: ['public.patients'] }));
+  });
+
+  it('should reject damaged and unsupported archives', async () => {
+    await expect(parse(buildArchive().subarray(0, 120))).rejects.toThrow('Archive is truncated');
+    await expect(parse(buildArchive({ minor: 99 }))).rejects.toEqual(expect.objectContaining({ code: 'UNSUPPORTED_ARCHIVE' }));
+    await expect(parse(buildTar([['restore.sql', Buffer.from('SELECT 1;')]]))).rejects.toThrow('Tar file has no toc.dat');
+    await expect(parse(Buffer.from('-- PostgreSQL database dump\n'))).rejects.toThrow('Not a pg_dump archive');
+  });
+});
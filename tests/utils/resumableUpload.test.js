@@ -0,0 +1,264 @@
+/**
+ * Resumable Upload Manager Tests
+ * Tests for chunk storage, finalization and integrity checks
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const ResumableUploadManager = require('../../utils/resumableUpload');
+const createMemoryStore = require('../helpers/memoryUploadSessionStore');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const stream = (data) => Readable.from([Buffer.from(data)]);
+
+describe('ResumableUploadManager', () => {
+  let uploadsDir, store, manager;
+
+  beforeEach(() => {
+    uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resumable-test-'));
+    store = createMemoryStore();
+    manager = new ResumableUploadManager(uploadsDir, store);
+  });
+
+  afterEach(() => {
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+  });
+
+  describe('finalizeUpload', () => {
+    const data = Buffer.from('-- PostgreSQL database dump\nCREATE TABLE patients (id int);\n');
+
+    beforeEach(async () => {
+      await manager.initializeUpload('abc', {
+        filename: 'dump.sql',
+        fileSize: data.length,
+        fileHash: sha256(data),
+        chunkSize: 16
+      });
+      for (let i = 0; i * 16 < data.length; i++) {
+        await manager.saveChunk('abc', i + 1, stream(data.subarray(i * 16, (i + 1) * 16)));
+      }
+    });
+
+    it('should move the verified file into place', async () => {
+      const outputPath = path.join(uploadsDir, 'out.sql');
+
+      const result = await manager.finalizeUpload('abc', outputPath);
+
+      expect(result.valid).toBe(true);
+      expect(result.actualHash).toBe(sha256(data));
+      expect(fs.readFileSync(outputPath)).toEqual(data);
+    });
+
+    it('should keep the partial file when the hash does not match', async () => {
+      fs.writeFileSync(manager.getPartialPath('abc'), Buffer.alloc(data.length));
+      const outputPath = path.join(uploadsDir, 'out.sql');
+
+      const result = await manager.finalizeUpload('abc', outputPath);
+
+      expect(result.valid).toBe(false);
+      expect(fs.existsSync(outputPath)).toBe(false);
+      expect(fs.existsSync(manager.getPartialPath('abc'))).toBe(true);
+    });
+
+    it('should reject when a chunk is missing', async () => {
+      await expect(manager.saveChunk('abc', 2, stream('short'))).rejects.toThrow();
+
+      await expect(manager.finalizeUpload('abc', path.join(uploadsDir, 'out.sql')))
+        .rejects.toThrow('Upload is not complete');
+    });
+  });
+
+  describe('saveChunk', () => {
+    beforeEach(async () => {
+      await manager.initializeUpload('abc', { filename: 'dump.sql', fileSize: 32, chunkSize: 16 });
+    });
+
+    it('should save a chunk whose checksum matches', async () => {
+      const data = Buffer.from('0123456789abcdef');
+
+      const result = await manager.saveChunk('abc', 1, stream(data), sha256(data));
+
+      expect(result.saved).toBe(true);
+      expect((await manager.getUploadProgress('abc')).uploadedChunks).toEqual([1]);
+    });
+
+    it('should record the chunk and the received byte count in the session store', async () => {
+      const data = Buffer.from('0123456789abcdef');
+
+      await manager.saveChunk('abc', 2, stream(data), sha256(data), 16);
+
+      expect(fs.readFileSync(manager.getPartialPath('abc')).subarray(16)).toEqual(data);
+      expect(await store.getChunks('abc')).toEqual([
+        expect.objectContaining({ chunkNumber: 2, byteOffset: 16, byteSize: 16, chunkHash: sha256(data), status: 'received' })
+      ]);
+      expect((await store.getSession('abc')).offset).toBe(16);
+    });
+
+    it('should reject a corrupted chunk and report it as failed', async () => {
+      const data = Buffer.from('0123456789abcdef');
+
+      await expect(manager.saveChunk('abc', 2, stream(data), sha256('something else')))
+        .rejects.toEqual(expect.objectContaining({ code: 'CHUNK_CHECKSUM_MISMATCH', chunkNumber: 2 }));
+
+      const progress = await manager.getUploadProgress('abc');
+      expect(progress.uploadedChunks).toEqual([]);
+      expect(progress.failedChunks).toEqual([2]);
+    });
+
+    it('should clear the failed flag once the chunk is re-sent correctly', async () => {
+      const data = Buffer.from('0123456789abcdef');
+      await expect(manager.saveChunk('abc', 2, stream(data), 'bad')).rejects.toThrow();
+
+      await manager.saveChunk('abc', 2, stream(data), sha256(data));
+
+      const progress = await manager.getUploadProgress('abc');
+      expect(progress.uploadedChunks).toEqual([2]);
+      expect(progress.failedChunks).toEqual([]);
+    });
+
+    it('should reject chunk numbers outside the upload', async () => {
+      await expect(manager.saveChunk('abc', 3, stream('x'))).rejects.toThrow('Invalid chunk number 3');
+    });
+
+    it('should reject a chunk sent for the wrong offset', async () => {
+      await expect(manager.saveChunk('abc', 2, stream('0123456789abcdef'), null, 0))
+        .rejects.toEqual(expect.objectContaining({ code: 'CHUNK_OFFSET_MISMATCH', expectedOffset: 16 }));
+    });
+
+    it('should reject a chunk longer than its size and record it as failed', async () => {
+      await expect(manager.saveChunk('abc', 1, stream('0123456789abcdef+')))
+        .rejects.toEqual(expect.objectContaining({ code: 'CHUNK_SIZE_MISMATCH' }));
+
+      expect((await manager.getUploadProgress('abc')).failedChunks).toEqual([1]);
+    });
+  });
+
+  describe('getUploadProgress', () => {
+    it('should list gaps below the highest uploaded chunk as missing', async () => {
+      await manager.initializeUpload('abc', { filename: 'dump.sql', fileSize: 64, chunkSize: 16 });
+      await manager.saveChunk('abc', 1, stream('0123456789abcdef'));
+      await manager.saveChunk('abc', 3, stream('0123456789abcdef'));
+      await expect(manager.saveChunk('abc', 4, stream('0123456789abcdef'), 'bad')).rejects.toThrow();
+
+      const progress = await manager.getUploadProgress('abc');
+
+      expect(progress.uploadedChunks).toEqual([1, 3]);
+      expect(progress.missingChunks).toEqual([2]);
+      expect(progress.failedChunks).toEqual([4]);
+      expect(progress.uploadedSize).toBe(32);
+    });
+  });
+
+  describe('verifyChunks', () => {
+    it('should mark chunks that changed on disk as failed', async () => {
+      await manager.initializeUpload('abc', { filename: 'dump.sql', fileSize: 32, chunkSize: 16 });
+      await manager.saveChunk('abc', 1, stream('0123456789abcdef'));
+      await manager.saveChunk('abc', 2, stream('fedcba9876543210'));
+      fs.writeFileSync(manager.getPartialPath('abc'), '0123456789abcdefcorrupted bytes!');
+
+      const corrupted = await manager.verifyChunks('abc');
+
+      expect(corrupted).toEqual([2]);
+      expect((await manager.getUploadProgress('abc')).failedChunks).toEqual([2]);
+    });
+  });
+
+  describe('session status', () => {
+    it('should mark the session completed and remove its files', async () => {
+      await manager.initializeUpload('abc', { filename: 'dump.sql', fileSize: 16, chunkSize: 16 });
+      await manager.saveChunk('abc', 1, stream('0123456789abcdef'));
+
+      await manager.completeUpload('abc', 7);
+
+      expect(fs.existsSync(manager.getPartialPath('abc'))).toBe(false);
+      expect(await store.getSession('abc')).toEqual(expect.objectContaining({ status: 'completed', facilityId: 7 }));
+    });
+
+    it('should expire stale in-progress sessions', async () => {
+      await manager.initializeUpload('old', { filename: 'dump.sql', fileSize: 16, chunkSize: 16 });
+      await manager.initializeUpload('new', { filename: 'dump.sql', fileSize: 16, chunkSize: 16 });
+      store.sessions.get('old').updatedAt = new Date(Date.now() - 48 * 60 * 60 * 1000);
+
+      const expired = await manager.cleanupOldUploads(24);
+
+      expect(expired).toEqual(['old']);
+      expect((await store.getSession('old')).status).toBe('expired');
+      expect((await store.getSession('new')).status).toBe('in_progress');
+    });
+  });
+
+  describe('listActiveUploads', () => {
+    it('should report progress and estimate time left from the average rate', async () => {
+      await manager.initializeUpload('abc', { filename: 'dump.sql', fileSize: 64, chunkSize: 16, userId: 1 });
+      await manager.saveChunk('abc', 1, stream('0123456789abcdef'));
+      const session = store.sessions.get('abc');
+      session.createdAt = new Date(session.updatedAt.getTime() - 8000);
+
+      const [upload] = await manager.listActiveUploads();
+
+      expect(upload).toEqual(expect.objectContaining({ uploadId: 'abc', uploadedSize: 16, progress: 25 }));
+      expect(upload.bytesPerSecond).toBe(2);
+      expect(upload.etaSeconds).toBe(24);
+    });
+
+    it('should not estimate time left for stalled uploads', () => {
+      const now = Date.now();
+      const estimate = manager.estimateTimeLeft({
+        fileSize: 64,
+        uploadedSize: 16,
+        createdAt: new Date(now - 60 * 60 * 1000),
+        updatedAt: new Date(now - 30 * 60 * 1000)
+      }, now);
+
+      expect(estimate).toEqual({ idleSeconds: 1800, bytesPerSecond: null, etaSeconds: null });
+    });
+  });
+
+  describe('verifyDecompressedContent', () => {
+    const original = Buffer.from('-- PostgreSQL database dump\nCREATE TABLE patients (id int);\n');
+
+    it('should accept a gzip payload that decompresses to the original file', async () => {
+      const filePath = path.join(uploadsDir, 'dump.sql.gz');
+      fs.writeFileSync(filePath, zlib.gzipSync(original));
+
+      const result = await manager.verifyDecompressedContent(filePath, {
+        contentEncoding: 'gzip',
+        originalFileSize: original.length,
+        originalFileHash: sha256(original)
+      });
+
+      expect(result).toEqual(expect.objectContaining({ valid: true, actualSize: original.length }));
+    });
+
+    it('should reject payloads that are not compressed or decompress to other data', async () => {
+      const plainPath = path.join(uploadsDir, 'dump.sql');
+      const otherPath = path.join(uploadsDir, 'other.sql.gz');
+      fs.writeFileSync(plainPath, original);
+      fs.writeFileSync(otherPath, zlib.gzipSync('something else'));
+      const session = { contentEncoding: 'gzip', originalFileSize: original.length, originalFileHash: sha256(original) };
+
+      expect((await manager.verifyDecompressedContent(plainPath, session)).valid).toBe(false);
+      expect(await manager.verifyDecompressedContent(otherPath, session)).toEqual(expect.objectContaining({
+        valid: false,
+        expectedHash: sha256(original),
+        actualHash: sha256('something else')
+      }));
+    });
+  });
+
+  describe('verifyFileHash', () => {
+    it('should accept a matching hash regardless of case', () => {
+      const result = manager.verifyFileHash({ fileHash: 'ABCDEF' }, 'abcdef');
+      expect(result.valid).toBe(true);
+    });
+
+    it('should reject a mismatching hash', () => {
+      const result = manager.verifyFileHash({ fileHash: 'abc' }, 'def');
+      expect(result).toEqual({ valid: false, expectedHash: 'abc', actualHash: 'def' });
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Storage Driver Tests
+ * Tests for the local-disk and S3-compatible storage drivers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const LocalStorage = require('../../utils/storage/localStorage');
+const S3Storage = require('../../utils/storage/s3Storage');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+describe('LocalStorage', () => {
+  let rootDir, storage;
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    storage = new LocalStorage(rootDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('should move a staged file under its key and read it back', async () => {
+    const source = path.join(rootDir, 'staged.sql');
+    fs.writeFileSync(source, '-- PostgreSQL database dump');
+
+    await storage.put('blobs/abc.sql', source);
+
+    expect(fs.existsSync(source)).toBe(false);
+    expect(await storage.exists('blobs/abc.sql')).toBe(true);
+    expect(await storage.stat('blobs/abc.sql')).toEqual({ size: 27 });
+    expect(await readAll(await storage.createReadStream('blobs/abc.sql', { start: 3, end: 12 }))).toBe('PostgreSQL');
+  });
+
+  it('should keep object metadata next to the object and remove it with it', async () => {
+    const source = path.join(rootDir, 'staged.sql');
+    fs.writeFileSync(source, 'data');
+
+    await storage.put('blobs/abc.sql', source, { 'encryption-key-id': 'k1' });
+
+    expect(await storage.getMetadata('blobs/abc.sql')).toEqual({ 'encryption-key-id': 'k1' });
+    await storage.delete('blobs/abc.sql');
+    expect(fs.readdirSync(path.join(rootDir, 'blobs'))).toEqual([]);
+    expect(await storage.getMetadata('blobs/abc.sql')).toEqual({});
+  });
+
+  it('should delete objects and ignore ones already gone', async () => {
+    fs.mkdirSync(path.join(rootDir, 'blobs'));
+    fs.writeFileSync(path.join(rootDir, 'blobs', 'abc.sql'), 'data');
+
+    await storage.delete('blobs/abc.sql');
+    await storage.delete('blobs/abc.sql');
+
+    expect(await storage.exists('blobs/abc.sql')).toBe(false);
+  });
+
+  it('should reject keys that leave the root directory', () => {
+    expect(() => storage.resolve('../outside.sql')).toThrow('Invalid storage key');
+  });
+});
+
+describe('S3Storage', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new S3Storage({ bucket: 'dumps', region: 'us-east-1', prefix: 'facilities/' });
+    storage.client = { send: jest.fn() };
+  });
+
+  it('should request byte ranges of prefixed keys', async () => {
+    storage.client.send.mockResolvedValueOnce({ Body: Readable.from([Buffer.from('PGDMP')]) });
+
+    const stream = await storage.createReadStream('blobs/abc.sql', { start: 0, end: 4 });
+
+    expect(await readAll(stream)).toBe('PGDMP');
+    expect(storage.client.send.mock.calls[0][0].input).toEqual({
+      Bucket: 'dumps',
+      Key: 'facilities/blobs/abc.sql',
+      Range: 'bytes=0-4'
+    });
+  });
+
+  it('should report missing objects as not existing', async () => {
+    storage.client.send.mockRejectedValueOnce(Object.assign(new Error('Not Found'), {
+      name: 'NotFound',
+      $metadata: { httpStatusCode: 404 }
+    }));
+
+    expect(await storage.exists('blobs/missing.sql')).toBe(false);
+  });
+
+  it('should upload a staged file and remove the local copy', async () => {
+    const source = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 's3-test-')), 'staged.sql');
+    fs.writeFileSync(source, 'data');
+    let uploaded = null;
+    storage.client.send.mockImplementationOnce(async (command) => {
+      uploaded = await readAll(command.input.Body);
+      return {};
+    });
+
+    await storage.put('blobs/abc.sql', source, { 'encryption-key-id': 'k1' });
+
+    expect(storage.client.send.mock.calls[0][0].input).toEqual(expect.objectContaining({
+      Bucket: 'dumps',
+      Key: 'facilities/blobs/abc.sql',
+      ContentLength: 4,
+      Metadata: { 'encryption-key-id': 'k1' }
+    }));
+    expect(uploaded).toBe('data');
+    expect(fs.existsSync(source)).toBe(false);
+    fs.rmSync(path.dirname(source), { recursive: true, force: true });
+  });
+
+  it('should read object metadata', async () => {
+    storage.client.send.mockResolvedValueOnce({ ContentLength: 4, Metadata: { 'encryption-key-id': 'k1' } });
+    storage.client.send.mockResolvedValueOnce({ ContentLength: 4 });
+
+    expect(await storage.getMetadata('blobs/abc.sql')).toEqual({ 'encryption-key-id': 'k1' });
+    expect(await storage.getMetadata('blobs/old.sql')).toEqual({});
+  });
+
+  it('should require a bucket', () => {
+    expect(() => new S3Storage({ region: 'us-east-1' })).toThrow('S3_BUCKET is required');
+  });
+});
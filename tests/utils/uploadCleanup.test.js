@@ -0,0 +1,94 @@
+/**
+ * Upload Cleanup Tests
+ * Tests for expiring abandoned uploads and removing orphaned files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../utils/uploadSessionStore', () => require('../helpers/memoryUploadSessionStore')());
+jest.mock('../../utils/uploadReport', () => ({ deleteExpiredReports: jest.fn() }));
+jest.mock('../../middleware/logger', () => ({
+  logger: { info: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const store = require('../../utils/uploadSessionStore');
+const { logger } = require('../../middleware/logger');
+const { deleteExpiredReports } = require('../../utils/uploadReport');
+const { runUploadCleanup, getLastCleanupRun } = require('../../utils/uploadCleanup');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('runUploadCleanup', () => {
+  let uploadsDir, chunksDir;
+
+  const writeFile = (filePath, ageMs) => {
+    fs.writeFileSync(filePath, 'data');
+    const time = new Date(Date.now() - ageMs);
+    fs.utimesSync(filePath, time, time);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    deleteExpiredReports.mockResolvedValue([]);
+    store.sessions.clear();
+    uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cleanup-test-'));
+    chunksDir = path.join(uploadsDir, 'chunks');
+    fs.mkdirSync(chunksDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+  });
+
+  it('should expire stale sessions and delete their partial files', async () => {
+    await store.createSession({ uploadId: 'stale', fileSize: 4 });
+    await store.createSession({ uploadId: 'active', fileSize: 4 });
+    store.sessions.get('stale').updatedAt = new Date(Date.now() - 2 * DAY);
+    writeFile(path.join(chunksDir, 'stale-partial'), 2 * DAY);
+    writeFile(path.join(chunksDir, 'active-partial'), 2 * DAY);
+
+    const summary = await runUploadCleanup({ maxAgeHours: 24, uploadsDir });
+
+    expect(summary.expiredSessions).toEqual(['stale']);
+    expect(store.sessions.get('stale').status).toBe('expired');
+    expect(fs.existsSync(path.join(chunksDir, 'stale-partial'))).toBe(false);
+    expect(fs.existsSync(path.join(chunksDir, 'active-partial'))).toBe(true);
+  });
+
+  it('should remove old orphaned files and keep recent ones', async () => {
+    writeFile(path.join(chunksDir, 'unknown-partial'), 2 * DAY);
+    writeFile(path.join(uploadsDir, 'chunk-1700000000000-abc'), 2 * DAY);
+    writeFile(path.join(uploadsDir, 'chunk-1700000000001-def'), 0);
+    writeFile(path.join(uploadsDir, 'MH-001_1700000000000.sql'), 2 * DAY);
+
+    const summary = await runUploadCleanup({ maxAgeHours: 24, uploadsDir });
+
+    expect(summary.deletedFiles.sort()).toEqual([
+      'chunk-1700000000000-abc',
+      path.join('chunks', 'unknown-partial')
+    ]);
+    expect(summary.freedBytes).toBe(8);
+    expect(fs.existsSync(path.join(uploadsDir, 'chunk-1700000000001-def'))).toBe(true);
+    expect(fs.existsSync(path.join(uploadsDir, 'MH-001_1700000000000.sql'))).toBe(true);
+    expect(logger.info).toHaveBeenCalledWith('Upload cleanup removed abandoned uploads', summary);
+  });
+
+  it('should delete expired upload reports from storage', async () => {
+    deleteExpiredReports.mockResolvedValue(['reports/upload-report-1700000000000.csv']);
+
+    const summary = await runUploadCleanup({ maxAgeHours: 24, uploadsDir });
+
+    expect(deleteExpiredReports).toHaveBeenCalledWith(24);
+    expect(summary.deletedReports).toEqual(['reports/upload-report-1700000000000.csv']);
+    expect(logger.info).toHaveBeenCalledWith('Upload cleanup removed abandoned uploads', summary);
+  });
+
+  it('should keep the last run summary for admins', async () => {
+    const summary = await runUploadCleanup({ maxAgeHours: 24, uploadsDir });
+
+    expect(getLastCleanupRun()).toBe(summary);
+    expect(summary.finishedAt).toEqual(expect.any(String));
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Upload Session Store Tests
+ * Tests for upload session and chunk records in PostgreSQL
+ */
+
+jest.mock('../../db', () => ({ query: jest.fn(), connect: jest.fn() }));
+
+const pool = require('../../db');
+const store = require('../../utils/uploadSessionStore');
+
+describe('uploadSessionStore', () => {
+  let client;
+
+  const chunk = { chunkNumber: 2, byteOffset: 1024, byteSize: 1024, chunkHash: 'c'.repeat(64), status: 'received' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  it('should record a chunk and its session byte count in one transaction', async () => {
+    await store.recordChunk('up-1', chunk);
+
+    const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 2).join(' '));
+    expect(statements).toEqual(['BEGIN', 'SELECT 1', 'INSERT INTO', 'UPDATE upload_sessions', 'COMMIT']);
+    expect(client.query.mock.calls[1]).toEqual([expect.stringContaining('FOR UPDATE'), ['up-1']]);
+    expect(client.query.mock.calls[2][1]).toEqual(['up-1', 2, 1024, 1024, chunk.chunkHash, 'received']);
+    expect(client.query.mock.calls[3][0]).toContain('SUM(byte_size)');
+    expect(pool.query).not.toHaveBeenCalled();
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should roll back the chunk when the byte count cannot be updated', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('bytes_received')) throw new Error('connection terminated');
+      return { rows: [] };
+    });
+
+    await expect(store.recordChunk('up-1', chunk)).rejects.toThrow('connection terminated');
+
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.query).not.toHaveBeenCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+});
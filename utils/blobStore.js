@@ -0,0 +1,201 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const pool = require('../db');
+const { getStorage } = require('./storage');
+
+/**
+ * Normalize a SHA-256 hex digest; anything else is rejected so a
+ * client-supplied hash can never escape the blobs/ key prefix
+ */
+const normalizeHash = (hash) => {
+  const normalized = String(hash || '').toLowerCase();
+  if (!/^[a-f0-9]{64}$/.test(normalized)) {
+    throw Object.assign(new Error('Invalid file hash'), { code: 'INVALID_HASH' });
+  }
+  return normalized;
+};
+
+const toBlob = (row) => {
+  if (!row) return null;
+
+  return {
+    hash: row.hash,
+    key: row.file_path, // Storage key, e.g. blobs/<hash>-<random>.sql
+    fileSize: Number(row.file_size),
+    refCount: row.ref_count,
+    encryptionKeyId: row.encryption_key_id || null,
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * New storage key for a stored copy of a content hash. Each copy gets its
+ * own key, so one being stored never overwrites or races with another.
+ */
+exports.createBlobKey = (hash) => `blobs/${normalizeHash(hash)}-${crypto.randomBytes(8).toString('hex')}.sql`;
+
+/**
+ * Find a stored blob by content hash. Returns null when the hash is unknown
+ * or its file has gone missing from storage.
+ */
+exports.findBlob = async (hash) => {
+  let normalized;
+  try {
+    normalized = normalizeHash(hash);
+  } catch (error) {
+    return null;
+  }
+
+  const result = await pool.query('SELECT * FROM upload_blobs WHERE hash = $1', [normalized]);
+  const blob = toBlob(result.rows[0]);
+  return blob && await getStorage().exists(blob.key) ? blob : null;
+};
+
+/**
+ * Find a stored blob the caller has already uploaded: the user completed an
+ * upload of it, or the facility code has had it as its dump. Knowing a hash
+ * is no proof of having the file, so only these blobs may be reused without
+ * a transfer. Returns null otherwise.
+ */
+exports.findOwnedBlob = async (hash, { userId = null, facilityCode = null } = {}) => {
+  const blob = await exports.findBlob(hash);
+  if (!blob) return null;
+
+  const result = await pool.query(
+    `SELECT EXISTS (
+       SELECT 1 FROM upload_sessions
+       WHERE user_id = $2 AND lower(file_hash) = $1 AND status = 'completed'
+     ) OR EXISTS (
+       SELECT 1 FROM facility_uploads WHERE facility_code = $3 AND lower(file_hash) = $1
+     ) AS owned`,
+    [blob.hash, userId, facilityCode]
+  );
+  return result.rows[0].owned ? blob : null;
+};
+
+/**
+ * Run fn(client) in a transaction holding an advisory lock on a hash, so
+ * references to the same blob are taken and dropped one at a time
+ */
+const withBlobLock = async (hash, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [hash]);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Take a reference to a blob whose file is stored, or return null when the
+ * hash has no record or its file has gone missing. Runs under the hash's lock.
+ */
+const referenceStoredBlob = async (client, hash) => {
+  const existing = await client.query('SELECT * FROM upload_blobs WHERE hash = $1', [hash]);
+  if (existing.rows.length === 0 || !await getStorage().exists(existing.rows[0].file_path)) {
+    return null;
+  }
+
+  const updated = await client.query(
+    'UPDATE upload_blobs SET ref_count = ref_count + 1 WHERE hash = $1 RETURNING *',
+    [hash]
+  );
+  return toBlob(updated.rows[0]);
+};
+
+/**
+ * Take a reference to the blob for a hash.
+ * With sourcePath, the verified upload is moved into content-addressed storage,
+ * or deleted when an identical blob is already stored. Without it, the blob
+ * must already exist (instant completion of a duplicate upload).
+ * The upload is stored before the hash is locked, so the lock is only held
+ * while the record is written, not while a large file is copied.
+ */
+exports.acquireBlob = async (hash, { sourcePath = null, fileSize } = {}) => {
+  const normalized = normalizeHash(hash);
+  const storage = getStorage();
+
+  const stored = await withBlobLock(normalized, client => referenceStoredBlob(client, normalized));
+  if (stored) {
+    // The stored copy is kept; the duplicate goes once the reference is committed
+    if (sourcePath) fs.unlinkSync(sourcePath);
+    return stored;
+  }
+  if (!sourcePath) {
+    throw Object.assign(new Error('File is not stored on the server'), { code: 'BLOB_NOT_FOUND' });
+  }
+
+  // New content, or a record whose file went missing: store this upload
+  const key = exports.createBlobKey(normalized);
+  let duplicate = false;
+  let blob;
+  try {
+    const { keyId } = await storage.put(key, sourcePath);
+    const size = fileSize !== undefined ? fileSize : (await storage.stat(key)).size;
+
+    blob = await withBlobLock(normalized, async (client) => {
+      // An identical upload may have been stored meanwhile
+      const reference = await referenceStoredBlob(client, normalized);
+      if (reference) {
+        duplicate = true;
+        return reference;
+      }
+
+      const result = await client.query(
+        `INSERT INTO upload_blobs (hash, file_path, file_size, ref_count, encryption_key_id)
+         VALUES ($1, $2, $3, 1, $4)
+         ON CONFLICT (hash) DO UPDATE
+         SET file_path = EXCLUDED.file_path, ref_count = upload_blobs.ref_count + 1,
+             encryption_key_id = EXCLUDED.encryption_key_id
+         RETURNING *`,
+        [normalized, key, size, keyId || null]
+      );
+      return toBlob(result.rows[0]);
+    });
+  } catch (error) {
+    await storage.delete(key).catch(() => {});
+    throw error;
+  }
+
+  if (duplicate) {
+    await storage.delete(key);
+  }
+  return blob;
+};
+
+/**
+ * Drop a reference to a blob; the file is deleted once nothing points to it.
+ * The file is only deleted after the record's removal is committed. An upload
+ * of the same content meanwhile stores its own copy under a new key.
+ * Returns true when the blob was removed.
+ */
+exports.releaseBlob = async (hash) => {
+  const normalized = normalizeHash(hash);
+
+  const removedKey = await withBlobLock(normalized, async (client) => {
+    const deleted = await client.query(
+      'DELETE FROM upload_blobs WHERE hash = $1 AND ref_count <= 1 RETURNING file_path',
+      [normalized]
+    );
+    if (deleted.rows.length > 0) {
+      return deleted.rows[0].file_path;
+    }
+
+    await client.query('UPDATE upload_blobs SET ref_count = ref_count - 1 WHERE hash = $1', [normalized]);
+    return null;
+  });
+
+  if (!removedKey) {
+    return false;
+  }
+
+  await getStorage().delete(removedKey);
+  return true;
+};
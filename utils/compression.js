@@ -0,0 +1,85 @@
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { storageFor } = require('./storage');
+
+// .tar holds pg_dump -Ft output, or a -Fd directory dump packed with tar
+const DUMP_EXTENSIONS = ['.dump', '.sql', '.bak', '.backup', '.tar'];
+
+// zstd is built into zlib from Node 22.15; older runtimes accept gzip only
+const zstdSupported = typeof zlib.createZstdDecompress === 'function';
+
+const COMPRESSION_EXTENSIONS = {
+  '.gz': 'gzip',
+  ...(zstdSupported ? { '.zst': 'zstd' } : {})
+};
+
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+const ZSTD_MAGIC = Buffer.from([0x28, 0xb5, 0x2f, 0xfd]);
+
+exports.DUMP_EXTENSIONS = DUMP_EXTENSIONS;
+exports.zstdSupported = zstdSupported;
+
+/**
+ * Compression implied by a file name ('gzip', 'zstd' or null)
+ */
+exports.compressionFromName = (fileName) => {
+  return COMPRESSION_EXTENSIONS[path.extname(fileName || '').toLowerCase()] || null;
+};
+
+/**
+ * Check a file name is a dump, optionally compressed: dump.sql, dump.sql.gz, dump.backup.zst
+ */
+exports.isAllowedDumpName = (fileName) => {
+  let name = (fileName || '').toLowerCase();
+  if (exports.compressionFromName(name)) {
+    name = name.slice(0, -path.extname(name).length);
+  }
+  return DUMP_EXTENSIONS.includes(path.extname(name));
+};
+
+/**
+ * Detect compression of a stored file from its magic bytes ('gzip', 'zstd' or null).
+ * key is a storage key or a local path (see storage.storageFor).
+ */
+exports.detectCompression = async (key, storage = storageFor(key)) => {
+  const { size } = await storage.stat(key);
+  if (size === 0) return null;
+
+  const chunks = [];
+  for await (const chunk of await storage.createReadStream(key, { start: 0, end: 3 })) {
+    chunks.push(chunk);
+  }
+
+  const header = Buffer.concat(chunks);
+  if (header.length >= 2 && header.subarray(0, 2).equals(GZIP_MAGIC)) return 'gzip';
+  if (header.length === 4 && header.equals(ZSTD_MAGIC)) return 'zstd';
+  return null;
+};
+
+/**
+ * Decompressing transform stream for a compression type
+ */
+const createDecompressor = (compression) => {
+  if (compression === 'gzip') return zlib.createGunzip();
+  if (compression === 'zstd' && zstdSupported) return zlib.createZstdDecompress();
+  throw Object.assign(
+    new Error(`Unsupported compression: ${compression}`),
+    { code: 'UNSUPPORTED_COMPRESSION' }
+  );
+};
+
+/**
+ * Open a stored dump as a readable stream of its uncompressed content.
+ * Plain files are read as they are; errors surface on the returned stream.
+ */
+exports.createDecompressedStream = async (key, storage = storageFor(key)) => {
+  const compression = await exports.detectCompression(key, storage);
+
+  if (!compression) {
+    return storage.createReadStream(key);
+  }
+
+  const decompressor = createDecompressor(compression);
+  return pipeline(await storage.createReadStream(key), decompressor, () => {});
+};
@@ -0,0 +1,84 @@
+const { tablesFromMetadata } = require('./referenceSchema');
+
+/**
+ * Rows of a table's data in a dump: 0 for a table without data, null when
+ * the rows could not be counted (e.g. lz4-compressed archive data)
+ */
+const rowCount = (metadata, table) => {
+  const data = metadata.tableData[table];
+  return data ? data.rows : 0;
+};
+
+/**
+ * Column changes of the tables both dumps have, or null when either dump's
+ * metadata was collected before columns were recorded
+ */
+const diffColumns = (fromMetadata, toMetadata) => {
+  if (!fromMetadata.columns || !toMetadata.columns) {
+    return null;
+  }
+
+  const fromTables = tablesFromMetadata(fromMetadata);
+  const toTables = tablesFromMetadata(toMetadata);
+  const changes = [];
+
+  for (const [table, fromColumns] of Object.entries(fromTables)) {
+    const toColumns = toTables[table];
+    if (!toColumns) continue;
+
+    const columnsAdded = Object.keys(toColumns)
+      .filter(column => !(column in fromColumns))
+      .map(column => ({ column, type: toColumns[column] }));
+    const columnsRemoved = Object.keys(fromColumns)
+      .filter(column => !(column in toColumns))
+      .map(column => ({ column, type: fromColumns[column] }));
+    const typeChanges = Object.keys(fromColumns)
+      .filter(column => column in toColumns && fromColumns[column] !== toColumns[column])
+      .map(column => ({ column, from: fromColumns[column], to: toColumns[column] }));
+
+    if (columnsAdded.length || columnsRemoved.length || typeChanges.length) {
+      changes.push({ table, columnsAdded, columnsRemoved, typeChanges });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Compare the metadata of two dumps (utils/dumpMetadata): tables added and
+ * removed, column changes of the tables both have, and the row count of
+ * each table in either dump with its delta. Deltas are null where a count
+ * is unknown. unchangedRows lists the tables in both dumps whose row count
+ * did not change; all of them being unchanged suggests a stale re-export.
+ */
+const diffDumpMetadata = (fromMetadata, toMetadata) => {
+  const fromTables = new Set(fromMetadata.tables);
+  const toTables = new Set(toMetadata.tables);
+
+  const tablesAdded = toMetadata.tables.filter(table => !fromTables.has(table));
+  const tablesRemoved = fromMetadata.tables.filter(table => !toTables.has(table));
+
+  const rowCounts = [...new Set([...fromMetadata.tables, ...toMetadata.tables])].map((table) => {
+    const from = fromTables.has(table) ? rowCount(fromMetadata, table) : null;
+    const to = toTables.has(table) ? rowCount(toMetadata, table) : null;
+    const delta = from === null || to === null ? null : to - from;
+    return { table, from, to, delta };
+  });
+  const unchangedRows = rowCounts.filter(count => count.delta === 0).map(count => count.table);
+
+  return {
+    tablesAdded,
+    tablesRemoved,
+    schemaChanges: diffColumns(fromMetadata, toMetadata),
+    rowCounts,
+    totalRows: {
+      from: fromMetadata.totalRows,
+      to: toMetadata.totalRows,
+      delta: toMetadata.totalRows - fromMetadata.totalRows
+    },
+    unchangedRows
+  };
+};
+
+module.exports = {
+  diffDumpMetadata
+};
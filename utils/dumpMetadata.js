@@ -0,0 +1,294 @@
+/**
+ * Describe what a dump contains: schemas and their tables, table columns,
+ * row counts and data size per table, extensions, sequences with their values, views and
+ * functions. Plain SQL dumps are read from their lines; archive formats from
+ * their table of contents and measured table data (utils/pgArchive).
+ */
+
+// A possibly schema-qualified, possibly quoted name: public."Patients"
+const IDENTIFIER = '(?:"(?:[^"]|"")+"|[^\\s."(;,]+)';
+const QUALIFIED_NAME = `${IDENTIFIER}(?:\\.${IDENTIFIER})?`;
+
+const statementPattern = (prefix) => new RegExp(`^${prefix}(${QUALIFIED_NAME})`);
+
+const PATTERNS = {
+  schema: statementPattern('CREATE SCHEMA (?:IF NOT EXISTS )?'),
+  table: statementPattern('CREATE (?:UNLOGGED |FOREIGN )?TABLE (?:IF NOT EXISTS )?'),
+  extension: statementPattern('CREATE EXTENSION (?:IF NOT EXISTS )?'),
+  sequence: statementPattern('CREATE SEQUENCE (?:IF NOT EXISTS )?'),
+  view: statementPattern('CREATE (?:OR REPLACE )?(?:MATERIALIZED )?VIEW (?:IF NOT EXISTS )?'),
+  function: statementPattern('CREATE (?:OR REPLACE )?(?:FUNCTION|PROCEDURE) '),
+  copy: statementPattern('COPY '),
+  insert: statementPattern('INSERT INTO ')
+};
+
+// Table-level clauses in a CREATE TABLE body, as opposed to column definitions
+const TABLE_CONSTRAINT_PATTERN = /^(?:CONSTRAINT|CHECK|PRIMARY KEY|UNIQUE|FOREIGN KEY|EXCLUDE|LIKE)\b/i;
+// A column definition: its name, then the type up to the first column option
+const COLUMN_PATTERN = new RegExp(
+  `^(${IDENTIFIER})\\s+(.+?)(?:\\s+(?:COLLATE|DEFAULT|NOT NULL|NULL|CONSTRAINT|GENERATED|CHECK|PRIMARY KEY|UNIQUE|REFERENCES)\\b.*)?$`,
+  's'
+);
+
+const SETVAL_PATTERN = /setval\('((?:[^']|'')+)', (-?\d+), (true|false)\)/;
+
+/**
+ * Split a qualified SQL name into unquoted parts; unqualified names are in public
+ */
+const parseName = (qualified) => {
+  const parts = qualified.match(new RegExp(IDENTIFIER, 'g')).map(unquote);
+  return parts.length > 1 ? { schema: parts[0], name: parts[1] } : { schema: 'public', name: parts[0] };
+};
+
+const qualify = ({ schema, name }) => `${schema}.${name}`;
+
+const unquote = (identifier) => (
+  identifier.startsWith('"') ? identifier.slice(1, -1).replace(/""/g, '"') : identifier
+);
+
+/**
+ * Columns of a CREATE TABLE body, the text after its opening parenthesis:
+ * [{ name, type }]. Stops at the parenthesis that closes the body.
+ */
+const parseColumns = (body) => {
+  const definitions = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of body) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && depth-- === 0) {
+      break;
+    } else if (char === ',' && depth === 0) {
+      definitions.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  definitions.push(current);
+
+  return definitions
+    .map(definition => definition.trim())
+    .filter(definition => definition && !TABLE_CONSTRAINT_PATTERN.test(definition))
+    .map((definition) => {
+      const match = definition.match(COLUMN_PATTERN);
+      return match && { name: unquote(match[1]), type: match[2].replace(/\s+/g, ' ') };
+    })
+    .filter(Boolean);
+};
+
+const emptyMetadata = (format) => ({
+  isValid: false,
+  format,
+  version: null,
+  pgDumpVersion: null,
+  dumpDate: null,
+  complete: null,
+  tables: [],
+  schemas: {},
+  columns: {},
+  tableData: {},
+  totalRows: 0,
+  extensions: [],
+  sequences: [],
+  views: [],
+  functions: []
+});
+
+exports.emptyMetadata = emptyMetadata;
+
+/**
+ * Accumulates metadata; shared by the plain and archive collectors
+ */
+const createCollector = (format) => {
+  const metadata = emptyMetadata(format);
+  const sequences = new Map();
+
+  const addSchema = (schema) => {
+    if (!metadata.schemas[schema]) metadata.schemas[schema] = [];
+  };
+
+  return {
+    metadata,
+    addSchema,
+    addTable(parsed) {
+      addSchema(parsed.schema);
+      metadata.schemas[parsed.schema].push(parsed.name);
+      metadata.tables.push(qualify(parsed));
+    },
+    addSequence(name) {
+      if (!sequences.has(name)) sequences.set(name, { name, value: null, isCalled: null });
+    },
+    setSequenceValue(text) {
+      const match = text.match(SETVAL_PATTERN);
+      if (!match) return;
+      const name = qualify(parseName(match[1].replace(/''/g, "'")));
+      sequences.set(name, { name, value: Number(match[2]), isCalled: match[3] === 'true' });
+    },
+    tableData(table) {
+      if (!metadata.tableData[table]) metadata.tableData[table] = { rows: 0, bytes: 0 };
+      return metadata.tableData[table];
+    },
+    finish() {
+      metadata.sequences = [...sequences.values()];
+      metadata.totalRows = Object.values(metadata.tableData).reduce((total, data) => total + (data.rows || 0), 0);
+      return metadata;
+    }
+  };
+};
+
+/**
+ * Collect metadata from the { text, bytes } lines of a plain SQL dump
+ * (pgdumpUtils.readDumpLines). Rows are COPY data lines, or INSERT
+ * statements for dumps made with --inserts. complete is whether pg_dump's
+ * closing comment was reached, i.e. the dump is not cut short. pg_dump
+ * writes each column of a CREATE TABLE on an indented line of its own.
+ */
+exports.collectPlainMetadata = async (lines) => {
+  const collector = createCollector('plain');
+  const { metadata } = collector;
+  let copyData = null;
+  let tableBody = null;
+  metadata.complete = false;
+
+  for await (const { text, bytes } of lines) {
+    if (tableBody) {
+      if (/^\s/.test(text)) {
+        tableBody.lines.push(text);
+        continue;
+      }
+      metadata.columns[tableBody.table] = parseColumns(tableBody.lines.join('\n'));
+      tableBody = null;
+      // The closing line, or a statement after a body that was cut short
+      if (text.startsWith(')')) continue;
+    }
+
+    // Inside a COPY block every line is a row until the \. terminator
+    if (copyData) {
+      if (text === '\\.') {
+        copyData = null;
+      } else {
+        copyData.rows++;
+        copyData.bytes += bytes + 1;
+      }
+      continue;
+    }
+
+    if (text.startsWith('--')) {
+      if (text.includes('PostgreSQL database dump')) metadata.isValid = true;
+      if (text.includes('PostgreSQL database dump complete')) metadata.complete = true;
+      if (text.includes('Dumped from database version')) metadata.version = text.split('version')[1].trim();
+      if (text.includes('Dumped by pg_dump version')) metadata.pgDumpVersion = text.split('version')[1].trim();
+      if (text.includes('Dumped on')) metadata.dumpDate = text.split('Dumped on')[1].trim();
+      continue;
+    }
+
+    let match;
+    if ((match = text.match(PATTERNS.copy)) && text.endsWith('FROM stdin;')) {
+      copyData = collector.tableData(qualify(parseName(match[1])));
+    } else if ((match = text.match(PATTERNS.insert))) {
+      const data = collector.tableData(qualify(parseName(match[1])));
+      data.rows++;
+      data.bytes += bytes + 1;
+    } else if ((match = text.match(PATTERNS.schema))) {
+      collector.addSchema(parseName(match[1]).name);
+    } else if ((match = text.match(PATTERNS.table))) {
+      const table = parseName(match[1]);
+      const rest = text.slice(match[0].length).trim();
+      collector.addTable(table);
+      if (rest === '(') {
+        tableBody = { table: qualify(table), lines: [] };
+      } else if (rest.startsWith('(')) {
+        metadata.columns[qualify(table)] = parseColumns(rest.slice(1));
+      }
+    } else if ((match = text.match(PATTERNS.extension))) {
+      metadata.extensions.push(parseName(match[1]).name);
+    } else if ((match = text.match(PATTERNS.sequence))) {
+      collector.addSequence(qualify(parseName(match[1])));
+    } else if ((match = text.match(PATTERNS.view))) {
+      metadata.views.push(qualify(parseName(match[1])));
+    } else if ((match = text.match(PATTERNS.function))) {
+      metadata.functions.push(qualify(parseName(match[1])));
+    } else if (text.includes('setval(')) {
+      collector.setSequenceValue(text);
+    }
+  }
+
+  if (tableBody) {
+    metadata.columns[tableBody.table] = parseColumns(tableBody.lines.join('\n'));
+  }
+
+  return collector.finish();
+};
+
+/**
+ * Collect metadata from a parsed archive (pgArchive.parseArchive with readData).
+ * Archives that parse to the end are complete; truncated ones fail to parse.
+ * Table columns come from each TABLE entry's CREATE statement.
+ */
+exports.collectArchiveMetadata = (archive) => {
+  const collector = createCollector(archive.format);
+  const { metadata } = collector;
+
+  metadata.isValid = true;
+  metadata.complete = true;
+  metadata.version = archive.serverVersion;
+  metadata.pgDumpVersion = archive.pgDumpVersion;
+  metadata.dumpDate = archive.createdAt;
+
+  for (const entry of archive.entries) {
+    const parsed = { schema: entry.namespace || 'public', name: entry.tag };
+
+    switch (entry.desc) {
+      case 'SCHEMA':
+        collector.addSchema(entry.tag);
+        break;
+      case 'TABLE': {
+        collector.addTable(parsed);
+        const match = (entry.defn || '').match(PATTERNS.table);
+        const rest = match ? entry.defn.slice(match[0].length).trim() : '';
+        if (rest.startsWith('(')) metadata.columns[qualify(parsed)] = parseColumns(rest.slice(1));
+        break;
+      }
+      case 'EXTENSION':
+        metadata.extensions.push(entry.tag);
+        break;
+      case 'SEQUENCE':
+        collector.addSequence(qualify(parsed));
+        break;
+      case 'SEQUENCE SET':
+        collector.setSequenceValue(entry.defn || '');
+        break;
+      case 'VIEW':
+      case 'MATERIALIZED VIEW':
+        metadata.views.push(qualify(parsed));
+        break;
+      case 'FUNCTION':
+      case 'PROCEDURE':
+        // The tag carries the argument types: calc_age(date)
+        metadata.functions.push(qualify({ ...parsed, name: entry.tag.split('(')[0] }));
+        break;
+      default:
+        break;
+    }
+  }
+
+  Object.assign(metadata.tableData, archive.tableData || {});
+  metadata.archive = {
+    version: archive.version,
+    compression: archive.compression,
+    database: archive.database,
+    entryCount: archive.entryCount,
+    indexes: archive.indexes,
+    dataEntries: archive.dataEntries
+  };
+
+  return collector.finish();
+};
@@ -0,0 +1,181 @@
+const pool = require('../db');
+const pgdumpUtils = require('./pgdumpUtils');
+const { detectCompression } = require('./compression');
+const { storageFor } = require('./storage');
+const { saveFacilityMetadata } = require('./facilityUploads');
+const { restoreFacilityDump, dropFacilityRestore } = require('./facilityRestore');
+const { getReferenceSchema, compareWithReference } = require('./referenceSchema');
+
+// Restore failures caused by the server rather than the dump
+const RESTORE_ENVIRONMENT_ERRORS = ['RESTORE_UNAVAILABLE', 'RESTORE_UNSUPPORTED'];
+
+/**
+ * Errors that mean the stored file itself is unreadable (corrupt
+ * compression or encryption), as opposed to storage or database outages
+ */
+const isUnreadableDumpError = (error) => (
+  /^Z_/.test(error.code || '') || ['DECRYPTION_FAILED', 'UNKNOWN_KEY'].includes(error.code)
+);
+
+/**
+ * Overall status from the stage results: any failure makes the dump
+ * invalid, any warning a warning
+ */
+const overallStatus = (stages) => {
+  if (stages.some(stage => stage.status === 'failed')) return 'invalid';
+  if (stages.some(stage => stage.status === 'warning')) return 'warning';
+  return 'valid';
+};
+
+/**
+ * Judge the dump's structure from its metadata
+ */
+const checkStructure = (metadata) => {
+  if (metadata.error) {
+    return { status: 'failed', message: metadata.error };
+  }
+  if (!metadata.isValid) {
+    return metadata.tables.length > 0 || metadata.totalRows > 0
+      ? { status: 'warning', message: 'No pg_dump header: the file contains SQL but was not written by pg_dump' }
+      : { status: 'failed', message: 'File is not a PostgreSQL dump' };
+  }
+  if (metadata.complete === false) {
+    return { status: 'warning', message: 'Dump ends before pg_dump\'s closing comment and may be truncated' };
+  }
+  return { status: 'passed', message: `${metadata.format} dump written by pg_dump ${metadata.pgDumpVersion || '(unknown version)'}` };
+};
+
+/**
+ * Compare the dump's tables and columns with the registered reference
+ * schema. Missing tables or columns and type differences fail the stage
+ * (typically a facility on an older software version); tables and columns
+ * only the dump has are a warning.
+ */
+const checkReferenceSchema = async (metadata) => {
+  const reference = await getReferenceSchema();
+  if (!reference) {
+    return { status: 'skipped', message: 'No reference schema is registered' };
+  }
+
+  const details = compareWithReference(metadata, reference);
+  const changedTables = details.columnDifferences
+    .filter(diff => diff.missingColumns.length > 0 || diff.typeMismatches.length > 0);
+  const extras = details.extraTables.length + details.columnDifferences
+    .reduce((total, diff) => total + diff.extraColumns.length, 0);
+
+  if (!details.conforms) {
+    const problems = [
+      details.missingTables.length > 0 && `${details.missingTables.length} missing tables`,
+      changedTables.length > 0 && `${changedTables.length} tables with missing or changed columns`
+    ].filter(Boolean);
+    return { status: 'failed', message: `Does not match reference schema ${reference.name}: ${problems.join(', ')}`, details };
+  }
+  if (extras > 0) {
+    return { status: 'warning', message: `Matches reference schema ${reference.name}, with ${extras} extra tables and columns`, details };
+  }
+  return { status: 'passed', message: `Matches reference schema ${reference.name}`, details };
+};
+
+/**
+ * Restore the dump into a sandbox database to prove it loads, then drop it
+ */
+const testRestore = async (facility, requestedBy) => {
+  const restore = await restoreFacilityDump(facility, { requestedBy });
+  if (restore.status === 'succeeded') {
+    await dropFacilityRestore(restore.id);
+    return { status: 'passed', message: `Restored in ${restore.durationMs} ms`, details: { restoreId: restore.id } };
+  }
+
+  return {
+    status: RESTORE_ENVIRONMENT_ERRORS.includes(restore.errorCode) ? 'warning' : 'failed',
+    message: `Test restore failed: ${restore.error}`,
+    details: { restoreId: restore.id, output: restore.output }
+  };
+};
+
+/**
+ * Run the post-upload validation pipeline on a facility's dump and store
+ * the outcome on the facility record (validation_status, validation_report):
+ *   1. file      - the dump is in storage
+ *   2. format    - plain, custom or tar, and its compression
+ *   3. structure - pg_dump header, complete archive or closing comment
+ *   4. metadata  - what the dump contains (stored as dump_metadata)
+ *   5. schema    - tables and columns match the reference schema, if one is registered
+ *   6. restore   - test restore into a sandbox database, only when an admin asks for it
+ * Storage or database outages are thrown, so the job is retried; problems
+ * with the dump itself end up in the report.
+ */
+const validateFacilityDump = async (facility, {
+  restore = false,
+  requestedBy = null,
+  onProgress
+} = {}) => {
+  const filePath = facility.file_path;
+  const stages = [];
+  const addStage = (name, { status, message, details }) => {
+    stages.push(details ? { name, status, message, details } : { name, status, message });
+  };
+
+  const runChecks = async () => {
+    const storage = filePath ? storageFor(filePath) : null;
+    if (!storage || !await storage.exists(filePath)) {
+      addStage('file', { status: 'failed', message: 'Dump file is missing from storage' });
+      return;
+    }
+    const { size } = await storage.stat(filePath);
+    addStage('file', { status: 'passed', message: pgdumpUtils.getFileSizeReadable(size) });
+
+    let format, compression, metadata;
+    try {
+      compression = await detectCompression(filePath, storage);
+      format = await pgdumpUtils.detectDumpFormat(filePath);
+      metadata = await pgdumpUtils.getPgDumpMetadata(filePath, { onProgress });
+    } catch (error) {
+      if (!isUnreadableDumpError(error)) throw error;
+      addStage(format ? 'structure' : 'format', { status: 'failed', message: `File could not be read: ${error.message}` });
+      return;
+    }
+    addStage('format', { status: 'passed', message: compression ? `${format} (${compression}-compressed)` : format });
+
+    const structure = checkStructure(metadata);
+    addStage('structure', structure);
+
+    await saveFacilityMetadata(facility.id, metadata);
+    const schemaCount = Object.keys(metadata.schemas).length;
+    if (structure.status === 'failed') {
+      addStage('metadata', { status: 'skipped', message: 'Dump is not valid' });
+    } else if (metadata.tables.length === 0) {
+      addStage('metadata', { status: 'warning', message: 'Dump contains no tables' });
+    } else {
+      addStage('metadata', { status: 'passed', message: `${metadata.tables.length} tables in ${schemaCount} schemas, ${metadata.totalRows} rows` });
+    }
+
+    if (structure.status === 'failed') {
+      addStage('schema', { status: 'skipped', message: 'Dump is not valid' });
+    } else {
+      addStage('schema', await checkReferenceSchema(metadata));
+    }
+
+    if (!restore) {
+      addStage('restore', { status: 'skipped', message: 'Test restore was not requested' });
+    } else if (structure.status === 'failed') {
+      addStage('restore', { status: 'skipped', message: 'Dump is not valid' });
+    } else {
+      addStage('restore', await testRestore(facility, requestedBy));
+    }
+  };
+
+  await runChecks();
+
+  const report = { status: overallStatus(stages), checkedAt: new Date().toISOString(), stages };
+  await pool.query(
+    `UPDATE facilities SET validation_status = $1, validation_report = $2, validated_at = NOW()
+     WHERE id = $3`,
+    [report.status, JSON.stringify(report), facility.id]
+  );
+  return report;
+};
+
+module.exports = {
+  validateFacilityDump
+};
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const config = require('../config/config');
+
+/*
+ * Stored dumps are encrypted with AES-256-GCM in fixed-size segments so they
+ * can be decrypted as a stream without releasing unauthenticated data:
+ *
+ *   header:   "FUE1" | key id length (1 byte) | key id (utf8) | nonce prefix (8 bytes)
+ *   segments: ciphertext | auth tag (16 bytes), each SEGMENT_SIZE bytes of plaintext
+ *
+ * Each segment's nonce is the prefix plus a 4-byte counter, and the last
+ * segment is authenticated with a "final" flag so truncation is detected.
+ */
+const MAGIC = Buffer.from('FUE1');
+const SEGMENT_SIZE = 64 * 1024;
+const TAG_LENGTH = 16;
+const NONCE_PREFIX_LENGTH = 8;
+const KEY_LENGTH = 32;
+
+exports.MAGIC = MAGIC;
+exports.SEGMENT_SIZE = SEGMENT_SIZE;
+
+const encryptionError = (message, code) => Object.assign(new Error(message), { code });
+
+const segmentNonce = (prefix, counter) => {
+  const nonce = Buffer.alloc(NONCE_PREFIX_LENGTH + 4);
+  prefix.copy(nonce);
+  nonce.writeUInt32BE(counter, NONCE_PREFIX_LENGTH);
+  return nonce;
+};
+
+const segmentAad = (final) => Buffer.from([final ? 1 : 0]);
+
+/**
+ * Keys loaded from an encryption key file (JSON):
+ * { "currentKeyId": "2026-10", "keys": { "2026-10": "<base64, 32 bytes>" } }
+ * New files use the current key; older keys stay listed to read existing files.
+ */
+class Keyring {
+  constructor({ currentKeyId, keys } = {}) {
+    this.keys = new Map();
+
+    for (const [id, value] of Object.entries(keys || {})) {
+      const key = Buffer.from(String(value), 'base64');
+      if (key.length !== KEY_LENGTH) {
+        throw encryptionError(`Encryption key "${id}" must be ${KEY_LENGTH} bytes (base64)`, 'INVALID_KEY_FILE');
+      }
+      if (Buffer.byteLength(id, 'utf8') > 255) {
+        throw encryptionError(`Encryption key id "${id}" is too long`, 'INVALID_KEY_FILE');
+      }
+      this.keys.set(id, key);
+    }
+
+    if (!this.keys.has(currentKeyId)) {
+      throw encryptionError('currentKeyId must name a key in the key file', 'INVALID_KEY_FILE');
+    }
+    this.currentKeyId = currentKeyId;
+  }
+
+  getKey(keyId) {
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw encryptionError(`Encryption key "${keyId}" is not in the key file`, 'UNKNOWN_KEY');
+    }
+    return key;
+  }
+}
+
+exports.Keyring = Keyring;
+
+/**
+ * Read a keyring from a key file
+ */
+exports.loadKeyring = (keyFile) => {
+  let contents;
+  try {
+    contents = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+  } catch (error) {
+    throw encryptionError(`Cannot read encryption key file: ${error.message}`, 'INVALID_KEY_FILE');
+  }
+  return new Keyring(contents);
+};
+
+let cachedKeyring = null;
+let cachedKeyFile = null;
+
+/**
+ * Keyring from ENCRYPTION_KEY_FILE, or null when encryption is not configured
+ */
+exports.getKeyring = () => {
+  const keyFile = config.encryption.keyFile;
+  if (!keyFile) return null;
+
+  if (keyFile !== cachedKeyFile) {
+    cachedKeyring = exports.loadKeyring(keyFile);
+    cachedKeyFile = keyFile;
+  }
+  return cachedKeyring;
+};
+
+/**
+ * Parse an encrypted file header. Returns null when buffer does not start
+ * with the magic bytes, and { keyId, noncePrefix, length } once complete
+ * ({ incomplete: true } while more bytes are needed).
+ */
+exports.parseHeader = (buffer) => {
+  const magicLength = Math.min(buffer.length, MAGIC.length);
+  if (!buffer.subarray(0, magicLength).equals(MAGIC.subarray(0, magicLength))) return null;
+  if (buffer.length <= MAGIC.length) return { incomplete: true };
+
+  const keyIdLength = buffer[MAGIC.length];
+  const length = MAGIC.length + 1 + keyIdLength + NONCE_PREFIX_LENGTH;
+  if (buffer.length < length) return { incomplete: true };
+
+  const keyIdStart = MAGIC.length + 1;
+  return {
+    keyId: buffer.subarray(keyIdStart, keyIdStart + keyIdLength).toString('utf8'),
+    noncePrefix: Buffer.from(buffer.subarray(keyIdStart + keyIdLength, length)),
+    length
+  };
+};
+
+/**
+ * Length of the header written for a key id
+ */
+exports.headerLength = (keyId) => MAGIC.length + 1 + Buffer.byteLength(keyId, 'utf8') + NONCE_PREFIX_LENGTH;
+
+/**
+ * Plaintext size of an encrypted file from its stored size and header length
+ */
+exports.plaintextSize = (storedSize, headerLength) => {
+  const encrypted = storedSize - headerLength;
+  const segments = Math.max(1, Math.ceil(encrypted / (SEGMENT_SIZE + TAG_LENGTH)));
+  return encrypted - segments * TAG_LENGTH;
+};
+
+class EncryptStream extends Transform {
+  constructor(key, keyId) {
+    super();
+    this.key = key;
+    this.keyId = Buffer.from(keyId, 'utf8');
+    this.noncePrefix = crypto.randomBytes(NONCE_PREFIX_LENGTH);
+    this.counter = 0;
+    this.buffer = Buffer.alloc(0);
+    this.headerWritten = false;
+  }
+
+  writeHeader() {
+    if (this.headerWritten) return;
+    this.push(Buffer.concat([MAGIC, Buffer.from([this.keyId.length]), this.keyId, this.noncePrefix]));
+    this.headerWritten = true;
+  }
+
+  seal(plaintext, final) {
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, segmentNonce(this.noncePrefix, this.counter++));
+    cipher.setAAD(segmentAad(final));
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.writeHeader();
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    // Hold back up to one full segment so the final one can be flagged in _flush
+    while (this.buffer.length > SEGMENT_SIZE) {
+      this.push(this.seal(this.buffer.subarray(0, SEGMENT_SIZE), false));
+      this.buffer = this.buffer.subarray(SEGMENT_SIZE);
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    this.writeHeader();
+    this.push(this.seal(this.buffer, true));
+    callback();
+  }
+}
+
+class DecryptStream extends Transform {
+  constructor(keyring) {
+    super();
+    this.keyring = keyring;
+    this.header = null;
+    this.key = null;
+    this.counter = 0;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  readHeader() {
+    const header = exports.parseHeader(this.buffer);
+    if (!header) {
+      throw encryptionError('File is not encrypted', 'NOT_ENCRYPTED');
+    }
+    if (header.incomplete) return false;
+
+    if (!this.keyring) {
+      throw encryptionError('File is encrypted but ENCRYPTION_KEY_FILE is not configured', 'UNKNOWN_KEY');
+    }
+    this.key = this.keyring.getKey(header.keyId);
+    this.header = header;
+    this.buffer = this.buffer.subarray(header.length);
+    return true;
+  }
+
+  open(segment, final) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, segmentNonce(this.header.noncePrefix, this.counter++));
+    decipher.setAAD(segmentAad(final));
+    decipher.setAuthTag(segment.subarray(segment.length - TAG_LENGTH));
+    try {
+      return Buffer.concat([decipher.update(segment.subarray(0, segment.length - TAG_LENGTH)), decipher.final()]);
+    } catch (error) {
+      throw encryptionError('Encrypted file failed authentication (corrupt, truncated or wrong key)', 'DECRYPTION_FAILED');
+    }
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      if (!this.header && !this.readHeader()) return callback();
+
+      while (this.buffer.length > SEGMENT_SIZE + TAG_LENGTH) {
+        this.push(this.open(this.buffer.subarray(0, SEGMENT_SIZE + TAG_LENGTH), false));
+        this.buffer = this.buffer.subarray(SEGMENT_SIZE + TAG_LENGTH);
+      }
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      if (!this.header || this.buffer.length < TAG_LENGTH) {
+        throw encryptionError('Encrypted file is truncated', 'DECRYPTION_FAILED');
+      }
+      this.push(this.open(this.buffer, true));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
+
+/**
+ * Encrypting transform stream under the keyring's current key
+ */
+exports.createEncryptStream = (keyring) => {
+  return new EncryptStream(keyring.getKey(keyring.currentKeyId), keyring.currentKeyId);
+};
+
+/**
+ * Decrypting transform stream; the key is picked from the file header
+ */
+exports.createDecryptStream = (keyring) => new DecryptStream(keyring);
@@ -0,0 +1,179 @@
+const { Client, escapeIdentifier } = require('pg');
+const pool = require('../db');
+const config = require('../config/config');
+const pgdumpUtils = require('./pgdumpUtils');
+const { logger } = require('../middleware/logger');
+
+/**
+ * Map a facility_restores row to the shape returned by the API
+ */
+const toRestore = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    facilityId: row.facility_id,
+    facilityCode: row.facility_code,
+    databaseName: row.database_name,
+    status: row.status,
+    command: row.command,
+    error: row.error,
+    output: row.output,
+    durationMs: row.duration_ms,
+    requestedBy: row.requested_by,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    droppedAt: row.dropped_at
+  };
+};
+
+/**
+ * Name of the throwaway database a facility's dump is restored into:
+ * facility_<code>_<UTC timestamp>, lowercase so it needs no quoting in psql
+ */
+const getSandboxDatabaseName = (facilityCode, date = new Date()) => {
+  const code = facilityCode.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+  const timestamp = date.toISOString().replace(/\D/g, '').slice(0, 14);
+  return `facility_${code}_${timestamp}`;
+};
+
+/**
+ * Run a statement as the restore role. CREATE/DROP DATABASE can't run in a
+ * transaction, and databases created this way are owned by that role.
+ */
+const runAsRestoreUser = async (sql) => {
+  const client = new Client({
+    host: config.database.host,
+    port: config.database.port,
+    database: config.database.name,
+    user: config.restore.user,
+    password: config.restore.password
+  });
+
+  await client.connect();
+  try {
+    return await client.query(sql);
+  } finally {
+    await client.end();
+  }
+};
+
+const restoreUnavailable = (message) => Object.assign(new Error(message), { code: 'RESTORE_UNAVAILABLE' });
+
+/**
+ * Check that restores can run: a dedicated restore role is configured, and
+ * it is neither a superuser nor the application's role, so a dump can't
+ * reach other databases or the server. Rejects with code
+ * RESTORE_UNAVAILABLE otherwise.
+ */
+const checkRestoreRole = async () => {
+  if (!config.restore.user) {
+    throw restoreUnavailable('Restores are disabled: no restore role is configured (RESTORE_DB_USER)');
+  }
+  if (config.restore.user === config.database.user) {
+    throw restoreUnavailable('Restores are disabled: the restore role must not be the application\'s database role');
+  }
+
+  const result = await runAsRestoreUser('SELECT rolsuper FROM pg_roles WHERE rolname = current_user');
+  if (!result.rows[0] || result.rows[0].rolsuper) {
+    throw restoreUnavailable('Restores are disabled: the restore role must not be a superuser');
+  }
+};
+
+/**
+ * Restore a facility's dump into a new sandbox database and record the
+ * outcome. A failed restore drops its database; the record keeps the error
+ * and the end of the command's output, and the returned restore also has
+ * the error's code (e.g. RESTORE_UNAVAILABLE when pg_restore is not installed).
+ */
+const restoreFacilityDump = async (facility, { requestedBy = null } = {}) => {
+  const databaseName = getSandboxDatabaseName(facility.facility_code);
+  const started = await pool.query(
+    `INSERT INTO facility_restores (facility_id, facility_code, database_name, requested_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [facility.id, facility.facility_code, databaseName, requestedBy]
+  );
+  const restoreId = started.rows[0].id;
+  const startTime = Date.now();
+
+  let created = false;
+  try {
+    await checkRestoreRole();
+    await runAsRestoreUser(`CREATE DATABASE ${escapeIdentifier(databaseName)}`);
+    created = true;
+
+    const result = await pgdumpUtils.restorePgDump(facility.file_path, {
+      database: databaseName,
+      host: config.database.host,
+      port: config.database.port,
+      user: config.restore.user,
+      password: config.restore.password
+    });
+
+    const finished = await pool.query(
+      `UPDATE facility_restores
+       SET status = 'succeeded', command = $1, output = $2, duration_ms = $3, finished_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [result.command, result.warnings || null, Date.now() - startTime, restoreId]
+    );
+    return toRestore(finished.rows[0]);
+  } catch (error) {
+    if (created) {
+      await runAsRestoreUser(`DROP DATABASE IF EXISTS ${escapeIdentifier(databaseName)}`).catch((dropError) => {
+        logger.error('Failed to drop sandbox database', { databaseName, message: dropError.message });
+      });
+    }
+
+    const finished = await pool.query(
+      `UPDATE facility_restores
+       SET status = 'failed', error = $1, output = $2, duration_ms = $3, finished_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [error.message, error.stderr || null, Date.now() - startTime, restoreId]
+    );
+    return { ...toRestore(finished.rows[0]), errorCode: error.code || null };
+  }
+};
+
+/**
+ * Restores of a facility, newest first
+ */
+const listFacilityRestores = async (facilityId) => {
+  const result = await pool.query(
+    'SELECT * FROM facility_restores WHERE facility_id = $1 ORDER BY started_at DESC',
+    [facilityId]
+  );
+  return result.rows.map(toRestore);
+};
+
+/**
+ * Drop a restore's sandbox database. Returns null when there is no such
+ * restore; restores that are still running can't be dropped.
+ */
+const dropFacilityRestore = async (restoreId) => {
+  const result = await pool.query('SELECT * FROM facility_restores WHERE id = $1', [restoreId]);
+  const restore = toRestore(result.rows[0]);
+  if (!restore || restore.status === 'dropped' || restore.status === 'failed') {
+    return restore;
+  }
+  if (restore.status === 'running') {
+    throw Object.assign(new Error('Restore is still running'), { code: 'RESTORE_RUNNING' });
+  }
+
+  await runAsRestoreUser(`DROP DATABASE IF EXISTS ${escapeIdentifier(restore.databaseName)}`);
+  const dropped = await pool.query(
+    `UPDATE facility_restores SET status = 'dropped', dropped_at = NOW() WHERE id = $1 RETURNING *`,
+    [restoreId]
+  );
+  return toRestore(dropped.rows[0]);
+};
+
+module.exports = {
+  getSandboxDatabaseName,
+  checkRestoreRole,
+  restoreFacilityDump,
+  listFacilityRestores,
+  dropFacilityRestore
+};
@@ -0,0 +1,169 @@
+const path = require('path');
+const pool = require('../db');
+const blobStore = require('./blobStore');
+const { storageFor, getStagingDir } = require('./storage');
+const { enqueueJob } = require('./jobQueue');
+const { logger } = require('../middleware/logger');
+
+const MAX_FACILITIES = parseInt(process.env.MAX_FACILITIES) || 11;
+
+/**
+ * Build the path a verified upload is finalized to before it moves into blob storage
+ */
+const getFinalFilePath = (facilityCode) => {
+  return path.join(getStagingDir(), `${facilityCode}_${Date.now()}.sql`);
+};
+
+/**
+ * Release the file behind a facility record. Content-addressed uploads drop
+ * their blob reference; older records without a hash own their file outright.
+ */
+const releaseFacilityFile = async (facility) => {
+  if (facility.file_hash) {
+    await blobStore.releaseBlob(facility.file_hash);
+  } else if (facility.file_path) {
+    await storageFor(facility.file_path).delete(facility.file_path);
+  }
+};
+
+/**
+ * Map a facility_uploads row to the shape returned by the API. The dump's
+ * metadata is summarised unless withMetadata is set.
+ */
+const toUpload = (row, { withMetadata = false } = {}) => {
+  if (!row) return null;
+
+  const metadata = row.dump_metadata;
+  return {
+    id: row.id,
+    facilityId: row.facility_id,
+    facilityCode: row.facility_code,
+    fileHash: row.file_hash,
+    uploadedAt: row.uploaded_at,
+    dumpDate: metadata ? metadata.dumpDate : null,
+    tableCount: metadata ? metadata.tables.length : null,
+    totalRows: metadata ? metadata.totalRows : null,
+    ...(withMetadata && { metadata })
+  };
+};
+
+/**
+ * Store what a facility's dump contains (utils/dumpMetadata) on its record
+ * and on its upload history entry
+ */
+const saveFacilityMetadata = async (facilityId, metadata) => {
+  await pool.query(
+    'UPDATE facilities SET dump_metadata = $1, metadata_updated_at = NOW() WHERE id = $2',
+    [JSON.stringify(metadata), facilityId]
+  );
+  await pool.query(
+    'UPDATE facility_uploads SET dump_metadata = $1 WHERE facility_id = $2',
+    [JSON.stringify(metadata), facilityId]
+  );
+};
+
+/**
+ * Add a new upload to its facility's history. History entries outlive the
+ * facility record a re-upload replaces, so submissions can be compared later.
+ */
+const recordUploadHistory = async (facility) => {
+  await pool.query(
+    `INSERT INTO facility_uploads (facility_id, facility_code, file_hash, uploaded_at)
+     VALUES ($1, $2, $3, $4)`,
+    [facility.id, facility.facility_code, facility.file_hash, facility.uploaded_at]
+  );
+};
+
+/**
+ * Uploads of a facility code, newest first
+ */
+const listUploadHistory = async (facilityCode) => {
+  const result = await pool.query(
+    'SELECT * FROM facility_uploads WHERE facility_code = $1 ORDER BY uploaded_at DESC, id DESC',
+    [facilityCode]
+  );
+  return result.rows.map(row => toUpload(row));
+};
+
+/**
+ * An upload of a facility code with its dump metadata, or null if there is none
+ */
+const getUploadFromHistory = async (facilityCode, uploadId) => {
+  const result = await pool.query(
+    'SELECT * FROM facility_uploads WHERE facility_code = $1 AND id = $2',
+    [facilityCode, uploadId]
+  );
+  return toUpload(result.rows[0], { withMetadata: true });
+};
+
+/**
+ * Queue the validation pipeline for a new upload (see
+ * utils/dumpValidation). Returns the job ID, or null if it could not be queued;
+ * the upload itself is kept either way.
+ */
+const queueUploadValidation = async (facility) => {
+  try {
+    const job = await enqueueJob('validate-upload', { facilityId: facility.id });
+    return job.id;
+  } catch (error) {
+    logger.error('Failed to queue upload validation', { facilityId: facility.id, message: error.message });
+    return null;
+  }
+};
+
+/**
+ * Store a completed upload as a facility record.
+ * Shared by the resumable and tus completion paths; the verified file at
+ * filePath is moved into content-addressed storage under fileHash, or, without
+ * filePath, an already stored blob with that hash is referenced. Evicts the
+ * oldest facility when the MAX_FACILITIES limit is exceeded, adds the upload
+ * to the facility's history and queues the dump's validation
+ * (validation_job_id on the returned record).
+ */
+const attachUploadToFacility = async ({ facilityName, facilityCode, description, filePath = null, fileHash, fileSize }) => {
+  const blob = await blobStore.acquireBlob(fileHash, { sourcePath: filePath, fileSize });
+
+  // Store facility record in database
+  let result;
+  try {
+    result = await pool.query(
+      `INSERT INTO facilities (facility_name, facility_code, description, file_path, file_hash, uploaded_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       RETURNING id, facility_name, facility_code, file_path, file_hash, validation_status, uploaded_at`,
+      [facilityName, facilityCode, description || null, blob.key, blob.hash]
+    );
+  } catch (error) {
+    await blobStore.releaseBlob(blob.hash);
+    throw error;
+  }
+
+  // Check facility count limit
+  const countResult = await pool.query('SELECT COUNT(*) as count FROM facilities');
+  if (countResult.rows[0].count > MAX_FACILITIES) {
+    // Delete oldest facility if over limit
+    const oldestResult = await pool.query(
+      'SELECT id, file_path, file_hash FROM facilities ORDER BY uploaded_at ASC LIMIT 1'
+    );
+    if (oldestResult.rows[0]) {
+      const oldFacility = oldestResult.rows[0];
+      await pool.query('DELETE FROM facilities WHERE id = $1', [oldFacility.id]);
+      await releaseFacilityFile(oldFacility);
+    }
+  }
+
+  const facility = result.rows[0];
+  await recordUploadHistory(facility);
+  facility.validation_job_id = await queueUploadValidation(facility);
+  return facility;
+};
+
+module.exports = {
+  getFinalFilePath,
+  attachUploadToFacility,
+  releaseFacilityFile,
+  saveFacilityMetadata,
+  recordUploadHistory,
+  listUploadHistory,
+  getUploadFromHistory,
+  queueUploadValidation
+};
@@ -0,0 +1,96 @@
+const pool = require('../db');
+const pgdumpUtils = require('./pgdumpUtils');
+const { registerJobHandler } = require('./jobQueue');
+const { saveFacilityMetadata } = require('./facilityUploads');
+const { validateFacilityDump } = require('./dumpValidation');
+const { restoreFacilityDump } = require('./facilityRestore');
+const { storeUploadReport } = require('./uploadReport');
+const { detectCompression } = require('./compression');
+const { storageFor } = require('./storage');
+const { logger } = require('../middleware/logger');
+
+/**
+ * Errors that won't go away on a retry
+ */
+const permanentError = (message, code) => Object.assign(new Error(message), { code, retry: false });
+
+/**
+ * Load a facility whose dump is in storage
+ */
+const loadFacilityWithDump = async (facilityId) => {
+  const result = await pool.query('SELECT * FROM facilities WHERE id = $1', [facilityId]);
+  const facility = result.rows[0];
+  if (!facility) {
+    return { facility: null, storage: null };
+  }
+
+  const storage = facility.file_path ? storageFor(facility.file_path) : null;
+  if (!storage || !await storage.exists(facility.file_path)) {
+    throw permanentError('Database file not found', 'FILE_NOT_FOUND');
+  }
+  return { facility, storage };
+};
+
+/**
+ * Scan options that log progress and record it on the job
+ */
+const scanOptions = (facility, reportProgress) => ({
+  onProgress: ({ bytesScanned, totalBytes }) => {
+    logger.info('Scanning dump', { facilityCode: facility.facility_code, bytesScanned, totalBytes });
+    reportProgress({ stage: 'scanning', bytesScanned, totalBytes })
+      .catch(error => logger.error('Failed to record job progress', { message: error.message }));
+  }
+});
+
+// Run the validation pipeline on a completed upload (see utils/dumpValidation.js);
+// the test restore only runs when an admin asked for it
+registerJobHandler('validate-upload', async ({ facilityId, restore = false }, { job, reportProgress }) => {
+  const result = await pool.query('SELECT * FROM facilities WHERE id = $1', [facilityId]);
+  const facility = result.rows[0];
+  if (!facility) {
+    return { facilityId, skipped: 'Facility no longer exists' };
+  }
+
+  const report = await validateFacilityDump(facility, {
+    restore: restore === true,
+    requestedBy: job.createdBy,
+    onProgress: scanOptions(facility, reportProgress).onProgress
+  });
+  return { facilityId, ...report };
+});
+
+// Check a facility's dump (admin "Restore Dump"), optionally restoring it into a sandbox database
+registerJobHandler('restore-dump', async ({ facilityId, mode }, { job, reportProgress }) => {
+  const { facility, storage } = await loadFacilityWithDump(facilityId);
+  if (!facility) {
+    throw permanentError('Facility not found', 'FACILITY_NOT_FOUND');
+  }
+
+  const options = scanOptions(facility, reportProgress);
+  if (!await pgdumpUtils.validatePgDumpFile(facility.file_path, options)) {
+    throw permanentError('File is not a valid PostgreSQL dump file', 'INVALID_DUMP');
+  }
+
+  // Compressed dumps are decompressed as they are read
+  const metadata = await pgdumpUtils.getPgDumpMetadata(facility.file_path, options);
+  await saveFacilityMetadata(facility.id, metadata);
+  const compression = await detectCompression(facility.file_path, storage);
+  const { size } = await storage.stat(facility.file_path);
+
+  let restore = null;
+  if (mode === 'restore') {
+    await reportProgress({ stage: 'restoring' });
+    restore = await restoreFacilityDump(facility, { requestedBy: job.createdBy });
+  }
+
+  return {
+    facility,
+    metadata,
+    compression,
+    fileSize: pgdumpUtils.getFileSizeReadable(size),
+    restore
+  };
+});
+
+// CSV report of all uploads, stored under reports/ and downloaded from GET /api/jobs/:id/download
+registerJobHandler('upload-report', async () => storeUploadReport());
@@ -0,0 +1,212 @@
+const pool = require('../db');
+const config = require('../config/config');
+const { logger } = require('../middleware/logger');
+
+// Handlers by job type: async (payload, context) => result
+const handlers = new Map();
+
+// Running jobs refresh locked_at this often, so only jobs whose worker is gone look stale
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Map a jobs row to the job shape returned by the API
+ */
+const toJob = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    type: row.type,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    progress: row.progress,
+    result: row.result,
+    error: row.error,
+    createdBy: row.created_by,
+    runAt: row.run_at,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+};
+
+/**
+ * Register the handler that runs jobs of a type. Handlers get the payload
+ * and { job, reportProgress }; what they return is stored as the result.
+ * Errors with retry: false fail the job without further attempts.
+ */
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Queue a job; the worker picks it up on its next poll
+ */
+const enqueueJob = async (type, payload = {}, { createdBy = null, maxAttempts = config.jobs.maxAttempts } = {}) => {
+  const result = await pool.query(
+    `INSERT INTO jobs (type, payload, max_attempts, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [type, JSON.stringify(payload), maxAttempts, createdBy]
+  );
+  return toJob(result.rows[0]);
+};
+
+/**
+ * Get a job by ID, or null if there is none
+ */
+const getJob = async (id) => {
+  const result = await pool.query('SELECT * FROM jobs WHERE id = $1', [id]);
+  return toJob(result.rows[0]);
+};
+
+/**
+ * Claim the oldest due job. SKIP LOCKED lets several workers (or app
+ * instances) poll the same table without taking the same job.
+ */
+const claimNextJob = async () => {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = 'running', attempts = attempts + 1, started_at = NOW(), locked_at = NOW(), error = NULL
+     WHERE id = (
+       SELECT id FROM jobs
+       WHERE status = 'queued' AND run_at <= NOW()
+       ORDER BY run_at, id
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`
+  );
+  return toJob(result.rows[0]);
+};
+
+/**
+ * Put jobs back in the queue whose worker stopped without finishing them
+ * (e.g. the server restarted mid-job). Jobs that used up their attempts
+ * fail instead. Returns the IDs of both.
+ */
+const requeueStaleJobs = async (staleAfterMinutes = config.jobs.staleAfterMinutes) => {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+         finished_at = CASE WHEN attempts >= max_attempts THEN NOW() END,
+         error = 'Worker stopped responding', run_at = NOW(), locked_at = NULL
+     WHERE status = 'running' AND locked_at < NOW() - make_interval(mins => $1)
+     RETURNING id, status`,
+    [staleAfterMinutes]
+  );
+  return {
+    requeued: result.rows.filter(row => row.status === 'queued').map(row => row.id),
+    failed: result.rows.filter(row => row.status === 'failed').map(row => row.id)
+  };
+};
+
+/**
+ * Record a failed attempt: retried with backoff (30s, 2m, 4.5m, ...) while
+ * attempts remain, otherwise the job fails
+ */
+const failJob = async (job, error) => {
+  const retry = error.retry !== false && job.attempts < job.maxAttempts;
+  const result = await pool.query(
+    retry
+      ? `UPDATE jobs SET status = 'queued', error = $2, locked_at = NULL,
+           run_at = NOW() + make_interval(secs => $3)
+         WHERE id = $1 RETURNING *`
+      : `UPDATE jobs SET status = 'failed', error = $2, locked_at = NULL, finished_at = NOW()
+         WHERE id = $1 RETURNING *`,
+    retry ? [job.id, error.message, 30 * job.attempts * job.attempts] : [job.id, error.message]
+  );
+  return toJob(result.rows[0]);
+};
+
+/**
+ * Claim and run one job. Returns the finished (or re-queued) job, or null
+ * when no job is due.
+ */
+const runNextJob = async () => {
+  const job = await claimNextJob();
+  if (!job) {
+    return null;
+  }
+
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    return failJob(job, Object.assign(new Error(`Unknown job type: ${job.type}`), { retry: false }));
+  }
+
+  const reportProgress = async (progress) => {
+    await pool.query('UPDATE jobs SET progress = $1 WHERE id = $2', [JSON.stringify(progress), job.id]);
+  };
+
+  const heartbeat = setInterval(() => {
+    pool.query('UPDATE jobs SET locked_at = NOW() WHERE id = $1', [job.id])
+      .catch(error => logger.error('Job heartbeat failed', { jobId: job.id, message: error.message }));
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  try {
+    const output = await handler(job.payload, { job, reportProgress });
+    const result = await pool.query(
+      `UPDATE jobs SET status = 'succeeded', result = $2, locked_at = NULL, finished_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [job.id, JSON.stringify(output === undefined ? null : output)]
+    );
+    return toJob(result.rows[0]);
+  } catch (error) {
+    logger.error('Job failed', { jobId: job.id, type: job.type, attempt: job.attempts, message: error.message });
+    return failJob(job, error);
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Poll for jobs and run them one at a time until stopped. Returns
+ * { stop } or null when the worker is disabled.
+ */
+const startJobWorker = ({ pollIntervalMs = config.jobs.pollIntervalMs } = {}) => {
+  if (!config.jobs.enabled) {
+    logger.info('Job worker disabled');
+    return null;
+  }
+
+  let stopped = false;
+  let timer = null;
+
+  const poll = async () => {
+    let ran = false;
+    try {
+      await requeueStaleJobs();
+      ran = Boolean(await runNextJob());
+    } catch (error) {
+      logger.error('Job worker poll failed', { message: error.message });
+    }
+
+    // Keep going straight away while there is work
+    if (!stopped) {
+      timer = setTimeout(poll, ran ? 0 : pollIntervalMs);
+    }
+  };
+
+  logger.info(`Job worker started (polling every ${pollIntervalMs}ms)`);
+  timer = setTimeout(poll, 0);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+};
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  claimNextJob,
+  requeueStaleJobs,
+  runNextJob,
+  startJobWorker
+};
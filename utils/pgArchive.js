@@ -0,0 +1,489 @@
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+
+/*
+ * Reader for pg_dump archive formats (-Fc custom, -Ft tar, and -Fd directory
+ * dumps packed into a tar file). The archive header and table of contents
+ * are parsed; table data is only read with readData, which streams through
+ * it to count each table's rows and bytes without keeping any of it.
+ *
+ * Layout follows pg_backup_archiver.c (ReadHead/ReadToc): integers are a
+ * sign byte followed by intSize little-endian bytes, strings are an integer
+ * length (-1 for NULL) followed by the bytes.
+ */
+const MAGIC = Buffer.from('PGDMP');
+const TAR_BLOCK_SIZE = 512;
+const MAX_STRING_LENGTH = 64 * 1024 * 1024;
+
+// Oldest archive version read (PostgreSQL 8.0) and newest known (PostgreSQL 17)
+const MIN_VERSION = [1, 10];
+const MAX_VERSION = [1, 16];
+
+const FORMATS = { 1: 'custom', 3: 'tar', 5: 'directory' };
+const COMPRESSION_ALGORITHMS = { 0: 'none', 1: 'gzip', 2: 'lz4', 3: 'zstd' };
+const SECTIONS = { 1: 'none', 2: 'pre-data', 3: 'data', 4: 'post-data' };
+
+// Archives before 1.11 (PostgreSQL 8.4) have no section field; pg_restore derives it from the entry type
+const UNSECTIONED_DESCS = ['COMMENT', 'ACL', 'ACL LANGUAGE'];
+const DATA_DESCS = ['TABLE DATA', 'BLOBS', 'BLOB COMMENTS'];
+const POST_DATA_DESCS = ['CONSTRAINT', 'CHECK CONSTRAINT', 'FK CONSTRAINT', 'INDEX', 'RULE', 'TRIGGER'];
+
+// Custom format offset flag for TOC entries without data, and data block types
+const K_OFFSET_NO_DATA = 3;
+const BLK_DATA = 1;
+const BLK_BLOBS = 3;
+
+// Table data files in tar and directory dumps: 3401.dat, 3401.dat.gz
+const DATA_MEMBER_PATTERN = /^(\d+)\.dat(\.gz|\.lz4|\.zst)?$/;
+const DATA_MEMBER_COMPRESSION = { '': 'none', '.gz': 'gzip', '.lz4': 'lz4', '.zst': 'zstd' };
+
+const archiveError = (message, code = 'INVALID_ARCHIVE') => Object.assign(new Error(message), { code });
+
+const atLeast = (version, [major, minor]) => {
+  return version.major > major || (version.major === major && version.minor >= minor);
+};
+
+/**
+ * Section of a TOC entry in an archive without section fields
+ */
+const sectionFromDesc = (desc) => {
+  if (UNSECTIONED_DESCS.includes(desc)) return 'none';
+  if (DATA_DESCS.includes(desc)) return 'data';
+  if (POST_DATA_DESCS.includes(desc)) return 'post-data';
+  return 'pre-data';
+};
+
+/**
+ * Read an async iterable to the end, keeping nothing
+ */
+const discard = async (chunks) => {
+  for await (const chunk of chunks) {}
+};
+
+/**
+ * Sequential reader over a readable stream
+ */
+class StreamReader {
+  constructor(stream) {
+    this.iterator = stream[Symbol.asyncIterator]();
+    this.buffer = Buffer.alloc(0);
+    this.done = false;
+    this.position = 0;
+  }
+
+  async fill(length) {
+    while (this.buffer.length < length && !this.done) {
+      const { value, done } = await this.iterator.next();
+      if (done) {
+        this.done = true;
+      } else {
+        this.buffer = Buffer.concat([this.buffer, value]);
+      }
+    }
+    return this.buffer.length >= length;
+  }
+
+  /**
+   * Up to length bytes without consuming them (fewer at the end of the stream)
+   */
+  async peek(length) {
+    await this.fill(length);
+    return this.buffer.subarray(0, length);
+  }
+
+  async read(length) {
+    if (!await this.fill(length)) {
+      throw archiveError('Archive is truncated');
+    }
+    const bytes = this.buffer.subarray(0, length);
+    this.buffer = this.buffer.subarray(length);
+    this.position += length;
+    return bytes;
+  }
+
+  /**
+   * Yield the next length bytes as they arrive, without buffering them all
+   */
+  async* chunks(length) {
+    let remaining = length;
+    while (remaining > 0) {
+      if (this.buffer.length === 0 && !await this.fill(1)) {
+        throw archiveError('Archive is truncated');
+      }
+      const count = Math.min(remaining, this.buffer.length);
+      const chunk = this.buffer.subarray(0, count);
+      this.buffer = this.buffer.subarray(count);
+      this.position += count;
+      remaining -= count;
+      yield chunk;
+    }
+  }
+
+  async skip(length) {
+    await discard(this.chunks(length));
+  }
+
+  async atEnd() {
+    return !await this.fill(1);
+  }
+
+  /**
+   * Stop reading; destroys the underlying stream
+   */
+  async close() {
+    if (this.iterator.return) {
+      await this.iterator.return();
+    }
+  }
+}
+
+exports.StreamReader = StreamReader;
+
+/**
+ * Archive format from the first bytes of a dump: 'custom' (PGDMP header),
+ * 'tar' (ustar header) or 'plain'
+ */
+exports.detectArchiveFormat = (bytes) => {
+  if (bytes.length >= MAGIC.length && bytes.subarray(0, MAGIC.length).equals(MAGIC)) {
+    return 'custom';
+  }
+  if (bytes.length >= 262 && bytes.subarray(257, 262).toString('latin1') === 'ustar') {
+    return 'tar';
+  }
+  return 'plain';
+};
+
+/**
+ * Field readers for an archive's integer and offset sizes
+ */
+const createFieldReader = (reader, intSize, offSize) => {
+  const readByte = async () => (await reader.read(1))[0];
+
+  const readInt = async () => {
+    const sign = await readByte();
+    const bytes = await reader.read(intSize);
+    let value = 0;
+    for (let i = 0; i < intSize; i++) {
+      value += bytes[i] * 2 ** (8 * i);
+    }
+    return sign ? -value : value;
+  };
+
+  const readStr = async () => {
+    const length = await readInt();
+    if (length < 0) return null;
+    if (length > MAX_STRING_LENGTH) {
+      throw archiveError('Archive string is too long');
+    }
+    return (await reader.read(length)).toString('utf8');
+  };
+
+  const readOffset = async () => {
+    const flag = await readByte();
+    await reader.read(offSize);
+    return flag;
+  };
+
+  return { readByte, readInt, readStr, readOffset };
+};
+
+/**
+ * Parse an archive header (ReadHead)
+ */
+const readHeader = async (reader) => {
+  const magic = await reader.read(MAGIC.length);
+  if (!magic.equals(MAGIC)) {
+    throw archiveError('Missing PGDMP archive header');
+  }
+
+  const [major, minor, revision, intSize, offSize, formatCode] = await reader.read(6);
+  const version = { major, minor, revision };
+
+  if (!atLeast(version, MIN_VERSION) || atLeast(version, [MAX_VERSION[0], MAX_VERSION[1] + 1])) {
+    throw archiveError(`Unsupported archive version ${major}.${minor}.${revision}`, 'UNSUPPORTED_ARCHIVE');
+  }
+  if (intSize < 1 || intSize > 8 || offSize < 1 || offSize > 8) {
+    throw archiveError('Invalid archive integer size');
+  }
+  if (!FORMATS[formatCode]) {
+    throw archiveError(`Unsupported archive format ${formatCode}`, 'UNSUPPORTED_ARCHIVE');
+  }
+
+  const fields = createFieldReader(reader, intSize, offSize);
+
+  let compression;
+  if (atLeast(version, [1, 15])) {
+    compression = COMPRESSION_ALGORITHMS[await fields.readByte()] || 'unknown';
+  } else {
+    // Older archives store a zlib level: 0 is uncompressed, -1 the default level
+    compression = (await fields.readInt()) === 0 ? 'none' : 'gzip';
+  }
+
+  const [seconds, minutes, hours, day, month, year] = [
+    await fields.readInt(), await fields.readInt(), await fields.readInt(),
+    await fields.readInt(), await fields.readInt(), await fields.readInt()
+  ];
+  await fields.readInt(); // tm_isdst
+
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return {
+    fields,
+    header: {
+      format: FORMATS[formatCode],
+      version: `${major}.${minor}.${revision}`,
+      compression,
+      // Local time of the machine that ran pg_dump (struct tm, no time zone)
+      createdAt: `${year + 1900}-${pad(month + 1)}-${pad(day)} ${pad(hours)}:${pad(minutes)}:${pad(seconds)}`,
+      database: await fields.readStr(),
+      serverVersion: await fields.readStr(),
+      pgDumpVersion: await fields.readStr()
+    },
+    version
+  };
+};
+
+/**
+ * Parse the table of contents (ReadToc) that follows the header
+ */
+const readToc = async (fields, version, format) => {
+  const count = await fields.readInt();
+  if (count < 0) {
+    throw archiveError('Invalid archive TOC');
+  }
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const entry = { dumpId: await fields.readInt() };
+    await fields.readInt(); // hadDumper
+    await fields.readStr(); // catalog table oid
+    await fields.readStr(); // oid
+    entry.tag = await fields.readStr();
+    entry.desc = await fields.readStr();
+    entry.section = atLeast(version, [1, 11])
+      ? SECTIONS[await fields.readInt()] || 'none'
+      : sectionFromDesc(entry.desc);
+    entry.defn = await fields.readStr();
+    await fields.readStr(); // dropStmt
+    await fields.readStr(); // copyStmt
+    entry.namespace = await fields.readStr();
+    await fields.readStr(); // tablespace
+    if (atLeast(version, [1, 14])) await fields.readStr(); // tableam
+    if (atLeast(version, [1, 16])) await fields.readInt(); // relkind
+    entry.owner = await fields.readStr();
+    await fields.readStr(); // withOids
+
+    entry.dependencies = [];
+    for (let dependency = await fields.readStr(); dependency !== null; dependency = await fields.readStr()) {
+      entry.dependencies.push(Number(dependency));
+    }
+
+    // Format-specific pointer to the entry's data
+    if (format === 'custom') {
+      entry.hasData = (await fields.readOffset()) !== K_OFFSET_NO_DATA;
+    } else {
+      entry.hasData = Boolean(await fields.readStr());
+    }
+
+    entries.push(entry);
+  }
+  return entries;
+};
+
+const qualifiedName = (entry) => (entry.namespace ? `${entry.namespace}.${entry.tag}` : entry.tag);
+
+/**
+ * Decompressor for table data, or null when the algorithm can't be read here
+ * (unzip accepts both the zlib streams of custom dumps and .gz files)
+ */
+const createDataDecompressor = (compression) => {
+  if (compression === 'gzip') return zlib.createUnzip();
+  if (compression === 'zstd' && typeof zlib.createZstdDecompress === 'function') return zlib.createZstdDecompress();
+  return null;
+};
+
+/**
+ * Measure one table's data: rows (COPY lines, or INSERT statements with
+ * --inserts), uncompressed bytes and bytes stored in the archive. rows and
+ * bytes are null for data compressed with an algorithm Node can't read (lz4).
+ */
+const measureData = async (chunks, compression) => {
+  const stats = { rows: 0, bytes: 0, storedBytes: 0 };
+  const count = (data) => {
+    stats.bytes += data.length;
+    for (let i = data.indexOf(10); i !== -1; i = data.indexOf(10, i + 1)) {
+      stats.rows++;
+    }
+  };
+
+  if (compression === 'none') {
+    for await (const chunk of chunks) {
+      stats.storedBytes += chunk.length;
+      count(chunk);
+    }
+    return stats;
+  }
+
+  const decompressor = createDataDecompressor(compression);
+  if (!decompressor) {
+    for await (const chunk of chunks) {
+      stats.storedBytes += chunk.length;
+    }
+    return { rows: null, bytes: null, storedBytes: stats.storedBytes };
+  }
+
+  decompressor.on('data', count);
+  const done = finished(decompressor);
+  done.catch(() => {}); // Awaited below; an early error surfaces through 'drain'
+
+  try {
+    for await (const chunk of chunks) {
+      stats.storedBytes += chunk.length;
+      if (!decompressor.write(chunk)) {
+        await once(decompressor, 'drain');
+      }
+    }
+    decompressor.end();
+    await done;
+  } catch (error) {
+    decompressor.destroy();
+    throw error.code === 'INVALID_ARCHIVE' ? error : archiveError(`Table data could not be decompressed: ${error.message}`);
+  }
+  return stats;
+};
+
+/**
+ * Data blocks that follow the TOC in a custom format dump, keyed by dump id
+ */
+const readCustomData = async (reader, fields, compression) => {
+  const dataStats = {};
+
+  // Each block's data is a run of length-prefixed chunks ending with length 0
+  async function* blockChunks() {
+    for (let length = await fields.readInt(); length !== 0; length = await fields.readInt()) {
+      yield* reader.chunks(length);
+    }
+  }
+
+  while (!await reader.atEnd()) {
+    const blockType = await fields.readByte();
+    const dumpId = await fields.readInt();
+
+    if (blockType === BLK_DATA) {
+      dataStats[dumpId] = await measureData(blockChunks(), compression);
+    } else if (blockType === BLK_BLOBS) {
+      // Large objects: an oid before each object's chunks, oid 0 ends the block
+      for (let oid = await fields.readInt(); oid !== 0; oid = await fields.readInt()) {
+        await discard(blockChunks());
+      }
+    } else {
+      throw archiveError(`Unknown archive data block type ${blockType}`);
+    }
+  }
+  return dataStats;
+};
+
+/**
+ * Summarise TOC entries into the objects a facility dump is checked for.
+ * With dataStats, tableData holds each table's measured data.
+ */
+const summarise = (header, entries, dataStats = null) => {
+  const summary = {
+    ...header,
+    entryCount: entries.length,
+    schemas: entries.filter(entry => entry.desc === 'SCHEMA').map(entry => entry.tag),
+    tables: entries.filter(entry => entry.desc === 'TABLE').map(qualifiedName),
+    indexes: entries.filter(entry => entry.desc === 'INDEX').map(qualifiedName),
+    dataEntries: entries.filter(entry => entry.desc === 'TABLE DATA').map(qualifiedName),
+    entries
+  };
+
+  if (dataStats) {
+    summary.tableData = {};
+    for (const entry of entries.filter(item => item.desc === 'TABLE DATA')) {
+      summary.tableData[qualifiedName(entry)] = dataStats[entry.dumpId] || { rows: 0, bytes: 0, storedBytes: 0 };
+    }
+  }
+  return summary;
+};
+
+/**
+ * Parse a PGDMP header and TOC at the reader's position
+ */
+const readArchive = async (reader) => {
+  const { fields, header, version } = await readHeader(reader);
+  const entries = await readToc(fields, version, header.format);
+  return { fields, header, entries };
+};
+
+/**
+ * Find toc.dat in a tar file (pg_dump -Ft, or a -Fd directory packed with
+ * tar) and parse it. Without readData, reading stops at toc.dat; with it,
+ * every table data member is measured, wherever it sits in the tar file.
+ */
+const readTarArchive = async (reader, readData) => {
+  let archive = null;
+  const dataStats = {};
+
+  for (;;) {
+    if (await reader.atEnd()) break;
+    const block = await reader.read(TAR_BLOCK_SIZE);
+    if (block.every(byte => byte === 0)) break;
+
+    const checksum = parseInt(block.subarray(148, 156).toString('latin1').replace(/\0.*$/s, '').trim(), 8);
+    let sum = 0;
+    for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+      sum += i >= 148 && i < 156 ? 0x20 : block[i];
+    }
+    if (checksum !== sum) {
+      throw archiveError('Invalid tar header checksum');
+    }
+
+    const field = (start, end) => block.subarray(start, end).toString('utf8').replace(/\0.*$/s, '');
+    const prefix = field(345, 500);
+    const name = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+    const size = parseInt(field(124, 136).trim() || '0', 8);
+    const type = String.fromCharCode(block[156]);
+    const memberEnd = reader.position + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+    const baseName = path.posix.basename(name);
+    const isFile = type === '0' || type === '\0';
+
+    if (isFile && baseName === 'toc.dat') {
+      archive = await readArchive(reader);
+      if (!readData) break;
+    } else if (isFile && readData && DATA_MEMBER_PATTERN.test(baseName)) {
+      const [, dumpId, extension = ''] = baseName.match(DATA_MEMBER_PATTERN);
+      dataStats[dumpId] = await measureData(reader.chunks(size), DATA_MEMBER_COMPRESSION[extension]);
+    }
+
+    await reader.skip(memberEnd - reader.position);
+  }
+
+  if (!archive) {
+    throw archiveError('Tar file has no toc.dat');
+  }
+  return summarise(archive.header, archive.entries, readData ? dataStats : null);
+};
+
+/**
+ * Parse the header and TOC of a pg_dump archive from a readable stream.
+ * Reading stops once the TOC is parsed, unless readData asks for the table
+ * data to be measured too (tableData in the result).
+ */
+exports.parseArchive = async (stream, { readData = false } = {}) => {
+  const reader = new StreamReader(stream);
+  try {
+    const format = exports.detectArchiveFormat(await reader.peek(TAR_BLOCK_SIZE));
+    if (format === 'custom') {
+      const { fields, header, entries } = await readArchive(reader);
+      const dataStats = readData ? await readCustomData(reader, fields, header.compression) : null;
+      return summarise(header, entries, dataStats);
+    }
+    if (format === 'tar') return await readTarArchive(reader, readData);
+    throw archiveError('Not a pg_dump archive');
+  } finally {
+    await reader.close();
+  }
+};
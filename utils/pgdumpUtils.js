@@ -1,108 +1,250 @@
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { Transform, pipeline } = require('stream');
+const { pipeline: pipelinePromise } = require('stream/promises');
+const { detectCompression, createDecompressedStream } = require('./compression');
+const { storageFor } = require('./storage');
+const { StreamReader, detectArchiveFormat, parseArchive } = require('./pgArchive');
+const { emptyMetadata, collectPlainMetadata, collectArchiveMetadata } = require('./dumpMetadata');
+const { restorePlainDump } = require('./plainRestore');
 
-const execPromise = promisify(exec);
+// Longer lines (e.g. multi-row INSERTs) are cut short; only their start is matched
+const MAX_LINE_LENGTH = 64 * 1024;
+const PROGRESS_INTERVAL_BYTES = 64 * 1024 * 1024;
+
+// Output kept from restore commands (the end, where errors are reported)
+const MAX_RESTORE_OUTPUT = 64 * 1024;
+
+const DUMP_SIGNATURES = [
+  'PostgreSQL database dump',
+  '-- PostgreSQL',
+  'SET statement_timeout',
+  'CREATE TABLE',
+  'INSERT INTO'
+];
 
 /**
- * Validate if a file is a valid PostgreSQL dump file
+ * Stream the lines of a dump, decompressing and decrypting it as it is read,
+ * so files of any size are scanned in constant memory. Yields
+ * { text, bytes }: text is cut short past MAX_LINE_LENGTH, bytes is the full
+ * line's size in the dump (without its newline). Stopping the loop early
+ * stops reading the file.
+ * onProgress({ bytesScanned, totalBytes, linesScanned }) is called every
+ * progressInterval bytes of dump text, and once more at the end of scans
+ * long enough to have reported; totalBytes is null for compressed files.
  */
-exports.validatePgDumpFile = (filePath) => {
-  return new Promise((resolve, reject) => {
-    fs.readFile(filePath, 'utf8', (err, data) => {
-      if (err) {
-        reject(err);
-        return;
-      }
+async function* readDumpLines(filePath, { onProgress, progressInterval = PROGRESS_INTERVAL_BYTES } = {}) {
+  const storage = storageFor(filePath);
+  const compression = await detectCompression(filePath, storage);
+  const totalBytes = compression ? null : (await storage.stat(filePath)).size;
+  const stream = await createDecompressedStream(filePath, storage);
+  const decoder = new StringDecoder('utf8');
 
-      // Check for PostgreSQL dump file signatures
-      const isPgDump = data.includes('PostgreSQL database dump') || 
-                       data.includes('-- PostgreSQL') ||
-                       data.includes('SET statement_timeout') ||
-                       data.includes('CREATE TABLE') ||
-                       data.includes('INSERT INTO');
+  let partial = '';
+  let partialBytes = 0;
+  let bytesScanned = 0;
+  let linesScanned = 0;
+  let nextProgress = progressInterval;
 
-      resolve(isPgDump);
-    });
-  });
+  const toLine = (text, bytes) => {
+    linesScanned++;
+    const line = text.length > MAX_LINE_LENGTH ? text.slice(0, MAX_LINE_LENGTH) : text;
+    return line.endsWith('\r') ? { text: line.slice(0, -1), bytes: bytes - 1 } : { text: line, bytes };
+  };
+
+  for await (const chunk of stream) {
+    bytesScanned += chunk.length;
+    const parts = decoder.write(chunk).split('\n');
+
+    for (let i = 0; i < parts.length - 1; i++) {
+      yield toLine(partial + parts[i], partialBytes + Buffer.byteLength(parts[i]));
+      partial = '';
+      partialBytes = 0;
+    }
+
+    const rest = parts[parts.length - 1];
+    partial = (partial + rest).slice(0, MAX_LINE_LENGTH + 1);
+    partialBytes += Buffer.byteLength(rest);
+
+    if (onProgress && bytesScanned >= nextProgress) {
+      onProgress({ bytesScanned, totalBytes, linesScanned });
+      nextProgress = bytesScanned + progressInterval;
+    }
+  }
+
+  const rest = decoder.end();
+  if (partial || rest) {
+    yield toLine(partial + rest, partialBytes + Buffer.byteLength(rest));
+  }
+  if (onProgress && nextProgress > progressInterval) {
+    onProgress({ bytesScanned, totalBytes, linesScanned });
+  }
+}
+
+exports.readDumpLines = readDumpLines;
+
+/**
+ * Dump format from its first bytes: 'custom', 'tar' or 'plain'
+ * (a tar file may hold a -Ft or a -Fd directory dump)
+ */
+exports.detectDumpFormat = async (filePath) => {
+  const reader = new StreamReader(await createDecompressedStream(filePath));
+  try {
+    return detectArchiveFormat(await reader.peek(512));
+  } finally {
+    await reader.close();
+  }
 };
 
 /**
- * Get PostgreSQL dump file metadata
+ * Header and table of contents of a custom or tar format dump. With
+ * readData, table data is measured too, and onProgress/progressInterval
+ * report progress as for readDumpLines.
  */
-exports.getPgDumpMetadata = (filePath) => {
-  return new Promise((resolve, reject) => {
-    fs.readFile(filePath, 'utf8', (err, data) => {
-      if (err) {
-        reject(err);
-        return;
-      }
+exports.readArchiveToc = async (filePath, { readData = false, onProgress, progressInterval = PROGRESS_INTERVAL_BYTES } = {}) => {
+  let stream = await createDecompressedStream(filePath);
 
-      const lines = data.split('\n');
-      const metadata = {
-        isValid: false,
-        version: null,
-        dumpDate: null,
-        tables: []
-      };
-
-      // Extract metadata from dump file
-      lines.forEach(line => {
-        if (line.includes('PostgreSQL database dump')) {
-          metadata.isValid = true;
-        }
-        if (line.includes('Dumped from database version')) {
-          metadata.version = line.split('version')[1]?.trim();
-        }
-        if (line.includes('Dumped on')) {
-          metadata.dumpDate = line.split('Dumped on')[1]?.trim();
-        }
-        if (line.startsWith('CREATE TABLE')) {
-          const tableName = line.match(/CREATE TABLE (?:IF NOT EXISTS )?"?([^"\s(]+)/)?.[1];
-          if (tableName) {
-            metadata.tables.push(tableName);
-          }
+  if (onProgress) {
+    const storage = storageFor(filePath);
+    const totalBytes = await detectCompression(filePath, storage) ? null : (await storage.stat(filePath)).size;
+    let bytesScanned = 0;
+    let nextProgress = progressInterval;
+
+    stream = pipeline(stream, new Transform({
+      transform(chunk, encoding, callback) {
+        bytesScanned += chunk.length;
+        if (bytesScanned >= nextProgress) {
+          onProgress({ bytesScanned, totalBytes, linesScanned: null });
+          nextProgress = bytesScanned + progressInterval;
         }
-      });
+        callback(null, chunk);
+      }
+    }), () => {});
+  }
 
-      resolve(metadata);
-    });
-  });
+  return parseArchive(stream, { readData });
 };
 
+const isArchiveError = (error) => ['INVALID_ARCHIVE', 'UNSUPPORTED_ARCHIVE'].includes(error.code);
+
 /**
- * Restore PostgreSQL dump to a specific database
- * Note: Requires psql to be installed and in PATH
+ * Validate if a file is a valid PostgreSQL dump file.
+ * Archives must have a readable header and TOC; plain dumps are scanned
+ * until the first dump signature, normally in the header.
  */
-exports.restorePgDump = (filePath, dbName, dbHost, dbPort, dbUser, dbPassword) => {
-  return new Promise((resolve, reject) => {
-    // Create PGPASSWORD environment variable to avoid password prompt
-    const env = { ...process.env };
-    if (dbPassword) {
-      env.PGPASSWORD = dbPassword;
+exports.validatePgDumpFile = async (filePath, options = {}) => {
+  if (await exports.detectDumpFormat(filePath) !== 'plain') {
+    try {
+      await exports.readArchiveToc(filePath);
+      return true;
+    } catch (error) {
+      if (isArchiveError(error)) return false;
+      throw error;
     }
+  }
 
-    // psql command to restore the dump
-    const cmd = `psql -h ${dbHost} -p ${dbPort} -U ${dbUser} -d ${dbName} -f "${filePath}"`;
-
-    exec(cmd, { env }, (error, stdout, stderr) => {
-      if (error) {
-        reject({
-          message: 'Failed to restore database dump',
-          error: error.message,
-          stderr: stderr
-        });
-        return;
-      }
+  for await (const { text } of readDumpLines(filePath, options)) {
+    if (DUMP_SIGNATURES.some(signature => text.includes(signature))) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Get PostgreSQL dump file metadata: tables per schema, row counts and data
+ * size per table, extensions, sequences, views and functions (see
+ * utils/dumpMetadata). The whole dump is read, so onProgress reports on
+ * long scans.
+ */
+exports.getPgDumpMetadata = async (filePath, options = {}) => {
+  const format = await exports.detectDumpFormat(filePath);
+  if (format === 'plain') {
+    return collectPlainMetadata(readDumpLines(filePath, options));
+  }
 
-      resolve({
-        success: true,
-        message: 'Database dump restored successfully',
-        output: stdout
-      });
-    });
+  try {
+    return collectArchiveMetadata(await exports.readArchiveToc(filePath, { ...options, readData: true }));
+  } catch (error) {
+    if (!isArchiveError(error)) throw error;
+    return { ...emptyMetadata(format), error: error.message };
+  }
+};
+
+// Keep the end of a command's output, where errors are reported
+const collectOutput = (stream) => {
+  let output = '';
+  stream.setEncoding('utf8');
+  stream.on('data', (text) => {
+    output = (output + text).slice(-MAX_RESTORE_OUTPUT);
   });
+  return () => output;
+};
+
+/**
+ * Restore a dump into an existing database, streaming it (decrypted and
+ * decompressed) to pg_restore for archives. Plain dumps are run statement by
+ * statement over a connection (utils/plainRestore), never through psql, so
+ * they can't run psql meta-commands. pg_restore gets an argument array,
+ * never a shell. Resolves with the command and the end of its output;
+ * rejects with code RESTORE_FAILED and stderr when the restore fails.
+ * Note: Requires pg_restore to be installed and in PATH for archives
+ */
+exports.restorePgDump = async (filePath, { database, host, port, user, password }) => {
+  const format = await exports.detectDumpFormat(filePath);
+  if (format === 'tar' && (await exports.readArchiveToc(filePath)).format === 'directory') {
+    throw Object.assign(new Error('Directory format dumps must be extracted before they can be restored'), { code: 'RESTORE_UNSUPPORTED' });
+  }
+
+  if (format === 'plain') {
+    const { warnings } = await restorePlainDump(await createDecompressedStream(filePath), { database, host, port, user, password });
+    return { command: 'sql', output: '', warnings };
+  }
+
+  const command = 'pg_restore';
+  const args = [
+    '--format', format, '--no-owner', '--no-privileges', '--exit-on-error',
+    '--host', host, '--port', String(port), '--username', user, '--dbname', database, '--no-password'
+  ];
+
+  // Password via the environment so it never shows in the process list
+  const env = { ...process.env };
+  if (password) {
+    env.PGPASSWORD = password;
+  }
+
+  const source = await createDecompressedStream(filePath);
+  const child = spawn(command, args, { env });
+  const stdout = collectOutput(child.stdout);
+  const stderr = collectOutput(child.stderr);
+
+  const exited = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', resolve);
+  });
+  const input = pipelinePromise(source, child.stdin);
+
+  const [sent, exit] = await Promise.allSettled([input, exited]);
+
+  if (exit.status === 'rejected') {
+    source.destroy();
+    if (exit.reason.code === 'ENOENT') {
+      throw Object.assign(new Error(`${command} is not installed on the server`), { code: 'RESTORE_UNAVAILABLE' });
+    }
+    throw exit.reason;
+  }
+
+  // The command stopping early breaks the pipe; its exit code says why
+  if (exit.value !== 0) {
+    throw Object.assign(new Error(`${command} exited with code ${exit.value}`), { code: 'RESTORE_FAILED', stderr: stderr() });
+  }
+  if (sent.status === 'rejected') {
+    throw sent.reason;
+  }
+
+  return { command, output: stdout(), warnings: stderr() };
 };
 
 /**
@@ -0,0 +1,527 @@
+const { Client } = require('pg');
+const { from: copyFrom } = require('pg-copy-streams');
+const { finished } = require('stream/promises');
+
+// Output kept from a restore (the end, where errors are reported)
+const MAX_RESTORE_OUTPUT = 64 * 1024;
+
+// psql meta-commands pg_dump writes to plain dumps, on lines of their own;
+// they only guard psql itself and are skipped
+const ALLOWED_META_COMMAND = /^\\(?:restrict|unrestrict) [A-Za-z0-9]+\r?$/;
+const MAX_META_COMMAND_LENGTH = 256;
+
+const COPY_FROM_STDIN = /^COPY\s[^;]*\sFROM\s+stdin\b[^;]*;$/i;
+const CLIENT_ENCODING = /^SET\s+client_encoding\s*(?:=|TO)\s*'([^']*)'\s*;$/i;
+const STANDARD_STRINGS = /^SET\s+standard_conforming_strings\s*(?:=|TO)\s*'?(on|off|true|false)'?\s*;$/i;
+
+// Ownership and privileges refer to roles the sandbox lacks; skipped like
+// pg_restore --no-owner --no-privileges does for archives
+const OWNERSHIP_STATEMENT = /^(?:ALTER\s[^;]*\sOWNER\s+TO\s|GRANT\s|REVOKE\s|ALTER\s+DEFAULT\s+PRIVILEGES\s|SET\s+SESSION\s+AUTHORIZATION\s)/i;
+
+// Statement text kept for matching the statements above; longer ones can't be any of them
+const MAX_CODE_LENGTH = 4096;
+
+const IDENTIFIER_START = /[A-Za-z\x80-\xff_]/;
+const IDENTIFIER_CHAR = /[A-Za-z\x80-\xff_0-9$]/;
+const DOLLAR_QUOTE = /^\$(?:[A-Za-z\x80-\xff_][A-Za-z\x80-\xff_0-9]*)?\$/;
+const DOLLAR_QUOTE_START = /^\$(?:[A-Za-z\x80-\xff_][A-Za-z\x80-\xff_0-9]*)?$/;
+const MAX_DOLLAR_QUOTE_LENGTH = 128;
+
+// Words that make a statement a function or procedure definition, whose
+// BEGIN ... END body can hold semicolons (as psql tells them apart)
+const ROUTINE_WORDS = new Set(['create', 'function', 'procedure', 'or', 'replace']);
+
+// PostgreSQL client encodings dumps are written in, as TextDecoder labels
+const ENCODINGS = {
+  UTF8: 'utf-8',
+  UNICODE: 'utf-8',
+  SQL_ASCII: 'utf-8',
+  LATIN1: 'latin1',
+  LATIN2: 'iso-8859-2',
+  LATIN9: 'iso-8859-15',
+  WIN1250: 'windows-1250',
+  WIN1251: 'windows-1251',
+  WIN1252: 'windows-1252',
+  WIN1256: 'windows-1256',
+  KOI8R: 'koi8-r',
+  KOI8U: 'koi8-u',
+  ISO_8859_5: 'iso-8859-5',
+  SJIS: 'shift_jis',
+  EUC_JP: 'euc-jp',
+  EUC_KR: 'euc-kr',
+  UHC: 'euc-kr',
+  GBK: 'gbk',
+  GB18030: 'gb18030',
+  BIG5: 'big5'
+};
+
+const unsafeDump = (message) => Object.assign(new Error(message), { code: 'UNSAFE_DUMP' });
+
+// Position of the first of some characters in text from a position on, or its length
+const nextOf = (text, characters, from) => {
+  let next = text.length;
+  for (const character of characters) {
+    const index = text.indexOf(character, from);
+    if (index !== -1 && index < next) next = index;
+  }
+  return next;
+};
+
+/**
+ * Split a plain dump into the statements psql would send, tracking quotes,
+ * dollar quotes, comments and parentheses. Text is fed in as latin1 strings
+ * (one character per byte) with push() and end(), which return events:
+ *   { type: 'statement', text }  a complete statement
+ *   { type: 'copy', text }       a COPY ... FROM stdin statement; its data follows
+ *   { type: 'copy-data', text }  data lines, up to the \. line ending them
+ *   { type: 'copy-end' }
+ * A backslash outside quotes, comments and COPY data is a psql meta-command;
+ * all but \restrict and \unrestrict lines are refused with code UNSAFE_DUMP.
+ */
+const createSqlSplitter = () => {
+  let buffer = '';
+  let events = [];
+
+  let statement = '';
+  let code = '';
+  let hasContent = false;
+  let identifiers = [];
+  let identifierCount = 0;
+
+  let state = null;
+  let escapes = false;
+  let dollarTag = '';
+  let commentDepth = 0;
+  let parenDepth = 0;
+  let beginDepth = 0;
+  let standardStrings = true;
+  let previous = '\n';
+
+  let copyStatement = null;
+  let inCopy = false;
+  let copyLineStart = true;
+
+  const take = (text, isCode = true) => {
+    if (!text) return;
+    statement += text;
+    if (isCode && code.length <= MAX_CODE_LENGTH) code += text;
+    previous = text[text.length - 1];
+  };
+
+  const copyData = (text) => {
+    const last = events[events.length - 1];
+    if (last && last.type === 'copy-data') {
+      last.text += text;
+    } else {
+      events.push({ type: 'copy-data', text });
+    }
+  };
+
+  // As psql does: in a CREATE [OR REPLACE] FUNCTION/PROCEDURE statement,
+  // BEGIN (and CASE within it) opens a block END closes
+  const trackIdentifier = (word) => {
+    const lower = word.toLowerCase();
+    if (identifierCount < 4 && ROUTINE_WORDS.has(lower)) identifiers[identifierCount] = lower[0];
+    identifierCount++;
+
+    const routine = identifiers[0] === 'c' &&
+      (identifiers[1] === 'f' || identifiers[1] === 'p' ||
+        (identifiers[1] === 'o' && identifiers[2] === 'r' && (identifiers[3] === 'f' || identifiers[3] === 'p')));
+    if (!routine || parenDepth !== 0) return;
+
+    if (lower === 'begin' || (lower === 'case' && beginDepth >= 1)) {
+      beginDepth++;
+    } else if (lower === 'end' && beginDepth > 0) {
+      beginDepth--;
+    }
+  };
+
+  const finishStatement = () => {
+    const text = code.length > MAX_CODE_LENGTH ? '' : code.trim();
+
+    if (hasContent) {
+      if (COPY_FROM_STDIN.test(text)) {
+        copyStatement = statement;
+      } else {
+        events.push({ type: 'statement', text: statement, code: text });
+      }
+      const strings = text.match(STANDARD_STRINGS);
+      if (strings) standardStrings = /^(on|true)$/i.test(strings[1]);
+    }
+
+    statement = '';
+    code = '';
+    hasContent = false;
+    identifiers = [];
+    identifierCount = 0;
+  };
+
+  // Consume buffered text; stops where a token can't be told apart without
+  // more input unless this is the end of the dump
+  const scan = (atEnd) => {
+    let i = 0;
+    const need = (count) => !atEnd && i + count > buffer.length;
+
+    scanning:
+    while (i < buffer.length) {
+      if (inCopy) {
+        const newline = buffer.indexOf('\n', i);
+        if (copyLineStart) {
+          const line = newline === -1 ? buffer.slice(i) : buffer.slice(i, newline);
+          if (newline === -1 && !atEnd && '\\.\r'.startsWith(line)) break;
+          if (line === '\\.' || line === '\\.\r') {
+            events.push({ type: 'copy-end' });
+            inCopy = false;
+            previous = '\n';
+            i = newline === -1 ? buffer.length : newline + 1;
+            continue;
+          }
+        }
+        const end = newline === -1 ? buffer.length : newline + 1;
+        copyData(buffer.slice(i, end));
+        copyLineStart = newline !== -1;
+        i = end;
+        continue;
+      }
+
+      const c = buffer[i];
+
+      if (copyStatement !== null) {
+        if (c === '\n') {
+          events.push({ type: 'copy', text: copyStatement });
+          copyStatement = null;
+          inCopy = true;
+          copyLineStart = true;
+        } else if (!/\s/.test(c)) {
+          throw unsafeDump('Dump has text after a COPY statement on the same line');
+        }
+        i++;
+        continue;
+      }
+
+      switch (state) {
+        case 'line-comment': {
+          const end = nextOf(buffer, ['\n', '\r'], i);
+          take(buffer.slice(i, end), false);
+          if (end < buffer.length) state = null;
+          i = end;
+          continue;
+        }
+
+        case 'block-comment': {
+          if ((c === '*' || c === '/') && need(2)) break scanning;
+          if (c === '*' && buffer[i + 1] === '/') {
+            take('*/', false);
+            i += 2;
+            if (commentDepth-- === 0) state = null;
+          } else if (c === '/' && buffer[i + 1] === '*') {
+            take('/*', false);
+            i += 2;
+            commentDepth++;
+          } else {
+            const end = nextOf(buffer, ['*', '/'], i + 1);
+            take(buffer.slice(i, end), false);
+            i = end;
+          }
+          continue;
+        }
+
+        case 'quote': {
+          if (c === "'") {
+            if (need(2)) break scanning;
+            if (buffer[i + 1] === "'") {
+              take("''");
+              i += 2;
+            } else {
+              take("'");
+              i++;
+              state = null;
+            }
+          } else if (c === '\\' && escapes) {
+            if (need(2)) break scanning;
+            take(buffer.slice(i, i + 2));
+            i += 2;
+          } else {
+            const end = nextOf(buffer, escapes ? ["'", '\\'] : ["'"], i);
+            take(buffer.slice(i, end));
+            i = end;
+          }
+          continue;
+        }
+
+        case 'quoted-identifier': {
+          if (c === '"') {
+            if (need(2)) break scanning;
+            if (buffer[i + 1] === '"') {
+              take('""');
+              i += 2;
+            } else {
+              take('"');
+              i++;
+              state = null;
+            }
+          } else {
+            const end = nextOf(buffer, ['"'], i);
+            take(buffer.slice(i, end));
+            i = end;
+          }
+          continue;
+        }
+
+        case 'dollar': {
+          const closing = `$${dollarTag}$`;
+          if (c === '$') {
+            if (need(closing.length)) break scanning;
+            if (buffer.startsWith(closing, i)) {
+              take(closing);
+              i += closing.length;
+              state = null;
+            } else {
+              take(c);
+              i++;
+            }
+          } else {
+            const end = nextOf(buffer, ['$'], i);
+            take(buffer.slice(i, end));
+            i = end;
+          }
+          continue;
+        }
+
+        default:
+          break;
+      }
+
+      if (c === '\\') {
+        if (previous !== '\n') {
+          const lineStart = buffer.lastIndexOf('\n', i) + 1;
+          throw unsafeDump(`Dump contains a psql meta-command that is not allowed: ${buffer.slice(Math.max(lineStart, i - 20), i + 20)}`);
+        }
+        const newline = buffer.indexOf('\n', i);
+        if (newline === -1 && !atEnd && buffer.length - i <= MAX_META_COMMAND_LENGTH) break;
+        const line = buffer.slice(i, newline === -1 ? buffer.length : newline);
+        if (!ALLOWED_META_COMMAND.test(line)) {
+          throw unsafeDump(`Dump contains a psql meta-command that is not allowed: ${line.slice(0, 40)}`);
+        }
+        i = newline === -1 ? buffer.length : newline + 1;
+        previous = '\n';
+        continue;
+      }
+
+      if ((c === '-' || c === '/') && need(2)) break;
+      if (c === '-' && buffer[i + 1] === '-') {
+        take('--', false);
+        code += ' ';
+        state = 'line-comment';
+        i += 2;
+        continue;
+      }
+      if (c === '/' && buffer[i + 1] === '*') {
+        take('/*', false);
+        code += ' ';
+        state = 'block-comment';
+        commentDepth = 0;
+        i += 2;
+        continue;
+      }
+
+      if (c === '$' && !IDENTIFIER_CHAR.test(previous)) {
+        const candidate = buffer.slice(i, i + MAX_DOLLAR_QUOTE_LENGTH);
+        const match = candidate.match(DOLLAR_QUOTE);
+        if (!match && !atEnd && i + candidate.length === buffer.length && DOLLAR_QUOTE_START.test(candidate)) break;
+        if (match) {
+          take(match[0]);
+          hasContent = true;
+          dollarTag = match[0].slice(1, -1);
+          state = 'dollar';
+          i += match[0].length;
+          continue;
+        }
+      }
+
+      if (IDENTIFIER_START.test(c) && !IDENTIFIER_CHAR.test(previous)) {
+        let end = i + 1;
+        while (end < buffer.length && IDENTIFIER_CHAR.test(buffer[end])) end++;
+        if (end === buffer.length && !atEnd) break;
+        const word = buffer.slice(i, end);
+        hasContent = true;
+        i = end;
+
+        // E'...' strings take backslash escapes whatever standard_conforming_strings says
+        if ((word === 'E' || word === 'e') && buffer[end] === "'") {
+          take(`${word}'`);
+          state = 'quote';
+          escapes = true;
+          i++;
+          continue;
+        }
+        take(word);
+        trackIdentifier(word);
+        continue;
+      }
+
+      i++;
+      if (/\s/.test(c)) {
+        take(c);
+        continue;
+      }
+      hasContent = true;
+
+      if (c === "'") {
+        take(c);
+        state = 'quote';
+        escapes = !standardStrings;
+      } else if (c === '"') {
+        take(c);
+        state = 'quoted-identifier';
+      } else if (c === '(') {
+        take(c);
+        parenDepth++;
+      } else if (c === ')') {
+        take(c);
+        if (parenDepth > 0) parenDepth--;
+      } else if (c === ';') {
+        take(c);
+        if (parenDepth === 0 && beginDepth === 0) finishStatement();
+      } else {
+        take(c);
+      }
+    }
+
+    buffer = buffer.slice(i);
+  };
+
+  const drain = () => {
+    const drained = events;
+    events = [];
+    return drained;
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      scan(false);
+      return drain();
+    },
+
+    // psql runs what is left at the end of a dump, and ends COPY data there
+    end() {
+      scan(true);
+      if (hasContent) {
+        events.push({ type: 'statement', text: statement, code: code.trim() });
+      }
+      if (copyStatement !== null) {
+        events.push({ type: 'copy', text: copyStatement });
+        inCopy = true;
+      }
+      if (inCopy) {
+        events.push({ type: 'copy-end' });
+      }
+      return drain();
+    }
+  };
+};
+
+/**
+ * Decoder from a dump's client encoding to text; decode(buffer, stream)
+ * keeps an incomplete character for the next call when stream is set
+ */
+const createDecoder = (encoding) => {
+  const label = ENCODINGS[encoding.toUpperCase().replace(/-/g, '_')];
+  if (!label) {
+    throw Object.assign(new Error(`Dumps in ${encoding} encoding can't be restored`), { code: 'RESTORE_UNSUPPORTED' });
+  }
+  if (label === 'latin1') {
+    return { decode: (buffer) => buffer.toString('latin1') };
+  }
+  const decoder = new TextDecoder(label, { fatal: true });
+  return { decode: (buffer, stream = false) => decoder.decode(buffer, { stream }) };
+};
+
+// Write to a COPY stream, waiting while its buffer is full
+const writeCopyData = async (stream, text) => {
+  if (stream.write(text)) return;
+  await new Promise((resolve, reject) => {
+    const done = (error) => {
+      stream.off('drain', done);
+      stream.off('error', done);
+      if (error) reject(error); else resolve();
+    };
+    stream.on('drain', done);
+    stream.on('error', done);
+  });
+};
+
+/**
+ * Restore a plain dump by running its statements over a database connection,
+ * with COPY data streamed through COPY FROM STDIN. The dump never reaches
+ * psql, so it can't run meta-commands even where the splitter misreads it.
+ * Text is converted from the dump's client_encoding to the connection's
+ * UTF8. Resolves with the notices the server raised; rejects with code
+ * RESTORE_FAILED and the failing statement in stderr when a statement fails.
+ */
+const restorePlainDump = async (source, { database, host, port, user, password }) => {
+  const client = new Client({ host, port, user, password, database, application_name: 'facility-restore' });
+  let warnings = '';
+  client.on('notice', (notice) => {
+    warnings = (warnings + `${notice.severity}:  ${notice.message}\n`).slice(-MAX_RESTORE_OUTPUT);
+  });
+
+  const splitter = createSqlSplitter();
+  let encoding = 'UTF8';
+  let decoder = createDecoder(encoding);
+  let copy = null;
+  let copyDecoder = null;
+  let current = '';
+
+  const run = async (events) => {
+    for (const event of events) {
+      if (event.type === 'statement') {
+        const clientEncoding = event.code.match(CLIENT_ENCODING);
+        if (clientEncoding) {
+          encoding = clientEncoding[1];
+          decoder = createDecoder(encoding);
+        } else if (!OWNERSHIP_STATEMENT.test(event.code)) {
+          current = decoder.decode(Buffer.from(event.text, 'latin1'));
+          await client.query(current);
+        }
+      } else if (event.type === 'copy') {
+        current = decoder.decode(Buffer.from(event.text, 'latin1'));
+        copy = client.query(copyFrom(current));
+        // Failures surface from finished() below
+        copy.on('error', () => {});
+        copyDecoder = createDecoder(encoding);
+      } else if (event.type === 'copy-data') {
+        await writeCopyData(copy, copyDecoder.decode(Buffer.from(event.text, 'latin1'), true));
+      } else {
+        copy.end(copyDecoder.decode(Buffer.alloc(0)));
+        await finished(copy);
+        copy = null;
+      }
+    }
+  };
+
+  try {
+    await client.connect();
+    for await (const chunk of source) {
+      await run(splitter.push(chunk.toString('latin1')));
+    }
+    await run(splitter.end());
+  } catch (error) {
+    if (!error.severity) throw error;
+    throw Object.assign(new Error(`Statement failed: ${error.message}`), {
+      code: 'RESTORE_FAILED',
+      stderr: `${warnings}ERROR:  ${error.message}\nSTATEMENT:  ${current.slice(0, 1000)}\n`
+    });
+  } finally {
+    source.destroy();
+    await client.end().catch(() => {});
+  }
+
+  return { warnings };
+};
+
+module.exports = {
+  createSqlSplitter,
+  restorePlainDump
+};
@@ -0,0 +1,185 @@
+const pool = require('../db');
+
+// Spellings of the same type, mapped to the names pg_dump writes
+const TYPE_ALIASES = {
+  int: 'integer',
+  int4: 'integer',
+  int2: 'smallint',
+  int8: 'bigint',
+  serial: 'integer',
+  bigserial: 'bigint',
+  bool: 'boolean',
+  float4: 'real',
+  float8: 'double precision',
+  decimal: 'numeric',
+  varchar: 'character varying',
+  char: 'character',
+  timestamp: 'timestamp without time zone',
+  timestamptz: 'timestamp with time zone',
+  time: 'time without time zone',
+  timetz: 'time with time zone'
+};
+
+/**
+ * Map a reference_schemas row to the shape returned by the API
+ */
+const toReferenceSchema = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    name: row.name,
+    source: row.source,
+    sourceFacilityId: row.source_facility_id,
+    tables: row.tables,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+};
+
+const invalidManifest = (message) => Object.assign(new Error(message), { code: 'INVALID_MANIFEST' });
+
+/**
+ * Normalise a column type so spellings of the same type compare equal:
+ * lowercase, single spaces, aliases (int4, varchar(80), timestamptz)
+ * spelled out. Array types keep their [] suffix.
+ */
+const normalizeType = (type) => {
+  const normalized = type.trim().toLowerCase().replace(/\s+/g, ' ').replace(/\s*([(),])\s*/g, '$1');
+  const [, base, modifier = '', array = ''] = normalized.match(/^(.*?)(\(.*\))?((?:\[\])*)$/);
+  return `${TYPE_ALIASES[base] || base}${modifier}${array}`;
+};
+
+const qualifyTable = (table) => (table.includes('.') ? table : `public.${table}`);
+
+/**
+ * Reference tables from a dump's metadata: { 'public.patients': { id: 'integer' } }.
+ * Metadata collected before columns were recorded has none, so those
+ * dumps need to be validated again first.
+ */
+const tablesFromMetadata = (metadata) => {
+  if (!metadata || !metadata.isValid || !metadata.columns) {
+    throw Object.assign(
+      new Error('The dump has no column metadata yet; validate it again and retry'),
+      { code: 'NO_COLUMN_METADATA' }
+    );
+  }
+
+  const tables = {};
+  for (const table of metadata.tables) {
+    tables[table] = {};
+    for (const column of metadata.columns[table] || []) {
+      tables[table][column.name] = normalizeType(column.type);
+    }
+  }
+  return tables;
+};
+
+/**
+ * Reference tables from a JSON manifest:
+ *   { "tables": { "public.patients": { "id": "integer", "name": "text" } } }
+ * Unqualified table names are in public.
+ */
+const tablesFromManifest = (manifest) => {
+  if (!manifest || typeof manifest.tables !== 'object' || Array.isArray(manifest.tables)) {
+    throw invalidManifest('Manifest must have a "tables" object');
+  }
+
+  const tables = {};
+  for (const [table, columns] of Object.entries(manifest.tables)) {
+    if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+      throw invalidManifest(`Columns of ${table} must be an object of column names and types`);
+    }
+    tables[qualifyTable(table)] = {};
+    for (const [column, type] of Object.entries(columns)) {
+      if (typeof type !== 'string' || !type.trim()) {
+        throw invalidManifest(`Type of ${table}.${column} must be a non-empty string`);
+      }
+      tables[qualifyTable(table)][column] = normalizeType(type);
+    }
+  }
+  if (Object.keys(tables).length === 0) {
+    throw invalidManifest('Manifest lists no tables');
+  }
+  return tables;
+};
+
+/**
+ * Register the reference schema uploads are checked against, from a facility's
+ * dump (the "golden" dump) or from a manifest. The newest registration is the
+ * one in use; returns null when the facility does not exist.
+ */
+const registerReferenceSchema = async ({ name, facilityId = null, manifest = null, createdBy = null }) => {
+  let tables;
+  if (facilityId) {
+    const result = await pool.query('SELECT dump_metadata FROM facilities WHERE id = $1', [facilityId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+    tables = tablesFromMetadata(result.rows[0].dump_metadata);
+  } else {
+    tables = tablesFromManifest(manifest);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO reference_schemas (name, source, source_facility_id, tables, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [name, facilityId ? 'dump' : 'manifest', facilityId, JSON.stringify(tables), createdBy]
+  );
+  return toReferenceSchema(result.rows[0]);
+};
+
+/**
+ * The reference schema in use, or null when none is registered
+ */
+const getReferenceSchema = async () => {
+  const result = await pool.query('SELECT * FROM reference_schemas ORDER BY created_at DESC, id DESC LIMIT 1');
+  return toReferenceSchema(result.rows[0]);
+};
+
+/**
+ * Compare a dump's metadata with a reference schema. Reports the reference
+ * tables the dump lacks, tables only the dump has, and per table the
+ * missing and extra columns and columns whose type differs. conforms is
+ * whether every reference table and column is present with its type.
+ */
+const compareWithReference = (metadata, reference) => {
+  const actual = tablesFromMetadata(metadata);
+  const missingTables = Object.keys(reference.tables).filter(table => !actual[table]);
+  const extraTables = Object.keys(actual).filter(table => !reference.tables[table]);
+  const columnDifferences = [];
+
+  for (const [table, expectedColumns] of Object.entries(reference.tables)) {
+    const actualColumns = actual[table];
+    if (!actualColumns) continue;
+
+    const missingColumns = Object.keys(expectedColumns).filter(column => !(column in actualColumns));
+    const extraColumns = Object.keys(actualColumns).filter(column => !(column in expectedColumns));
+    const typeMismatches = Object.keys(expectedColumns)
+      .filter(column => column in actualColumns && actualColumns[column] !== expectedColumns[column])
+      .map(column => ({ column, expected: expectedColumns[column], actual: actualColumns[column] }));
+
+    if (missingColumns.length || extraColumns.length || typeMismatches.length) {
+      columnDifferences.push({ table, missingColumns, extraColumns, typeMismatches });
+    }
+  }
+
+  return {
+    referenceSchemaId: reference.id,
+    referenceName: reference.name,
+    conforms: missingTables.length === 0 &&
+      columnDifferences.every(diff => diff.missingColumns.length === 0 && diff.typeMismatches.length === 0),
+    missingTables,
+    extraTables,
+    columnDifferences
+  };
+};
+
+module.exports = {
+  normalizeType,
+  tablesFromMetadata,
+  registerReferenceSchema,
+  getReferenceSchema,
+  compareWithReference
+};
@@ -1,11 +1,25 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const uploadSessionStore = require('./uploadSessionStore');
+const { detectCompression, createDecompressedStream } = require('./compression');
+const { getStagingDir } = require('./storage');
 
+// No time estimate for uploads idle longer than this
+const STALLED_AFTER_SECONDS = 5 * 60;
+
+/**
+ * Every upload is written into one partial file in uploads/chunks, chunks at
+ * their byte offset and tus appends at the current offset. Session state
+ * (owner, facility, status, offsets, chunk hashes) lives in PostgreSQL
+ * through uploadSessionStore.
+ */
 class ResumableUploadManager {
-  constructor(uploadsDir = './uploads') {
+  constructor(uploadsDir = getStagingDir(), store = uploadSessionStore) {
     this.uploadsDir = uploadsDir;
     this.chunksDir = path.join(uploadsDir, 'chunks');
+    this.store = store;
     
     // Create directories if they don't exist
     if (!fs.existsSync(this.uploadsDir)) {
@@ -17,192 +31,486 @@ class ResumableUploadManager {
   }
 
   /**
-   * Generate unique upload ID based on file hash and metadata
+   * Generate an unguessable upload ID
+   */
+  generateUploadId() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Get byte range of a chunk within the upload
    */
-  generateUploadId(filename, fileSize, fileHash) {
-    const data = `${filename}-${fileSize}-${fileHash}`;
-    return crypto.createHash('md5').update(data).digest('hex');
+  getChunkRange(session, chunkNumber) {
+    const start = (chunkNumber - 1) * session.chunkSize;
+    return { start, size: Math.min(session.chunkSize, session.fileSize - start) };
   }
 
   /**
-   * Get chunk file path
+   * Get upload session, or null if it does not exist
    */
-  getChunkPath(uploadId, chunkNumber) {
-    return path.join(this.chunksDir, `${uploadId}-chunk-${chunkNumber}`);
+  getSession(uploadId) {
+    return this.store.getSession(uploadId);
   }
 
   /**
-   * Get upload metadata file path
+   * Find an in-progress session of the same user for the same file, so an
+   * interrupted upload can be resumed under its existing ID
    */
-  getMetadataPath(uploadId) {
-    return path.join(this.chunksDir, `${uploadId}-metadata.json`);
+  findResumableSession(userId, filename, fileSize, fileHash) {
+    return this.store.findResumableSession(userId, filename, fileSize, fileHash);
   }
 
   /**
    * Initialize upload session
+   * Re-initializing an existing session keeps the chunks already received.
    */
   initializeUpload(uploadId, metadata) {
-    const metadataPath = this.getMetadataPath(uploadId);
-    
-    const uploadMetadata = {
+    const chunkSize = metadata.chunkSize || 5242880; // 5MB default
+
+    // Keep an existing partial file so received chunks survive re-initialization
+    fs.closeSync(fs.openSync(this.getPartialPath(uploadId), 'a'));
+
+    return this.store.createSession({
       uploadId,
+      protocol: 'chunked',
+      userId: metadata.userId,
+      facilityName: metadata.facilityName,
+      facilityCode: metadata.facilityCode,
+      description: metadata.description,
       filename: metadata.filename,
       fileSize: metadata.fileSize,
       fileHash: metadata.fileHash,
-      chunkSize: metadata.chunkSize || 5242880, // 5MB default
-      totalChunks: Math.ceil(metadata.fileSize / (metadata.chunkSize || 5242880)),
-      uploadedChunks: [],
-      createdAt: new Date(),
-      updatedAt: new Date(),
-      status: 'in_progress'
-    };
-
-    fs.writeFileSync(metadataPath, JSON.stringify(uploadMetadata, null, 2));
-    return uploadMetadata;
+      contentEncoding: metadata.contentEncoding,
+      originalFileSize: metadata.originalFileSize,
+      originalFileHash: metadata.originalFileHash,
+      chunkSize,
+      totalChunks: Math.ceil(metadata.fileSize / chunkSize)
+    });
   }
 
   /**
    * Get upload progress
+   * Chunks that failed checksum verification are reported in failedChunks,
+   * separately from missingChunks, and are not counted as uploaded.
    */
-  getUploadProgress(uploadId) {
-    const metadataPath = this.getMetadataPath(uploadId);
+  async getUploadProgress(uploadId) {
+    const session = await this.store.getSession(uploadId);
     
-    if (!fs.existsSync(metadataPath)) {
+    if (!session) {
       return null;
     }
 
-    const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    if (session.protocol === 'tus') {
+      return {
+        ...session,
+        uploadedSize: session.offset,
+        progress: session.fileSize ? Math.round((session.offset / session.fileSize) * 100) : 0
+      };
+    }
+
+    const chunks = await this.store.getChunks(uploadId);
+    const received = new Set(chunks.filter(c => c.status === 'received').map(c => c.chunkNumber));
+    const failedChunks = chunks.filter(c => c.status === 'failed').map(c => c.chunkNumber);
     const uploadedChunks = [];
+    const missingChunks = [];
 
-    // Check which chunks exist
-    for (let i = 1; i <= metadata.totalChunks; i++) {
-      const chunkPath = this.getChunkPath(uploadId, i);
-      if (fs.existsSync(chunkPath)) {
+    for (let i = 1; i <= session.totalChunks; i++) {
+      if (received.has(i)) {
         uploadedChunks.push(i);
+      } else if (!failedChunks.includes(i)) {
+        missingChunks.push(i);
       }
     }
 
-    metadata.uploadedChunks = uploadedChunks;
-    metadata.uploadedSize = uploadedChunks.length * metadata.chunkSize;
-    metadata.progress = Math.round((uploadedChunks.length / metadata.totalChunks) * 100);
-    metadata.updatedAt = new Date();
+    return {
+      ...session,
+      uploadedChunks,
+      missingChunks,
+      failedChunks,
+      uploadedSize: session.offset,
+      progress: Math.round((uploadedChunks.length / session.totalChunks) * 100)
+    };
+  }
+
+  /**
+   * Estimate transfer rate and time left from the average rate since the
+   * session started. Both are null until data arrives or once the upload stalls.
+   */
+  estimateTimeLeft(progress, now = Date.now()) {
+    const lastActivity = new Date(progress.updatedAt).getTime();
+    const elapsedSeconds = (lastActivity - new Date(progress.createdAt).getTime()) / 1000;
+    const idleSeconds = Math.max(0, Math.round((now - lastActivity) / 1000));
 
-    // Update metadata
-    fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+    if (progress.uploadedSize === 0 || elapsedSeconds <= 0 || idleSeconds > STALLED_AFTER_SECONDS) {
+      return { idleSeconds, bytesPerSecond: null, etaSeconds: null };
+    }
 
-    return metadata;
+    const bytesPerSecond = progress.uploadedSize / elapsedSeconds;
+    return {
+      idleSeconds,
+      bytesPerSecond: Math.round(bytesPerSecond),
+      etaSeconds: Math.ceil((progress.fileSize - progress.uploadedSize) / bytesPerSecond)
+    };
   }
 
   /**
-   * Save uploaded chunk
+   * List in-progress uploads of all users with progress and time estimates
    */
-  saveChunk(uploadId, chunkNumber, chunkData) {
-    const chunkPath = this.getChunkPath(uploadId, chunkNumber);
-    fs.writeFileSync(chunkPath, chunkData);
-    return { chunkNumber, saved: true };
+  async listActiveUploads() {
+    const sessions = await this.store.listActiveSessions();
+
+    const uploads = await Promise.all(sessions.map(async (session) => {
+      const progress = await this.getUploadProgress(session.uploadId);
+      return progress && {
+        ...progress,
+        username: session.username,
+        ...this.estimateTimeLeft(progress)
+      };
+    }));
+
+    // Sessions finished between the two queries drop out
+    return uploads.filter(Boolean);
   }
 
   /**
-   * Assemble chunks into final file
+   * Stream an uploaded chunk into the partial file at its byte offset.
+   * When offset is given it must be the chunk's offset (CHUNK_OFFSET_MISMATCH),
+   * the stream must carry exactly the chunk's size (CHUNK_SIZE_MISMATCH), and
+   * when chunkHash is given the data must match it (CHUNK_CHECKSUM_MISMATCH).
+   * A chunk whose write fails is recorded as failed so it gets re-sent.
    */
-  assembleChunks(uploadId, outputPath) {
-    const metadataPath = this.getMetadataPath(uploadId);
-    
-    if (!fs.existsSync(metadataPath)) {
-      throw new Error('Upload metadata not found');
+  async saveChunk(uploadId, chunkNumber, readable, chunkHash = null, offset = null) {
+    const session = await this.store.getSession(uploadId);
+
+    if (!session || session.protocol !== 'chunked' || session.status !== 'in_progress') {
+      throw new Error('Upload session not found');
     }
 
-    const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
-    const writeStream = fs.createWriteStream(outputPath);
+    if (!Number.isInteger(chunkNumber) || chunkNumber < 1 || chunkNumber > session.totalChunks) {
+      throw new Error(`Invalid chunk number ${chunkNumber}`);
+    }
 
-    return new Promise((resolve, reject) => {
-      let chunkIndex = 1;
+    const { start, size } = this.getChunkRange(session, chunkNumber);
+    if (offset !== null && offset !== start) {
+      throw Object.assign(
+        new Error(`Chunk ${chunkNumber} starts at offset ${start}, got ${offset}`),
+        { code: 'CHUNK_OFFSET_MISMATCH', chunkNumber, expectedOffset: start }
+      );
+    }
+
+    const hash = crypto.createHash('sha256');
+    let received = 0;
 
-      const writeNextChunk = () => {
-        if (chunkIndex > metadata.totalChunks) {
-          writeStream.end();
+    const counter = new Transform({
+      transform: (data, encoding, callback) => {
+        received += data.length;
+        if (received > size) {
+          callback(Object.assign(
+            new Error(`Chunk ${chunkNumber} exceeds its size of ${size} bytes`),
+            { code: 'CHUNK_SIZE_MISMATCH', chunkNumber }
+          ));
           return;
         }
+        hash.update(data);
+        callback(null, data);
+      }
+    });
 
-        const chunkPath = this.getChunkPath(uploadId, chunkIndex);
-        
-        if (!fs.existsSync(chunkPath)) {
-          reject(new Error(`Chunk ${chunkIndex} not found`));
-          return;
+    let error = await new Promise((resolve) => {
+      const writeStream = fs.createWriteStream(this.getPartialPath(uploadId), { flags: 'r+', start });
+      pipeline(readable, counter, writeStream, resolve);
+    });
+
+    if (!error && received !== size) {
+      error = Object.assign(
+        new Error(`Chunk ${chunkNumber} must be ${size} bytes, got ${received}`),
+        { code: 'CHUNK_SIZE_MISMATCH', chunkNumber }
+      );
+    }
+
+    const actualHash = hash.digest('hex');
+    if (!error && chunkHash && String(chunkHash).toLowerCase() !== actualHash) {
+      error = Object.assign(
+        new Error(`Chunk ${chunkNumber} failed checksum verification`),
+        {
+          code: 'CHUNK_CHECKSUM_MISMATCH',
+          chunkNumber,
+          expectedHash: String(chunkHash).toLowerCase(),
+          actualHash
         }
+      );
+    }
 
-        const readStream = fs.createReadStream(chunkPath);
-        readStream.on('end', () => {
-          chunkIndex++;
-          writeNextChunk();
-        });
-        readStream.on('error', reject);
-        readStream.pipe(writeStream, { end: false });
-      };
+    const chunkRow = { chunkNumber, byteOffset: start, byteSize: size };
 
-      writeStream.on('finish', () => {
-        // Clean up chunks after successful assembly
-        this.cleanupChunks(uploadId);
-        resolve(outputPath);
+    if (error) {
+      await this.store.recordChunk(uploadId, { ...chunkRow, chunkHash: null, status: 'failed' });
+      throw error;
+    }
+
+    await this.store.recordChunk(uploadId, { ...chunkRow, chunkHash: actualHash, status: 'received' });
+
+    return { chunkNumber, saved: true, chunkHash: actualHash };
+  }
+
+  /**
+   * Re-hash received chunks in the partial file against the hashes recorded
+   * when they were saved. Corrupted chunks are marked as failed so they can be re-sent.
+   */
+  async verifyChunks(uploadId) {
+    const partialPath = this.getPartialPath(uploadId);
+    const chunks = await this.store.getChunks(uploadId);
+    const corrupted = [];
+
+    for (const chunk of chunks) {
+      if (chunk.status !== 'received' || !chunk.chunkHash) {
+        continue;
+      }
+
+      const actualHash = await this.calculateFileHash(partialPath, {
+        start: chunk.byteOffset,
+        end: chunk.byteOffset + chunk.byteSize - 1
       });
-      writeStream.on('error', reject);
+      if (actualHash !== chunk.chunkHash) {
+        await this.store.recordChunk(uploadId, { ...chunk, chunkHash: null, status: 'failed' });
+        corrupted.push(chunk.chunkNumber);
+      }
+    }
 
-      writeNextChunk();
+    return corrupted;
+  }
+
+  /**
+   * Calculate SHA-256 of a file on disk, or of a byte range ({ start, end })
+   */
+  calculateFileHash(filePath, range = {}) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath, range)
+        .on('data', (data) => hash.update(data))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
     });
   }
 
   /**
-   * Clean up chunks after assembly
+   * Check an uploaded file hash against the hash recorded at init
    */
-  cleanupChunks(uploadId) {
-    const metadataPath = this.getMetadataPath(uploadId);
-    
-    if (!fs.existsSync(metadataPath)) {
-      return;
+  verifyFileHash(session, actualHash) {
+    if (!session.fileHash) {
+      return { valid: true, expectedHash: null, actualHash };
     }
 
-    const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    const expectedHash = String(session.fileHash).toLowerCase();
+    return {
+      valid: expectedHash === actualHash,
+      expectedHash,
+      actualHash
+    };
+  }
 
-    // Delete chunk files
-    for (let i = 1; i <= metadata.totalChunks; i++) {
-      const chunkPath = this.getChunkPath(uploadId, i);
-      if (fs.existsSync(chunkPath)) {
-        fs.unlinkSync(chunkPath);
+  /**
+   * Check a payload the client compressed before upload: it must really be
+   * compressed, and decompress to the size and hash of the original file
+   */
+  async verifyDecompressedContent(filePath, session) {
+    const compression = await detectCompression(filePath);
+    if (compression !== session.contentEncoding) {
+      return { valid: false, reason: `Payload is not ${session.contentEncoding}-compressed` };
+    }
+
+    const hash = crypto.createHash('sha256');
+    let actualSize = 0;
+    try {
+      const stream = await createDecompressedStream(filePath);
+      for await (const data of stream) {
+        hash.update(data);
+        actualSize += data.length;
       }
+    } catch (error) {
+      return { valid: false, reason: `Payload could not be decompressed: ${error.message}` };
     }
 
-    // Delete metadata
-    if (fs.existsSync(metadataPath)) {
-      fs.unlinkSync(metadataPath);
+    const actualHash = hash.digest('hex');
+    const expectedHash = session.originalFileHash ? String(session.originalFileHash).toLowerCase() : null;
+    const expectedSize = session.originalFileSize;
+    const valid = (!expectedHash || expectedHash === actualHash) &&
+      (expectedSize === null || expectedSize === undefined || expectedSize === actualSize);
+
+    return {
+      valid,
+      reason: valid ? null : 'Decompressed content does not match the original file',
+      expectedHash,
+      actualHash,
+      expectedSize,
+      actualSize
+    };
+  }
+
+  /**
+   * Get partial file path
+   */
+  getPartialPath(uploadId) {
+    return path.join(this.chunksDir, `${uploadId}-partial`);
+  }
+
+  /**
+   * Initialize an offset-based upload session (tus protocol).
+   */
+  async initializeTusUpload(uploadId, metadata) {
+    fs.writeFileSync(this.getPartialPath(uploadId), '');
+
+    return this.store.createSession({
+      uploadId,
+      protocol: 'tus',
+      userId: metadata.userId,
+      facilityName: metadata.facilityName,
+      facilityCode: metadata.facilityCode,
+      description: metadata.description,
+      filename: metadata.filename,
+      fileSize: metadata.fileSize,
+      fileHash: metadata.fileHash,
+      rawUploadMetadata: metadata.rawUploadMetadata
+    });
+  }
+
+  /**
+   * Append a stream to an offset-based upload.
+   * The offset must match the bytes already stored (error code OFFSET_MISMATCH).
+   * When checksum ({ algorithm, digest }) is given and does not match, the
+   * appended bytes are discarded and an error with code CHECKSUM_MISMATCH is thrown.
+   * If the stream breaks off, the bytes received so far are kept.
+   */
+  async appendToUpload(uploadId, offset, readable, checksum = null) {
+    const session = await this.store.getSession(uploadId);
+
+    if (!session || session.protocol !== 'tus' || session.status !== 'in_progress') {
+      throw Object.assign(new Error('Upload session not found'), { code: 'UPLOAD_NOT_FOUND' });
+    }
+
+    if (offset !== session.offset) {
+      throw Object.assign(
+        new Error(`Offset mismatch: expected ${session.offset}, got ${offset}`),
+        { code: 'OFFSET_MISMATCH', expectedOffset: session.offset }
+      );
+    }
+
+    const partialPath = this.getPartialPath(uploadId);
+    const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+    let received = 0;
+
+    const counter = new Transform({
+      transform: (data, encoding, callback) => {
+        received += data.length;
+        if (offset + received > session.fileSize) {
+          callback(Object.assign(new Error('Upload exceeds declared length'), { code: 'LENGTH_EXCEEDED' }));
+          return;
+        }
+        if (hash) hash.update(data);
+        callback(null, data);
+      }
+    });
+
+    let error = await new Promise((resolve) => {
+      const writeStream = fs.createWriteStream(partialPath, { flags: 'r+', start: offset });
+      pipeline(readable, counter, writeStream, resolve);
+    });
+
+    if (!error && hash && hash.digest('base64') !== checksum.digest) {
+      error = Object.assign(new Error('Checksum mismatch'), { code: 'CHECKSUM_MISMATCH' });
+    }
+
+    // A plain disconnect keeps what was written so the client can resume;
+    // data that cannot be verified or overruns the length is rolled back.
+    let newOffset = offset + received;
+    if (error) {
+      newOffset = offset;
+      if (!hash && error.code !== 'LENGTH_EXCEEDED' && error.code !== 'CHECKSUM_MISMATCH') {
+        newOffset = Math.min(fs.statSync(partialPath).size, session.fileSize);
+      }
+      fs.truncateSync(partialPath, newOffset);
+    }
+
+    const updated = await this.store.advanceOffset(uploadId, offset, newOffset);
+    if (!updated) {
+      throw Object.assign(new Error('Upload was modified concurrently'), { code: 'OFFSET_MISMATCH' });
     }
+
+    if (error) {
+      throw error;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Check the SHA-256 of a fully received upload against the hash recorded at
+   * init and, if it matches, move the partial file to outputPath.
+   * Resolves with verifyFileHash's result plus the output path.
+   */
+  async finalizeUpload(uploadId, outputPath) {
+    const session = await this.store.getSession(uploadId);
+
+    if (!session || session.offset !== session.fileSize) {
+      throw new Error('Upload is not complete');
+    }
+
+    const partialPath = this.getPartialPath(uploadId);
+    const integrity = this.verifyFileHash(session, await this.calculateFileHash(partialPath));
+
+    if (integrity.valid) {
+      fs.renameSync(partialPath, outputPath);
+    }
+
+    return { ...integrity, outputPath };
+  }
+
+  /**
+   * Delete the partial file of an upload (and any other files with its ID prefix)
+   */
+  cleanupChunks(uploadId) {
+    fs.readdirSync(this.chunksDir)
+      .filter(file => file.startsWith(`${uploadId}-`))
+      .forEach(file => fs.unlinkSync(path.join(this.chunksDir, file)));
+  }
+
+  /**
+   * Mark upload completed and delete its chunk files
+   */
+  async completeUpload(uploadId, facilityId) {
+    this.cleanupChunks(uploadId);
+    return this.store.setStatus(uploadId, 'completed', { facilityId });
+  }
+
+  /**
+   * Mark upload failed with a reason and delete its chunk files
+   */
+  async failUpload(uploadId, reason) {
+    this.cleanupChunks(uploadId);
+    return this.store.setStatus(uploadId, 'failed', { error: reason });
   }
 
   /**
    * Cancel upload and cleanup
    */
-  cancelUpload(uploadId) {
+  async cancelUpload(uploadId) {
     this.cleanupChunks(uploadId);
+    await this.store.setStatus(uploadId, 'cancelled');
     return { uploadId, cancelled: true };
   }
 
   /**
-   * Clean old uploads (older than 24 hours)
+   * Expire in-progress uploads without activity for maxAgeHours (default 24)
    */
-  cleanupOldUploads(maxAgeHours = 24) {
-    const now = Date.now();
-    const maxAge = maxAgeHours * 60 * 60 * 1000;
+  async cleanupOldUploads(maxAgeHours = 24) {
+    const staleSessions = await this.store.findStaleSessions(maxAgeHours);
 
-    fs.readdirSync(this.chunksDir).forEach(file => {
-      if (file.endsWith('-metadata.json')) {
-        const filepath = path.join(this.chunksDir, file);
-        const stats = fs.statSync(filepath);
-        
-        if (now - stats.mtime.getTime() > maxAge) {
-          const uploadId = file.replace('-metadata.json', '');
-          this.cleanupChunks(uploadId);
-        }
-      }
-    });
+    for (const session of staleSessions) {
+      this.cleanupChunks(session.uploadId);
+      await this.store.setStatus(session.uploadId, 'expired');
+    }
+
+    return staleSessions.map(session => session.uploadId);
   }
 }
 
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, pipeline } = require('stream');
+const encryption = require('../encryption');
+
+// Object metadata naming the key a stored file is encrypted with; files
+// without it are plaintext
+const KEY_ID_METADATA = 'encryption-key-id';
+
+/**
+ * Yield the inclusive byte range [start, end] of a stream, then stop reading it
+ */
+async function* sliceStream(stream, start = 0, end = Infinity) {
+  let position = 0;
+
+  for await (const chunk of stream) {
+    const chunkStart = position;
+    position += chunk.length;
+
+    const from = Math.max(0, start - chunkStart);
+    const to = Math.min(chunk.length, end + 1 - chunkStart);
+    if (to > from) yield chunk.subarray(from, to);
+
+    // Leaving the loop destroys the source, so a header probe doesn't decrypt the whole file
+    if (position > end) break;
+  }
+}
+
+/**
+ * Wraps a storage driver so files are encrypted at rest when an encryption
+ * key file is configured. Each encrypted file records its key id in the
+ * object's metadata; reads go by that record rather than the file's content,
+ * so files stored in plaintext before encryption was enabled read as-is
+ * whatever their first bytes are.
+ */
+class EncryptedStorage {
+  constructor(inner, getKeyring = encryption.getKeyring) {
+    this.inner = inner;
+    this.name = inner.name;
+    this.getKeyring = getKeyring;
+  }
+
+  /**
+   * Id of the key a stored file is encrypted with (null when it is plaintext)
+   */
+  async getKeyId(key) {
+    const metadata = await this.inner.getMetadata(key);
+    return metadata[KEY_ID_METADATA] || null;
+  }
+
+  /**
+   * Move a local file into storage, encrypting it under the current key.
+   * Returns the key id used (null when encryption is not configured).
+   */
+  async put(key, sourcePath) {
+    const keyring = this.getKeyring();
+    if (!keyring) {
+      await this.inner.put(key, sourcePath);
+      return { keyId: null };
+    }
+
+    const encryptedPath = `${sourcePath}.enc`;
+    try {
+      await new Promise((resolve, reject) => {
+        pipeline(
+          fs.createReadStream(sourcePath),
+          encryption.createEncryptStream(keyring),
+          fs.createWriteStream(encryptedPath),
+          (err) => (err ? reject(err) : resolve())
+        );
+      });
+      await this.inner.put(key, encryptedPath, { [KEY_ID_METADATA]: keyring.currentKeyId });
+    } catch (error) {
+      await fs.promises.rm(encryptedPath, { force: true });
+      throw error;
+    }
+
+    await fs.promises.unlink(sourcePath);
+    return { keyId: keyring.currentKeyId };
+  }
+
+  /**
+   * Re-encrypt a stored file under the current key (plaintext files are
+   * encrypted). The decrypted copy is written to workDir, a local directory.
+   */
+  async reencrypt(key, workDir) {
+    const tempPath = path.join(workDir, `reencrypt-${crypto.randomBytes(8).toString('hex')}`);
+
+    try {
+      const source = await this.createReadStream(key);
+      await new Promise((resolve, reject) => {
+        pipeline(source, fs.createWriteStream(tempPath), (err) => (err ? reject(err) : resolve()));
+      });
+      return await this.put(key, tempPath);
+    } finally {
+      await fs.promises.rm(tempPath, { force: true });
+    }
+  }
+
+  exists(key) {
+    return this.inner.exists(key);
+  }
+
+  /**
+   * Size of the stored file's plaintext
+   */
+  async stat(key) {
+    const keyId = await this.getKeyId(key);
+    const { size } = await this.inner.stat(key);
+    if (!keyId) return { size };
+
+    return { size: encryption.plaintextSize(size, encryption.headerLength(keyId)) };
+  }
+
+  /**
+   * Readable stream of the decrypted file, or of an inclusive byte range of it
+   */
+  async createReadStream(key, range = {}) {
+    const keyId = await this.getKeyId(key);
+    if (!keyId) return this.inner.createReadStream(key, range);
+
+    // Fail before streaming when the key is missing, like a missing file
+    const keyring = this.getKeyring();
+    if (!keyring) {
+      throw Object.assign(
+        new Error('File is encrypted but ENCRYPTION_KEY_FILE is not configured'),
+        { code: 'UNKNOWN_KEY' }
+      );
+    }
+    keyring.getKey(keyId);
+
+    const decrypted = pipeline(
+      await this.inner.createReadStream(key),
+      encryption.createDecryptStream(keyring),
+      () => {}
+    );
+
+    if (range.start === undefined && range.end === undefined) {
+      return decrypted;
+    }
+    return Readable.from(sliceStream(decrypted, range.start, range.end), { objectMode: false });
+  }
+
+  delete(key) {
+    return this.inner.delete(key);
+  }
+}
+
+module.exports = EncryptedStorage;
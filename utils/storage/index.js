@@ -0,0 +1,51 @@
+const path = require('path');
+const config = require('../../config/config');
+const LocalStorage = require('./localStorage');
+const EncryptedStorage = require('./encryptedStorage');
+
+let s3Storage = null;
+
+/**
+ * Storage driver for finished uploads, selected by STORAGE_DRIVER ('local' or 's3').
+ * Files are encrypted at rest when ENCRYPTION_KEY_FILE is set.
+ */
+const getStorage = () => {
+  if (config.storage.driver === 's3') {
+    if (!s3Storage) {
+      // Loaded lazily so local installs don't need the AWS SDK initialised
+      const S3Storage = require('./s3Storage');
+      s3Storage = new EncryptedStorage(new S3Storage(config.storage.s3));
+    }
+    return s3Storage;
+  }
+
+  return new EncryptedStorage(new LocalStorage(config.application.uploadFolder));
+};
+
+/**
+ * Driver holding a stored file. Facility records from before the storage
+ * abstraction hold absolute local paths, which stay on local disk.
+ */
+const storageFor = (key) => (
+  path.isAbsolute(key) ? new EncryptedStorage(new LocalStorage(path.dirname(key))) : getStorage()
+);
+
+/**
+ * Local directory where uploads are received and checked before they move
+ * into storage (multer files, resumable partial files)
+ */
+const getStagingDir = () => path.resolve(config.application.uploadFolder);
+
+/**
+ * Driver for reading staged files by absolute path
+ */
+const getStagingStorage = () => new LocalStorage(getStagingDir());
+
+module.exports = {
+  getStorage,
+  storageFor,
+  getStagingDir,
+  getStagingStorage,
+  LocalStorage,
+  EncryptedStorage
+};
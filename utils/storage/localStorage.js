@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local-disk storage driver. Keys are paths relative to rootDir; absolute
+ * paths (facility records from before the storage abstraction) are used as-is.
+ * Object metadata is kept in a <file>.meta.json sidecar.
+ */
+class LocalStorage {
+  constructor(rootDir = './uploads') {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  resolve(key) {
+    if (path.isAbsolute(key)) {
+      return key;
+    }
+
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw Object.assign(new Error(`Invalid storage key: ${key}`), { code: 'INVALID_KEY' });
+    }
+    return filePath;
+  }
+
+  metadataPath(key) {
+    return `${this.resolve(key)}.meta.json`;
+  }
+
+  /**
+   * Move a local file into storage under key, with metadata (string values)
+   */
+  async put(key, sourcePath, metadata = {}) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Written first: should the move fail, a read errors instead of
+    // returning the old file as if it had the old metadata
+    await this.setMetadata(key, metadata);
+
+    try {
+      await fs.promises.rename(sourcePath, filePath);
+    } catch (error) {
+      // Staging directory on another filesystem
+      if (error.code !== 'EXDEV') throw error;
+      await fs.promises.copyFile(sourcePath, filePath);
+      await fs.promises.unlink(sourcePath);
+    }
+  }
+
+  /**
+   * Metadata stored with the object ({} when it has none)
+   */
+  async getMetadata(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.metadataPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  async setMetadata(key, metadata) {
+    if (Object.keys(metadata).length === 0) {
+      await fs.promises.rm(this.metadataPath(key), { force: true });
+      return;
+    }
+    await fs.promises.writeFile(this.metadataPath(key), JSON.stringify(metadata));
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async stat(key) {
+    const stats = await fs.promises.stat(this.resolve(key));
+    return { size: stats.size };
+  }
+
+  /**
+   * Readable stream of the object, or of an inclusive byte range ({ start, end })
+   */
+  async createReadStream(key, range = {}) {
+    const filePath = this.resolve(key);
+    // Fail here rather than on the stream so callers can still send an error response
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath, range);
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    await fs.promises.rm(this.metadataPath(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO). Keys are object keys under
+ * an optional prefix.
+ */
+class S3Storage {
+  constructor({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix = '' }) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      // Fall back to the SDK's default credential chain (IAM role, AWS_* variables)
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  objectKey(key) {
+    return this.prefix + key;
+  }
+
+  isNotFound(error) {
+    return error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+      (error.$metadata && error.$metadata.httpStatusCode === 404);
+  }
+
+  /**
+   * Upload a local file under key with metadata (stored as S3 user metadata,
+   * so names are lowercase), then delete the local copy
+   */
+  async put(key, sourcePath, metadata = {}) {
+    const { size } = await fs.promises.stat(sourcePath);
+    const body = fs.createReadStream(sourcePath);
+
+    try {
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: body,
+        ContentLength: size,
+        Metadata: metadata
+      }));
+    } finally {
+      body.destroy();
+    }
+    await fs.promises.unlink(sourcePath);
+  }
+
+  async exists(key) {
+    try {
+      await this.stat(key);
+      return true;
+    } catch (error) {
+      if (this.isNotFound(error)) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Metadata stored with the object ({} when it has none)
+   */
+  async getMetadata(key) {
+    const result = await this.client.send(new HeadObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+    return result.Metadata || {};
+  }
+
+  async stat(key) {
+    const result = await this.client.send(new HeadObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+    return { size: Number(result.ContentLength) };
+  }
+
+  /**
+   * Readable stream of the object, or of an inclusive byte range ({ start, end })
+   */
+  async createReadStream(key, range = {}) {
+    const hasRange = range.start !== undefined || range.end !== undefined;
+    const result = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Range: hasRange ? `bytes=${range.start || 0}-${range.end !== undefined ? range.end : ''}` : undefined
+    }));
+    return result.Body;
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+  }
+}
+
+module.exports = S3Storage;
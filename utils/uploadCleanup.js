@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const config = require('../config/config');
+const ResumableUploadManager = require('./resumableUpload');
+const uploadSessionStore = require('./uploadSessionStore');
+const { deleteExpiredReports } = require('./uploadReport');
+const { logger } = require('../middleware/logger');
+
+// Summary of the most recent cleanup run, served to admins
+let lastRun = null;
+let running = false;
+
+/**
+ * Delete a file if it is older than cutoff; returns its size or null if kept
+ */
+const removeIfOlderThan = (filePath, cutoff) => {
+  const stats = fs.statSync(filePath);
+  if (!stats.isFile() || stats.mtimeMs >= cutoff) {
+    return null;
+  }
+  fs.unlinkSync(filePath);
+  return stats.size;
+};
+
+/**
+ * Expire abandoned upload sessions and remove files nothing refers to:
+ * - partial files of sessions that are stale, finished, or unknown
+ * - leftover multer temp files (chunk-*) in the uploads folder
+ * - upload reports in storage whose job finished over maxAgeHours ago
+ * Only files untouched for maxAgeHours are deleted, so uploads that are
+ * just starting are never affected.
+ */
+const runUploadCleanup = async ({
+  maxAgeHours = config.uploadCleanup.maxAgeHours,
+  uploadsDir = config.application.uploadFolder
+} = {}) => {
+  if (running) {
+    return null;
+  }
+  running = true;
+
+  const startedAt = new Date();
+  const cutoff = startedAt.getTime() - maxAgeHours * 60 * 60 * 1000;
+  const uploadManager = new ResumableUploadManager(uploadsDir);
+  const summary = {
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    maxAgeHours,
+    expiredSessions: [],
+    deletedFiles: [],
+    deletedReports: [],
+    freedBytes: 0,
+    errors: []
+  };
+
+  const deleteFile = (filePath) => {
+    try {
+      const size = removeIfOlderThan(filePath, cutoff);
+      if (size !== null) {
+        summary.deletedFiles.push(path.relative(uploadsDir, filePath));
+        summary.freedBytes += size;
+      }
+    } catch (error) {
+      summary.errors.push(`${path.relative(uploadsDir, filePath)}: ${error.message}`);
+    }
+  };
+
+  try {
+    summary.expiredSessions = await uploadManager.cleanupOldUploads(maxAgeHours);
+
+    for (const file of fs.readdirSync(uploadManager.chunksDir)) {
+      const uploadId = file.split('-')[0];
+      const session = await uploadSessionStore.getSession(uploadId);
+      if (!session || session.status !== 'in_progress') {
+        deleteFile(path.join(uploadManager.chunksDir, file));
+      }
+    }
+
+    fs.readdirSync(uploadsDir)
+      .filter(file => file.startsWith('chunk-'))
+      .forEach(file => deleteFile(path.join(uploadsDir, file)));
+
+    summary.deletedReports = await deleteExpiredReports(maxAgeHours);
+  } catch (error) {
+    summary.errors.push(error.message);
+  } finally {
+    running = false;
+  }
+
+  summary.finishedAt = new Date().toISOString();
+  lastRun = summary;
+
+  if (summary.errors.length > 0) {
+    logger.error('Upload cleanup finished with errors', summary);
+  } else if (summary.expiredSessions.length > 0 || summary.deletedFiles.length > 0 || summary.deletedReports.length > 0) {
+    logger.info('Upload cleanup removed abandoned uploads', summary);
+  }
+
+  return summary;
+};
+
+/**
+ * Schedule runUploadCleanup with the configured cron expression
+ */
+const startUploadCleanupScheduler = () => {
+  const { enabled, schedule, maxAgeHours } = config.uploadCleanup;
+
+  if (!enabled) {
+    logger.info('Upload cleanup scheduler disabled');
+    return null;
+  }
+
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid UPLOAD_CLEANUP_SCHEDULE "${schedule}" - upload cleanup not scheduled`);
+    return null;
+  }
+
+  logger.info(`Upload cleanup scheduled (${schedule}, max age ${maxAgeHours}h)`);
+  return cron.schedule(schedule, () => {
+    runUploadCleanup().catch(error => logger.error('Upload cleanup failed', { message: error.message }));
+  });
+};
+
+/**
+ * Get the summary of the most recent cleanup run, or null if none ran yet
+ */
+const getLastCleanupRun = () => lastRun;
+
+module.exports = {
+  runUploadCleanup,
+  startUploadCleanupScheduler,
+  getLastCleanupRun
+};
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const { getFinalFilePath, attachUploadToFacility } = require('./facilityUploads');
+
+const HASH_MISMATCH = 'File integrity check failed: SHA-256 of the uploaded file does not match the hash sent at upload start';
+
+/**
+ * Finish an upload whose bytes are all on the server: check the file against
+ * the hash sent at upload start (and, for a compressed payload, against the
+ * original file), save it for the facility and complete the session.
+ * Resolves with the facility record. Rejects with error code
+ * - CORRUPTED_CHUNKS (failedChunks): chunks fail their checksum; the session
+ *   stays open so they can be re-sent
+ * - FILE_HASH_MISMATCH: the file is wrong although no chunk is; session failed
+ * - CONTENT_MISMATCH: the payload does not decompress to the original file; session failed
+ * - SAVE_FAILED: saving for the facility failed; file removed, session failed
+ */
+const finishUpload = async (uploadManager, session, { facilityName, facilityCode, description, contentEncoding }) => {
+  const { uploadId } = session;
+  const finalFilePath = getFinalFilePath(facilityCode);
+  const integrity = await uploadManager.finalizeUpload(uploadId, finalFilePath);
+
+  if (!integrity.valid) {
+    const failedChunks = await uploadManager.verifyChunks(uploadId);
+    const hashes = { expectedHash: integrity.expectedHash, actualHash: integrity.actualHash };
+
+    if (failedChunks.length > 0) {
+      throw Object.assign(new Error(HASH_MISMATCH), { code: 'CORRUPTED_CHUNKS', failedChunks, ...hashes });
+    }
+
+    // Re-sending cannot help: the file changed while it was uploaded or the hash is wrong
+    await uploadManager.failUpload(uploadId, HASH_MISMATCH);
+    throw Object.assign(new Error(HASH_MISMATCH), { code: 'FILE_HASH_MISMATCH', ...hashes });
+  }
+
+  if (contentEncoding) {
+    const content = await uploadManager.verifyDecompressedContent(finalFilePath, { ...session, contentEncoding });
+
+    if (!content.valid) {
+      fs.rmSync(finalFilePath, { force: true });
+      await uploadManager.failUpload(uploadId, content.reason);
+      throw Object.assign(new Error(content.reason), {
+        code: 'CONTENT_MISMATCH',
+        expectedHash: content.expectedHash,
+        actualHash: content.actualHash,
+        expectedSize: content.expectedSize,
+        actualSize: content.actualSize
+      });
+    }
+  }
+
+  let facility;
+  try {
+    facility = await attachUploadToFacility({
+      facilityName,
+      facilityCode,
+      description,
+      filePath: finalFilePath,
+      fileHash: integrity.actualHash,
+      fileSize: session.fileSize
+    });
+  } catch (error) {
+    // The file is gone already when storage took it before the failure
+    fs.rmSync(finalFilePath, { force: true });
+    await uploadManager.failUpload(uploadId, `Saving the upload failed: ${error.message}`);
+    throw Object.assign(new Error(`Saving the upload failed: ${error.message}`), { code: 'SAVE_FAILED', cause: error });
+  }
+
+  await uploadManager.completeUpload(uploadId, facility.id);
+  return facility;
+};
+
+module.exports = {
+  finishUpload
+};
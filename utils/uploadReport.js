@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pool = require('../db');
+const { getStorage, getStagingDir } = require('./storage');
+
+/**
+ * Build the CSV report of all facility uploads, newest first
+ */
+const buildUploadReport = async () => {
+  const result = await pool.query(
+    `SELECT facility_name, facility_code, description, uploaded_at, file_path 
+     FROM facilities 
+     ORDER BY uploaded_at DESC`
+  );
+
+  let csv = 'Facility Name,Facility Code,Description,Uploaded Date,File Path\n';
+
+  result.rows.forEach(facility => {
+    const description = facility.description ? facility.description.replace(/,/g, ';') : '';
+    const fileName = facility.file_path ? facility.file_path.split(/[\\/]/).pop() : 'N/A';
+    const uploadedDate = facility.uploaded_at ? new Date(facility.uploaded_at).toLocaleString() : 'N/A';
+
+    csv += `"${facility.facility_name}","${facility.facility_code}","${description}","${uploadedDate}","${fileName}"\n`;
+  });
+
+  return {
+    fileName: `upload-report-${new Date().getTime()}.csv`,
+    contentType: 'text/csv',
+    rowCount: result.rows.length,
+    content: csv
+  };
+};
+
+/**
+ * Build the report and put it in storage under reports/, for the
+ * upload-report job. Only the storage key goes into the job's result.
+ */
+const storeUploadReport = async () => {
+  const { content, ...report } = await buildUploadReport();
+  const storageKey = `reports/${report.fileName}`;
+  const stagingPath = path.join(getStagingDir(), `report-${crypto.randomUUID()}.csv`);
+
+  await fs.promises.writeFile(stagingPath, content);
+  try {
+    await getStorage().put(storageKey, stagingPath);
+  } finally {
+    await fs.promises.rm(stagingPath, { force: true });
+  }
+  return { ...report, storageKey };
+};
+
+/**
+ * Delete stored reports of upload-report jobs that finished more than
+ * maxAgeHours ago; their jobs keep the result without the storage key.
+ * Returns the deleted keys.
+ */
+const deleteExpiredReports = async (maxAgeHours) => {
+  const result = await pool.query(
+    `SELECT id, result->>'storageKey' AS storage_key FROM jobs
+     WHERE type = 'upload-report' AND result ? 'storageKey'
+       AND finished_at < NOW() - $1 * INTERVAL '1 hour'`,
+    [maxAgeHours]
+  );
+
+  const deleted = [];
+  for (const job of result.rows) {
+    await getStorage().delete(job.storage_key);
+    await pool.query(`UPDATE jobs SET result = result - 'storageKey' WHERE id = $1`, [job.id]);
+    deleted.push(job.storage_key);
+  }
+  return deleted;
+};
+
+module.exports = {
+  buildUploadReport,
+  storeUploadReport,
+  deleteExpiredReports
+};
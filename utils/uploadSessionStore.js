@@ -0,0 +1,216 @@
+const pool = require('../db');
+
+/**
+ * Map an upload_sessions row to the session shape used by ResumableUploadManager
+ */
+const toSession = (row) => {
+  if (!row) return null;
+
+  return {
+    uploadId: row.id,
+    protocol: row.protocol,
+    userId: row.user_id,
+    facilityName: row.facility_name,
+    facilityCode: row.facility_code,
+    description: row.description,
+    facilityId: row.facility_id,
+    filename: row.file_name,
+    fileSize: Number(row.file_size),
+    fileHash: row.file_hash,
+    contentEncoding: row.content_encoding,
+    originalFileSize: row.original_file_size === null ? null : Number(row.original_file_size),
+    originalFileHash: row.original_file_hash,
+    chunkSize: row.chunk_size,
+    totalChunks: row.total_chunks,
+    offset: Number(row.bytes_received),
+    rawUploadMetadata: row.raw_upload_metadata,
+    status: row.status,
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at
+  };
+};
+
+/**
+ * Create an upload session, or reopen an existing one with the same ID
+ */
+exports.createSession = async (session) => {
+  const result = await pool.query(
+    `INSERT INTO upload_sessions
+       (id, protocol, user_id, facility_name, facility_code, description,
+        file_name, file_size, file_hash, chunk_size, total_chunks, raw_upload_metadata,
+        content_encoding, original_file_size, original_file_hash)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+     ON CONFLICT (id) DO UPDATE
+       SET status = 'in_progress',
+           facility_name = COALESCE(EXCLUDED.facility_name, upload_sessions.facility_name),
+           facility_code = COALESCE(EXCLUDED.facility_code, upload_sessions.facility_code),
+           description = COALESCE(EXCLUDED.description, upload_sessions.description),
+           updated_at = NOW()
+     RETURNING *`,
+    [
+      session.uploadId,
+      session.protocol || 'chunked',
+      session.userId || null,
+      session.facilityName || null,
+      session.facilityCode || null,
+      session.description || null,
+      session.filename || null,
+      session.fileSize,
+      session.fileHash || null,
+      session.chunkSize || null,
+      session.totalChunks || null,
+      session.rawUploadMetadata || null,
+      session.contentEncoding || null,
+      session.originalFileSize || null,
+      session.originalFileHash || null
+    ]
+  );
+  return toSession(result.rows[0]);
+};
+
+/**
+ * Get an upload session by ID
+ */
+exports.getSession = async (uploadId) => {
+  const result = await pool.query('SELECT * FROM upload_sessions WHERE id = $1', [uploadId]);
+  return toSession(result.rows[0]);
+};
+
+/**
+ * Find the most recent in-progress chunked session of a user for the same file
+ */
+exports.findResumableSession = async (userId, fileName, fileSize, fileHash) => {
+  const result = await pool.query(
+    `SELECT * FROM upload_sessions
+     WHERE user_id = $1 AND file_name = $2 AND file_size = $3 AND file_hash = $4
+       AND protocol = 'chunked' AND status = 'in_progress'
+     ORDER BY updated_at DESC
+     LIMIT 1`,
+    [userId, fileName, fileSize, fileHash]
+  );
+  return toSession(result.rows[0]);
+};
+
+/**
+ * Get chunk rows of an upload, ordered by chunk number
+ */
+exports.getChunks = async (uploadId) => {
+  const result = await pool.query(
+    `SELECT chunk_number, byte_offset, byte_size, chunk_hash, status, received_at
+     FROM upload_chunks WHERE upload_id = $1 ORDER BY chunk_number`,
+    [uploadId]
+  );
+  return result.rows.map(row => ({
+    chunkNumber: row.chunk_number,
+    byteOffset: Number(row.byte_offset),
+    byteSize: row.byte_size,
+    chunkHash: row.chunk_hash,
+    status: row.status,
+    receivedAt: row.received_at
+  }));
+};
+
+/**
+ * Record a chunk as received (status 'received') or as failed verification
+ * (status 'failed'), and refresh the session's received byte count.
+ * Both happen in one transaction holding the session row, so chunks of the
+ * same upload recorded at once are counted one after the other.
+ */
+exports.recordChunk = async (uploadId, chunk) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT 1 FROM upload_sessions WHERE id = $1 FOR UPDATE', [uploadId]);
+
+    await client.query(
+      `INSERT INTO upload_chunks (upload_id, chunk_number, byte_offset, byte_size, chunk_hash, status)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (upload_id, chunk_number) DO UPDATE
+         SET byte_offset = EXCLUDED.byte_offset,
+             byte_size = EXCLUDED.byte_size,
+             chunk_hash = EXCLUDED.chunk_hash,
+             status = EXCLUDED.status,
+             received_at = NOW()`,
+      [uploadId, chunk.chunkNumber, chunk.byteOffset, chunk.byteSize, chunk.chunkHash || null, chunk.status]
+    );
+
+    await client.query(
+      `UPDATE upload_sessions
+       SET bytes_received = (
+             SELECT COALESCE(SUM(byte_size), 0) FROM upload_chunks
+             WHERE upload_id = $1 AND status = 'received'
+           ),
+           updated_at = NOW()
+       WHERE id = $1`,
+      [uploadId]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Move the offset of an offset-based upload from one value to another.
+ * Returns the updated session, or null if the offset was no longer `fromOffset`.
+ */
+exports.advanceOffset = async (uploadId, fromOffset, toOffset) => {
+  const result = await pool.query(
+    `UPDATE upload_sessions
+     SET bytes_received = $3, updated_at = NOW()
+     WHERE id = $1 AND bytes_received = $2
+     RETURNING *`,
+    [uploadId, fromOffset, toOffset]
+  );
+  return toSession(result.rows[0]);
+};
+
+/**
+ * Set the status of an upload session
+ */
+exports.setStatus = async (uploadId, status, { facilityId = null, error = null } = {}) => {
+  const result = await pool.query(
+    `UPDATE upload_sessions
+     SET status = $2::varchar,
+         facility_id = COALESCE($3, facility_id),
+         error = $4,
+         completed_at = CASE WHEN $2::varchar = 'completed' THEN NOW() ELSE completed_at END,
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [uploadId, status, facilityId, error]
+  );
+  return toSession(result.rows[0]);
+};
+
+/**
+ * List in-progress sessions with the uploader's username, most recently active first
+ */
+exports.listActiveSessions = async () => {
+  const result = await pool.query(
+    `SELECT s.*, u.username
+     FROM upload_sessions s
+     LEFT JOIN users u ON u.id = s.user_id
+     WHERE s.status = 'in_progress'
+     ORDER BY s.updated_at DESC`
+  );
+  return result.rows.map(row => ({ ...toSession(row), username: row.username }));
+};
+
+/**
+ * Find in-progress sessions without activity for longer than maxAgeHours
+ */
+exports.findStaleSessions = async (maxAgeHours) => {
+  const result = await pool.query(
+    `SELECT * FROM upload_sessions
+     WHERE status = 'in_progress' AND updated_at < NOW() - ($1::float8 * INTERVAL '1 hour')`,
+    [maxAgeHours]
+  );
+  return result.rows.map(toSession);
+};